@@ -4,22 +4,61 @@
 // Node.js script to fetch all Typeform forms, their fields, and responses, and upsert one MongoDB document per answer.
 // Requirements are described in PLAN.md.
 
-const axios = require('axios');
 const { MongoClient } = require('mongodb');
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createTypeformClient } = require('./lib/typeform');
+const { createDirectorySource, hasRecordedResponses, createRecorder } = require('./lib/sources');
+const { loadAccountsConfig, requireTokens, createAccountSet } = require('./lib/accounts');
+const { mapWithConcurrency } = require('./lib/pool');
+const { migrateAnswerIds } = require('./lib/migrate');
+const { ensureUserIndexes, setUser, removeUser, revokeSessions, listUsers } = require('./lib/users');
+const { ensureErasureIndexes, subjectAccess, eraseSubject } = require('./lib/gdpr');
+const { loadIdentityConfig } = require('./lib/identity');
+const { ensureSyncIndexes, runSync } = require('./lib/sync');
+const { loadScheduleConfig } = require('./lib/schedule');
+const { createDaemon } = require('./lib/daemon');
+const { rebuildAnswers } = require('./lib/rebuild');
+const { parseSinkSpec, openSinks, openOtherSinks } = require('./lib/sinks');
 
 // ---- Config via .env ----
 // TYPEFORM_TOKEN=... (personal access token)
 // MONGODB_URI=mongodb+srv://... or mongodb://...
 // MONGODB_DB=yourDb
 // MONGODB_COLLECTION=yourCollection
+// MONGODB_COLLECTION_RESPONSES=responses (one document per response: hidden fields, variables, metadata)
 
-const TYPEFORM_BASE = 'https://api.typeform.com';
 const TYPEFORM_TOKEN = process.env.TYPEFORM_TOKEN;
 const MONGODB_URI = process.env.MONGODB_URI;
 const MONGODB_DB = process.env.MONGODB_DB || 'typeform';
 const MONGODB_COLLECTION = process.env.MONGODB_COLLECTION || 'answers';
 const MONGODB_COLLECTION_FORMS = process.env.MONGODB_COLLECTION_FORMS || null;
+const MONGODB_COLLECTION_RESPONSES = process.env.MONGODB_COLLECTION_RESPONSES || 'responses';
+const MONGODB_COLLECTION_USERS = process.env.MONGODB_COLLECTION_USERS || 'users';
+const MONGODB_COLLECTION_AUDIT_LOG = process.env.MONGODB_COLLECTION_AUDIT_LOG || 'audit_log';
+const MONGODB_COLLECTION_SYNC_STATE = process.env.MONGODB_COLLECTION_SYNC_STATE || 'sync_state';
+const MONGODB_COLLECTION_SYNC_RUNS = process.env.MONGODB_COLLECTION_SYNC_RUNS || 'sync_runs';
+// Raw Typeform payloads, input of `rebuild` (see lib/archive.js)
+const MONGODB_COLLECTION_RESPONSE_ARCHIVE = process.env.MONGODB_COLLECTION_RESPONSE_ARCHIVE || 'response_archive';
+const MONGODB_COLLECTION_FORM_ARCHIVE = process.env.MONGODB_COLLECTION_FORM_ARCHIVE || 'form_archive';
+// Responses erased with `gdpr erase`: syncs skip them (see lib/gdpr.js)
+const MONGODB_COLLECTION_ERASED_RESPONSES = process.env.MONGODB_COLLECTION_ERASED_RESPONSES || 'erased_responses';
+
+// Commands (first positional argument, default: sync):
+//  - node index.js            sync all forms (see flags below)
+//  - node index.js --daemon   keep running and sync on a schedule (see Daemon below)
+//  - node index.js migrate    rewrite existing answer docs to the stable id, merge duplicates,
+//                             rebuild indexes (report only with --dry-run)
+//  - node index.js user add <username> --role=viewer|analyst|admin   (password from USER_PASSWORD or --password)
+//  - node index.js user remove <username>
+//  - node index.js user logout <username>   (ends all web UI sessions of the user)
+//  - node index.js user list
+//  - node index.js gdpr export --email=x | --chiffre=y [--out=file.json]         subject access (JSON)
+//  - node index.js gdpr erase  --email=x | --chiffre=y --mode=delete|pseudonymise [--typeform] [--dry-run]
+//  - node index.js identity-report [--form-ids=a,b] [--out=file.json]   responses with ambiguous email/chiffre extraction
+//  - node index.js rebuild [--form-ids=a,b] [--dry-run] [--out=file.json]   regenerate answers from the raw archive
+//                             (no Typeform requests), prints a diff summary
 
 // Optional limits/filters for safer test runs
 // Environment variables or CLI flags:
@@ -27,6 +66,29 @@ const MONGODB_COLLECTION_FORMS = process.env.MONGODB_COLLECTION_FORMS || null;
 //  - RESPONSES_LIMIT or --max-responses=N
 //  - FORM_IDS (comma-separated) or --form-ids=a,b,c
 //  - DRY_RUN=true or --dry-run
+//  - FULL_SYNC=true or --full (ignore stored checkpoints and fetch every response)
+// Deletion reconciliation (instead of a sync run):
+//  - RECONCILE=true or --reconcile (soft-delete answers whose response no longer exists in Typeform)
+//  - HARD_DELETE=true or --hard-delete (remove those answers instead of setting deleted_at)
+//  - RECONCILE_REPORT or --reconcile-report=path.json (also write the report as JSON)
+// Typeform API resilience:
+//  - CONCURRENCY or --concurrency=N (forms processed in parallel, default 1)
+//  - TYPEFORM_RATE_LIMIT or --rate-limit=N (max requests per second across all forms, default 2)
+//  - TYPEFORM_MAX_RETRIES or --max-retries=N (retries on 429/5xx/network errors, default 5)
+// Daemon:
+//  - SYNC_SCHEDULE or --schedule="*/15 * * * *" | "every 15m" (default schedule for all forms)
+//  - SYNC_SCHEDULE_CONFIG or --schedule-config=path.json (per-form schedules, see lib/schedule.js)
+//  - HEALTH_PORT or --health-port=N (GET /healthz, /readyz; default 3001), HEALTH_HOST (bind address)
+// Identity extraction:
+//  - IDENTITY_CONFIG or --identity-config=path.json (which fields hold chiffre/email, see lib/identity.js)
+// Source (see lib/sources.js):
+//  - SOURCE_DIR or --source-dir=path (read forms and responses from recorded JSON dumps instead of the API;
+//    no TYPEFORM_TOKEN needed)
+//  - RECORD_DIR or --record=path (save every Typeform API page fetched during the run into that directory)
+// Sinks (see lib/sinks.js; checkpoints and run history stay in MongoDB):
+//  - SINKS=mongo,sqlite:./typeform.db or --sink=mongo --sink=jsonl:./export (default mongo)
+//  - TYPEFORM_ACCOUNTS_CONFIG or --accounts-config=path.json (several accounts with their own token and
+//    workspace/tag filters, see lib/accounts.js; dumps then live in one subdirectory per account)
 
 function getArg(name) {
   // supports --name=value and --name value
@@ -37,11 +99,22 @@ function getArg(name) {
   return process.argv[idx + 1];
 }
 
+function getArgs(name) {
+  // every occurrence of a repeatable flag (--name=value or --name value)
+  const values = [];
+  process.argv.forEach((a, i) => {
+    if (a === `--${name}` && process.argv[i + 1] != null) values.push(process.argv[i + 1]);
+    else if (a.startsWith(`--${name}=`)) values.push(a.split('=').slice(1).join('='));
+  });
+  return values;
+}
+
 function toInt(val, fallback) {
   const n = parseInt(val, 10);
   return Number.isFinite(n) ? n : fallback;
 }
 
+const COMMAND = (process.argv[2] && !process.argv[2].startsWith('--')) ? process.argv[2] : 'sync';
 const FORMS_LIMIT = toInt(process.env.FORMS_LIMIT ?? getArg('max-forms'), Infinity);
 const RESPONSES_LIMIT = toInt(process.env.RESPONSES_LIMIT ?? getArg('max-responses'), Infinity);
 const FORM_IDS = (process.env.FORM_IDS ?? getArg('form-ids'))
@@ -57,415 +130,487 @@ const DRY_RUN = (() => {
 })();
 const DRY_RUN_ALL = process.argv.includes('--dry-run-all') || /^(1|true|yes|on)$/i.test(String(process.env.DRY_RUN_ALL || ''));
 const DRY_RUN_PREVIEW = toInt(process.env.DRY_RUN_PREVIEW ?? getArg('dry-run-preview'), 3);
+const FULL_SYNC = process.argv.includes('--full') || /^(1|true|yes|on)$/i.test(String(process.env.FULL_SYNC || ''));
+const RECONCILE = process.argv.includes('--reconcile') || /^(1|true|yes|on)$/i.test(String(process.env.RECONCILE || ''));
+const HARD_DELETE = process.argv.includes('--hard-delete') || /^(1|true|yes|on)$/i.test(String(process.env.HARD_DELETE || ''));
+const RECONCILE_REPORT = process.env.RECONCILE_REPORT ?? getArg('reconcile-report') ?? null;
+const CONCURRENCY = Math.max(1, toInt(process.env.CONCURRENCY ?? getArg('concurrency'), 1));
+const TYPEFORM_RATE_LIMIT = Number(process.env.TYPEFORM_RATE_LIMIT ?? getArg('rate-limit') ?? 2);
+const TYPEFORM_MAX_RETRIES = Math.max(0, toInt(process.env.TYPEFORM_MAX_RETRIES ?? getArg('max-retries'), 5));
+const IDENTITY_CONFIG = process.env.IDENTITY_CONFIG ?? getArg('identity-config') ?? null;
+const DAEMON = process.argv.includes('--daemon') || /^(1|true|yes|on)$/i.test(String(process.env.DAEMON || ''));
+const SYNC_SCHEDULE = process.env.SYNC_SCHEDULE ?? getArg('schedule') ?? null;
+const SYNC_SCHEDULE_CONFIG = process.env.SYNC_SCHEDULE_CONFIG ?? getArg('schedule-config') ?? null;
+const HEALTH_PORT = toInt(process.env.HEALTH_PORT ?? getArg('health-port'), 3001);
+const HEALTH_HOST = process.env.HEALTH_HOST || undefined;
+const SOURCE_DIR = process.env.SOURCE_DIR ?? getArg('source-dir') ?? null;
+const RECORD_DIR = process.env.RECORD_DIR ?? getArg('record') ?? null;
+const TYPEFORM_ACCOUNTS_CONFIG = process.env.TYPEFORM_ACCOUNTS_CONFIG ?? getArg('accounts-config') ?? null;
+const SINKS = String(process.env.SINKS ?? getArgs('sink').join(',')).split(',').map(s => s.trim()).filter(Boolean);
 const WRITE_MODE = (() => {
   const v = (process.env.WRITE_MODE ?? getArg('write-mode')) || 'bulk';
   const s = String(v).trim().toLowerCase();
   return s === 'single' ? 'single' : 'bulk';
 })();
 
-if (!TYPEFORM_TOKEN) {
-  console.error('Missing TYPEFORM_TOKEN in .env');
+if (!['sync', 'migrate', 'user', 'gdpr', 'identity-report', 'rebuild'].includes(COMMAND)) {
+  console.error(`Unknown command: ${COMMAND}`);
   process.exit(1);
 }
-if (!MONGODB_URI) {
-  console.error('Missing MONGODB_URI in .env');
+if (SOURCE_DIR && RECORD_DIR) {
+  console.error('--source-dir and --record cannot be combined');
   process.exit(1);
 }
-
-const http = axios.create({
-  baseURL: TYPEFORM_BASE,
-  headers: {
-    Authorization: `Bearer ${TYPEFORM_TOKEN}`,
-    'Content-Type': 'application/json'
-  },
-  timeout: 30000,
-});
-
-const CHIFFRE_REGEX = /^\d{5}[A-Za-z]{1}\d{8}$/;
-
-function formatDate(dateStr) {
-  // Typeform's "submitted_at" is ISO datetime. We want YYYY-MM-DD
-  if (!dateStr) return null;
+const accounts = (() => {
   try {
-    const d = new Date(dateStr);
-    if (Number.isNaN(d.getTime())) return null;
-    return d.toISOString().slice(0, 10);
-  } catch (_) {
-    return null;
+    const list = loadAccountsConfig(TYPEFORM_ACCOUNTS_CONFIG, { defaultToken: TYPEFORM_TOKEN });
+    if (COMMAND === 'sync' && !SOURCE_DIR) requireTokens(list);
+    return list;
+  } catch (e) {
+    console.error(TYPEFORM_ACCOUNTS_CONFIG ? e.message : 'Missing TYPEFORM_TOKEN in .env');
+    process.exit(1);
   }
+})();
+if (!MONGODB_URI) {
+  console.error('Missing MONGODB_URI in .env');
+  process.exit(1);
 }
 
-async function fetchAllForms() {
-  // Handles pagination using page and total/page_count
-  let page = 1;
-  const forms = [];
-  while (true) {
-    const res = await http.get(`/forms`, { params: { page } });
-    const data = res.data || {};
-    const items = data.items || [];
-  forms.push(...items.map(i => ({ id: i.id, title: i.title })));
-    const pageCount = data.page_count || 1;
-    if (forms.length >= FORMS_LIMIT) {
-      return forms.slice(0, FORMS_LIMIT);
-    }
-    if (page >= pageCount) break;
-    page += 1;
-  }
-  return forms; // [{id}]
+function accountSource(account) {
+  // With an accounts config every account reads and records its own subdirectory
+  const dir = base => (TYPEFORM_ACCOUNTS_CONFIG ? path.join(base, account.name) : base);
+  if (SOURCE_DIR) return createDirectorySource(dir(SOURCE_DIR));
+  return createTypeformClient({
+    token: account.token,
+    requestsPerSecond: TYPEFORM_RATE_LIMIT,
+    maxRetries: TYPEFORM_MAX_RETRIES,
+    onRetry: ({ url, attempt, status, delay }) => {
+      console.warn(`   ! ${account.name}: ${url} failed (${status}); retry ${attempt}/${TYPEFORM_MAX_RETRIES} in ${delay} ms.`);
+    },
+    onPage: RECORD_DIR ? createRecorder(dir(RECORD_DIR)) : null,
+  });
 }
 
-async function fetchFormDefinition(formId) {
-  const res = await http.get(`/forms/${formId}`);
-  const data = res.data || {};
-  // Build a map field_id -> { title, choicesByIdOrValue(optional) }
-  const fields = data.fields || [];
-  const fieldMap = new Map();
-  for (const f of fields) {
-    const entry = { title: f.title, id: f.id, type: f.type };
-
-    // Handle multiple choice label mapping
-    // Typeform field for choices: f.properties.choices = [{ id?, label }, ...]
-    if (f.type === 'multiple_choice' && f.properties && Array.isArray(f.properties.choices)) {
-      const labelById = new Map();
-      const labelByValue = new Map();
-      for (const c of f.properties.choices) {
-        if (c.id) labelById.set(c.id, c.label);
-        if (c.label) labelByValue.set(c.label, c.label); // fallback mapping
+const typeform = createAccountSet(accounts.map(a => ({ ...a, typeform: accountSource(a) })));
+const { fetchAllForms, fetchAllResponses } = typeform;
+// Fails fast on an invalid config file instead of syncing with the wrong identities
+const identityConfig = loadIdentityConfig(IDENTITY_CONFIG);
+
+// ---- Deletion reconciliation ----
+// Compares the response IDs Typeform still returns with those stored in MongoDB.
+// Always lists every response (ignores checkpoints and --max-responses), otherwise
+// responses outside the window would look deleted.
+
+async function reconcileForm(formId, { collection, responsesCollection, sink }) {
+  console.log(`Reconciling form ${formId}...`);
+  const remote = await fetchAllResponses(formId);
+  const remoteIds = new Set(remote.map(r => r.response_id ?? r.token).filter(Boolean));
+  const storedIds = await collection.distinct('response_id', { form_id: formId, deleted_at: null });
+  const deletedIds = await collection.distinct('response_id', { form_id: formId, deleted_at: { $ne: null } });
+  const missing = storedIds.filter(id => !remoteIds.has(id));
+  const restored = deletedIds.filter(id => remoteIds.has(id));
+  const report = {
+    form_id: formId,
+    typeform_responses: remoteIds.size,
+    stored_responses: storedIds.length,
+    missing_response_ids: missing,
+    restored_response_ids: restored,
+    action: DRY_RUN ? 'none (dry run)' : (HARD_DELETE ? 'hard-delete' : 'soft-delete'),
+    answers_affected: 0,
+  };
+  if (!DRY_RUN) {
+    if (missing.length) {
+      const filter = { form_id: formId, response_id: { $in: missing } };
+      const res = HARD_DELETE
+        ? await collection.deleteMany(filter)
+        : await collection.updateMany({ ...filter, deleted_at: null }, { $set: { deleted_at: new Date() } });
+      report.answers_affected = res.deletedCount ?? res.modifiedCount ?? 0;
+      if (HARD_DELETE) {
+        await responsesCollection.deleteMany(filter);
+      } else {
+        await responsesCollection.updateMany({ ...filter, deleted_at: null }, { $set: { deleted_at: new Date() } });
       }
-      entry.choices = { byId: labelById, byValue: labelByValue };
+      // The other sinks (--sink) get the same deletes
+      if (sink) await (HARD_DELETE ? sink.deleteResponses(missing) : sink.setDeletedAt(missing, new Date()));
     }
-
-    // Dropdown or other choice-like types
-    if (f.type === 'dropdown' && f.properties && Array.isArray(f.properties.choices)) {
-      const labelById = new Map();
-      const labelByValue = new Map();
-      for (const c of f.properties.choices) {
-        if (c.id) labelById.set(c.id, c.label);
-        if (c.label) labelByValue.set(c.label, c.label);
-      }
-      entry.choices = { byId: labelById, byValue: labelByValue };
+    if (restored.length) {
+      // Response is back in Typeform (e.g. a reconcile ran against a partial listing): undo the soft delete
+      const filter = { form_id: formId, response_id: { $in: restored } };
+      await collection.updateMany(filter, { $unset: { deleted_at: '' } });
+      await responsesCollection.updateMany(filter, { $unset: { deleted_at: '' } });
+      if (sink) await sink.setDeletedAt(restored, null);
     }
-
-    fieldMap.set(f.id, entry);
   }
-  return fieldMap; // Map(field_id -> {title, id, type, choices?})
+  console.log(` - Form ${formId}: ${remoteIds.size} in Typeform, ${storedIds.length} stored, ${missing.length} missing, ${restored.length} restored.`);
+  return report;
 }
 
-async function fetchAllResponses(formId) {
-  let page = 1;
-  const all = [];
-  while (true) {
-    const res = await http.get(`/forms/${formId}/responses`, { params: { page } });
-    const data = res.data || {};
-    const items = data.items || [];
-    all.push(...items);
-    const pageCount = data.page_count || 1;
-    if (all.length >= RESPONSES_LIMIT) {
-      return all.slice(0, RESPONSES_LIMIT);
-    }
-    if (page >= pageCount) break;
-    page += 1;
+function requireMongoSink(command) {
+  // Erase and reconcile find the affected responses in MongoDB and repeat the change in the other sinks
+  if (SINKS.length && !SINKS.some(s => parseSinkSpec(s).type === 'mongo')) {
+    throw new Error(`${command} needs the mongo sink among --sink/SINKS (it finds the responses in MongoDB)`);
   }
-  return all; // raw response items
 }
 
-function extractEmailAndChiffre(answers) {
-  let email = null;
-  let chiffre = null;
-  const list = Array.isArray(answers) ? answers : [];
-
-  for (const ans of list) {
-    // Common Typeform answer shapes: email, text, choice, choices, boolean, date, file_url, number
-    if (!email && ans.type === 'email' && ans.email) {
-      email = ans.email;
+async function runReconcile(forms, ctx) {
+  if (Number.isFinite(RESPONSES_LIMIT)) {
+    console.log(`Note: --max-responses is ignored while reconciling.`);
+  }
+  const results = await mapWithConcurrency(forms, CONCURRENCY, async ({ id: formId }) => {
+    try {
+      return await reconcileForm(formId, ctx);
+    } catch (e) {
+      // Never delete anything for a form we could not list completely
+      console.error(` ! Form ${formId} could not be reconciled (${e?.message || e}); skipping.`);
+      return { form_id: formId, failed: true, error: e?.message || String(e) };
     }
-
-    // Check text-like values for chiffre pattern
-    const candidates = [];
-    if (ans.text) candidates.push(ans.text);
-    if (ans.email) candidates.push(ans.email);
-    if (ans.number != null) candidates.push(String(ans.number));
-    if (ans.date) candidates.push(ans.date);
-    if (ans.choice && ans.choice.label) candidates.push(ans.choice.label);
-    if (ans.choices && Array.isArray(ans.choices.labels)) candidates.push(...ans.choices.labels);
-
-    for (const c of candidates) {
-      if (typeof c === 'string' && CHIFFRE_REGEX.test(c)) {
-        chiffre = c;
-        break;
-      }
+  });
+  const ok = results.filter(r => !r.failed);
+  const report = {
+    generated_at: new Date().toISOString(),
+    mode: DRY_RUN ? 'dry-run' : (HARD_DELETE ? 'hard-delete' : 'soft-delete'),
+    forms: results,
+    totals: {
+      forms: results.length,
+      failed: results.length - ok.length,
+      missing_responses: ok.reduce((n, r) => n + r.missing_response_ids.length, 0),
+      restored_responses: ok.reduce((n, r) => n + r.restored_response_ids.length, 0),
+      answers_affected: ok.reduce((n, r) => n + r.answers_affected, 0),
+    },
+  };
+  console.log(`Reconciliation report (${report.mode}):`);
+  for (const r of results) {
+    if (r.failed) {
+      console.log(` - ${r.form_id}: FAILED (${r.error})`);
+    } else {
+      console.log(` - ${r.form_id}: ${r.missing_response_ids.length} missing${r.missing_response_ids.length ? ` [${r.missing_response_ids.join(', ')}]` : ''}, ${r.restored_response_ids.length} restored, ${r.answers_affected} answer docs affected.`);
     }
-
-    if (chiffre) break;
   }
-
-  return { email, chiffre };
-}
-
-function answerValueToLabel(ans, fieldMeta) {
-  // Convert answer to human-readable label when multiple choice, else keep the textual value
-  if (!ans) return null;
-  const t = ans.type || fieldMeta?.type;
-
-  // direct text/email/number/date
-  if (ans.text != null) return ans.text;
-  if (ans.email != null) return ans.email;
-  if (ans.number != null) return String(ans.number);
-  if (ans.date != null) return ans.date;
-  if (ans.boolean != null) return String(ans.boolean);
-  if (ans.url != null) return ans.url;
-
-  // Multiple choice single
-  if (ans.choice) {
-    const label = ans.choice.label
-      || (fieldMeta?.choices?.byId?.get(ans.choice.id))
-      || (ans.choice.other)
-      || null;
-    return label;
-  }
-  // Multiple choice multiple
-  if (ans.choices && Array.isArray(ans.choices.labels)) {
-    return ans.choices.labels.join(', ');
-  }
-
-  // file_url or other
-  if (ans.file_url) return ans.file_url;
-
-  return null;
-}
-
-function buildAnswerDocs(formId, fieldMap, responseItem) {
-  const list = Array.isArray(responseItem?.answers) ? responseItem.answers : [];
-  const rid = responseItem?.response_id ?? responseItem?.token ?? null;
-  const submitted = responseItem?.submitted_at ?? responseItem?.landed_at ?? null;
-  const { email, chiffre } = extractEmailAndChiffre(list);
-  const datum = formatDate(submitted);
-  const docs = [];
-  let idx = 0;
-
-  for (const ans of list) {
-  const fieldId = ans.field?.id || ans.field_id || ans.field || null; // safeguard across shapes
-    const fieldMeta = fieldId ? fieldMap.get(fieldId) : undefined;
-    const frage = fieldMeta?.title || null;
-    const antwort = answerValueToLabel(ans, fieldMeta);
-
-    const doc = {
-      id: `${formId}_${chiffre || email}_${rid}_${email}`,
-      antwort: antwort ?? null,
-      chiffre: chiffre ?? null,
-      datum: datum,
-      email: email ?? null,
-      field_id: fieldId ?? null,
-      form_id: formId,
-      frage: frage,
-      idx: idx,
-      response_id: rid,
-    };
-
-    docs.push(doc);
-    idx += 1;
+  console.log(`Done. ${report.totals.missing_responses} responses missing in Typeform, ${report.totals.answers_affected} answer docs ${HARD_DELETE ? 'deleted' : 'marked deleted'}.`);
+  if (RECONCILE_REPORT) {
+    fs.writeFileSync(RECONCILE_REPORT, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${RECONCILE_REPORT}.`);
   }
-
-  return docs;
+  if (report.totals.failed) process.exitCode = 1;
+  return report;
 }
 
-async function upsertDocs(collection, docs) {
-  if (!docs.length) return { upserted: 0, matched: 0, modified: 0 };
-  if (WRITE_MODE === 'single') {
-    let upserted = 0, matched = 0, modified = 0;
-    for (const d of docs) {
-      const filter = { id: d.id, idx: d.idx };
-      const res = await collection.updateOne(filter, { $set: d }, { upsert: true, writeConcern: { w: 1 } });
-      // In modern driver, res.upsertedCount may not exist, but upsertedId is set when an upsert happened
-      if (res.upsertedCount === 1 || res.upsertedId) upserted += 1;
-      matched += res.matchedCount ?? 0;
-      modified += res.modifiedCount ?? 0;
+async function main() {
+  let client = null;
+  let collections = {};
+  let sink = null;
+  if (RECORD_DIR && !FULL_SYNC && !RECONCILE) {
+    // Its pages would replace recorded ones with only the responses after the checkpoints
+    const dirs = TYPEFORM_ACCOUNTS_CONFIG ? accounts.map(a => path.join(RECORD_DIR, a.name)) : [RECORD_DIR];
+    if (dirs.some(hasRecordedResponses)) {
+      throw new Error(`${RECORD_DIR} already holds recorded responses: record an incremental sync into another directory, or use --full`);
     }
-    return { upserted, matched, modified };
-  } else {
-    const ops = docs.map(d => ({
-      updateOne: {
-        filter: { id: d.id, idx: d.idx },
-        update: { $set: d },
-        upsert: true,
+    console.warn(`Recording an incremental sync: ${RECORD_DIR} will only hold responses after the checkpoints (use --full for a complete dump).`);
+  }
+  if (RECONCILE) requireMongoSink('--reconcile');
+  // Reconciliation needs to read the stored response IDs even in a dry run
+  if (!DRY_RUN || RECONCILE) {
+    console.log('Connecting to MongoDB...');
+    client = new MongoClient(MONGODB_URI);
+    await client.connect();
+    const db = client.db(MONGODB_DB);
+    collections = {
+      answers: db.collection(MONGODB_COLLECTION),
+      responses: db.collection(MONGODB_COLLECTION_RESPONSES),
+      syncState: db.collection(MONGODB_COLLECTION_SYNC_STATE),
+      forms: MONGODB_COLLECTION_FORMS ? db.collection(MONGODB_COLLECTION_FORMS) : null,
+      syncRuns: db.collection(MONGODB_COLLECTION_SYNC_RUNS),
+      responseArchive: db.collection(MONGODB_COLLECTION_RESPONSE_ARCHIVE),
+      formArchive: db.collection(MONGODB_COLLECTION_FORM_ARCHIVE),
+      erasedResponses: db.collection(MONGODB_COLLECTION_ERASED_RESPONSES),
+    };
+    console.log(`Connected. DB=${MONGODB_DB} Collection=${MONGODB_COLLECTION}`);
+    // A dry run (here: --reconcile --dry-run) only reads, so it creates no indexes either
+    if (!DRY_RUN) {
+      try {
+        await ensureSyncIndexes(collections);
+      } catch (e) {
+        await client.close();
+        throw e;
       }
-    }));
+    }
+    console.log(`Responses collection: ${MONGODB_COLLECTION_RESPONSES}`);
+    console.log(`Sync state collection: ${MONGODB_COLLECTION_SYNC_STATE}${FULL_SYNC ? ' (ignored, --full)' : ''}`);
+    if (MONGODB_COLLECTION_FORMS) console.log(`Forms collection: ${MONGODB_COLLECTION_FORMS}`);
     try {
-      const res = await collection.bulkWrite(ops, { ordered: false, writeConcern: { w: 1 } });
-      // Prefer explicit counters when present
-      const upsertedCount = res.upsertedCount ?? res.result?.nUpserted ?? undefined;
-      let upserted;
-      if (typeof upsertedCount === 'number') {
-        upserted = upsertedCount;
-      } else {
-        const upsertedIds = res.upsertedIds || {};
-        upserted = Array.isArray(upsertedIds)
-          ? upsertedIds.filter(x => x != null).length
-          : Object.keys(upsertedIds).length;
-      }
-      const matched = res.matchedCount ?? res.result?.nMatched ?? 0;
-      const modified = res.modifiedCount ?? res.result?.nModified ?? 0;
-      return { upserted, matched, modified };
+      if (!RECONCILE) sink = await openSinks(SINKS, { collections });
+      else if (!DRY_RUN) sink = await openOtherSinks(SINKS, { collections });
     } catch (e) {
-      console.error('bulkWrite error:', e?.code, e?.message || e);
+      await client.close();
       throw e;
     }
   }
+  if (DRY_RUN) {
+    console.log('DRY_RUN enabled: will not write to MongoDB (checkpoints are neither read nor saved).');
+  }
+
+  try {
+    if (RECONCILE) {
+      const forms = FORM_IDS ? FORM_IDS.map(id => ({ id })) : await fetchAllForms({ limit: FORMS_LIMIT });
+      await runReconcile(forms, { collection: collections.answers, responsesCollection: collections.responses, sink });
+      return;
+    }
+    const result = await runSync({ typeform, collections, sink }, {
+      formIds: FORM_IDS,
+      formsLimit: FORMS_LIMIT,
+      responsesLimit: RESPONSES_LIMIT,
+      fullSync: FULL_SYNC,
+      dryRun: DRY_RUN,
+      dryRunAll: DRY_RUN_ALL,
+      dryRunPreview: DRY_RUN_PREVIEW,
+      writeMode: WRITE_MODE,
+      concurrency: CONCURRENCY,
+      identityConfig,
+      trigger: 'cli',
+    });
+    if (result.run_id) console.log(`Run ${result.run_id} recorded in ${MONGODB_COLLECTION_SYNC_RUNS} (${result.status}).`);
+    if (result.totals.failed) process.exitCode = 1;
+  } finally {
+    if (sink) await sink.close();
+    if (client) await client.close();
+  }
 }
 
-function buildFormDocs(forms) {
-  return forms.map(f => ({ form_id: f.id, title: f.title ?? null }));
+async function runDaemon() {
+  if (DRY_RUN || RECONCILE) throw new Error('--daemon cannot be combined with --dry-run or --reconcile');
+  const schedules = loadScheduleConfig({ file: SYNC_SCHEDULE_CONFIG, defaultSchedule: SYNC_SCHEDULE });
+  // One connection for the lifetime of the daemon
+  const client = new MongoClient(MONGODB_URI);
+  await client.connect();
+  const db = client.db(MONGODB_DB);
+  const collections = {
+    answers: db.collection(MONGODB_COLLECTION),
+    responses: db.collection(MONGODB_COLLECTION_RESPONSES),
+    syncState: db.collection(MONGODB_COLLECTION_SYNC_STATE),
+    forms: MONGODB_COLLECTION_FORMS ? db.collection(MONGODB_COLLECTION_FORMS) : null,
+    syncRuns: db.collection(MONGODB_COLLECTION_SYNC_RUNS),
+    responseArchive: db.collection(MONGODB_COLLECTION_RESPONSE_ARCHIVE),
+    formArchive: db.collection(MONGODB_COLLECTION_FORM_ARCHIVE),
+    erasedResponses: db.collection(MONGODB_COLLECTION_ERASED_RESPONSES),
+  };
+  let sink;
+  try {
+    await ensureSyncIndexes(collections);
+    sink = await openSinks(SINKS, { collections });
+  } catch (e) {
+    await client.close();
+    throw e;
+  }
+  const daemon = createDaemon({
+    typeform,
+    db,
+    collections,
+    sink,
+    schedules,
+    syncOptions: {
+      formIds: FORM_IDS,
+      formsLimit: FORMS_LIMIT,
+      responsesLimit: RESPONSES_LIMIT,
+      fullSync: FULL_SYNC,
+      writeMode: WRITE_MODE,
+      concurrency: CONCURRENCY,
+      identityConfig,
+    },
+  });
+  const health = await daemon.healthServer({ port: HEALTH_PORT, host: HEALTH_HOST });
+  console.log(`Daemon started. Health: http://${HEALTH_HOST || 'localhost'}:${HEALTH_PORT}/healthz, /readyz`);
+  daemon.start();
+
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      console.error(`${signal} again: exiting without waiting.`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`${signal} received, shutting down...`);
+    await daemon.stop();
+    await new Promise(resolve => health.close(resolve));
+    await sink.close();
+    await client.close();
+    console.log('Daemon stopped.');
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM').catch(e => { console.error(e); process.exit(1); }));
+  process.on('SIGINT', () => shutdown('SIGINT').catch(e => { console.error(e); process.exit(1); }));
 }
 
-async function upsertForms(collection, docs) {
-  if (!docs?.length) return { upserted: 0, matched: 0, modified: 0 };
-  if (WRITE_MODE === 'single') {
-    let upserted = 0, matched = 0, modified = 0;
-    for (const d of docs) {
-      const filter = { form_id: d.form_id };
-      const res = await collection.updateOne(filter, { $set: d }, { upsert: true, writeConcern: { w: 1 } });
-      if (res.upsertedCount === 1 || res.upsertedId) upserted += 1;
-      matched += res.matchedCount ?? 0;
-      modified += res.modifiedCount ?? 0;
+async function runMigrate() {
+  const client = new MongoClient(MONGODB_URI);
+  await client.connect();
+  try {
+    const collection = client.db(MONGODB_DB).collection(MONGODB_COLLECTION);
+    console.log(`Migrating answer ids in ${MONGODB_DB}.${MONGODB_COLLECTION}${DRY_RUN ? ' (dry run, no writes)' : ''}...`);
+    const report = await migrateAnswerIds(collection, { dryRun: DRY_RUN, sampleSize: DRY_RUN_ALL ? Infinity : DRY_RUN_PREVIEW });
+    for (const sample of report.samples) {
+      console.log(`   ${sample.from.join(' + ')} -> ${sample.to}`);
+    }
+    console.log(`${DRY_RUN ? 'Would rewrite' : 'Rewrote'} ${report.changed} of ${report.scanned} docs in ${report.forms} forms; ${report.duplicate_groups} duplicate groups, ${report.removed} duplicate docs ${DRY_RUN ? 'to remove' : 'removed'}.${report.without_response_id ? ` ${report.without_response_id} docs without response_id skipped (they keep their id).` : ''}`);
+    if (report.indexes) {
+      console.log(`Indexes: dropped [${report.indexes.dropped.join(', ')}], ensured [${report.indexes.created.join(', ')}].`);
     }
-    return { upserted, matched, modified };
-  } else {
-    const ops = docs.map(d => ({
-      updateOne: { filter: { form_id: d.form_id }, update: { $set: d }, upsert: true }
-    }));
-    const res = await collection.bulkWrite(ops, { ordered: false, writeConcern: { w: 1 } });
-    const upserted = typeof res.upsertedCount === 'number'
-      ? res.upsertedCount
-      : Object.keys(res.upsertedIds || {}).length;
-    const matched = res.matchedCount ?? res.result?.nMatched ?? 0;
-    const modified = res.modifiedCount ?? res.result?.nModified ?? 0;
-    return { upserted, matched, modified };
+  } finally {
+    await client.close();
   }
 }
 
-async function main() {
-  let client = null;
-  let collection = null;
-  let formsCollection = null;
-  if (!DRY_RUN) {
-    console.log('Connecting to MongoDB...');
-    client = new MongoClient(MONGODB_URI);
-    await client.connect();
-    const db = client.db(MONGODB_DB);
-    collection = db.collection(MONGODB_COLLECTION);
-    console.log(`Connected. DB=${MONGODB_DB} Collection=${MONGODB_COLLECTION}`);
-    try {
-      await collection.createIndex({ id: 1, idx: 1 }, { unique: true, name: 'uniq_id_idx' });
-      console.log('Ensured unique index on {id, idx}.');
-    } catch (e) {
-      console.warn('Index creation warning:', e?.message || e);
-    }
-    if (MONGODB_COLLECTION_FORMS) {
-      formsCollection = db.collection(MONGODB_COLLECTION_FORMS);
-      console.log(`Forms collection: ${MONGODB_COLLECTION_FORMS}`);
-      try {
-        await formsCollection.createIndex({ form_id: 1 }, { unique: true, name: 'uniq_form_id' });
-        console.log('Ensured unique index on {form_id} in forms collection.');
-      } catch (e) {
-        console.warn('Forms index creation warning:', e?.message || e);
+async function runUser() {
+  const [action, username] = process.argv.slice(3).filter(a => !a.startsWith('--'));
+  const client = new MongoClient(MONGODB_URI);
+  await client.connect();
+  try {
+    const users = client.db(MONGODB_DB).collection(MONGODB_COLLECTION_USERS);
+    await ensureUserIndexes(users);
+    if (action === 'add') {
+      const password = process.env.USER_PASSWORD ?? getArg('password');
+      const role = getArg('role') || 'viewer';
+      const { created } = await setUser(users, { username, password, role });
+      console.log(`${created ? 'Created' : 'Updated'} user ${username} (${role}).`);
+    } else if (action === 'remove') {
+      const { removed } = await removeUser(users, username);
+      console.log(removed ? `Removed user ${username}.` : `No user ${username}.`);
+    } else if (action === 'logout') {
+      const { revoked } = await revokeSessions(users, username);
+      console.log(revoked ? `Ended all sessions of ${username}.` : `No user ${username}.`);
+    } else if (action === 'list') {
+      for (const u of await listUsers(users)) {
+        console.log(` - ${u.username} (${u.role})${u.disabled ? ' [disabled]' : ''}`);
       }
+    } else {
+      throw new Error('Usage: node index.js user add <username> --role=<role> | remove <username> | logout <username> | list');
     }
-  } else {
-    console.log('DRY_RUN enabled: will not write to MongoDB.');
+  } finally {
+    await client.close();
   }
+}
 
+async function runGdpr() {
+  const action = process.argv.slice(3).find(a => !a.startsWith('--'));
+  const subject = { email: getArg('email'), chiffre: getArg('chiffre') };
+  const actor = getArg('actor') || process.env.USER || 'cli';
+  if (action === 'erase') requireMongoSink('gdpr erase');
+  const client = new MongoClient(MONGODB_URI);
+  await client.connect();
+  let sink = null;
   try {
-    console.log('Fetching forms...');
-    const forms = FORM_IDS ? FORM_IDS.map(id => ({ id, title: undefined })) : await fetchAllForms();
-    console.log(`Found ${forms.length} forms${Number.isFinite(FORMS_LIMIT) ? ` (limit ${FORMS_LIMIT})` : ''}.`);
-    // First step: upsert forms (form_id + title)
-    try {
-      const formDocs = buildFormDocs(forms);
-      if (DRY_RUN) {
-        const show = DRY_RUN_ALL ? formDocs : formDocs.slice(0, DRY_RUN_PREVIEW);
-        for (const d of show) {
-          const filter = { form_id: d.form_id };
-          const update = { $set: d };
-          console.log('DRY_RUN upsert FORM:', { filter, update, upsert: true });
-        }
-        if (!DRY_RUN_ALL && formDocs.length > DRY_RUN_PREVIEW) {
-          console.log(`   ... and ${formDocs.length - DRY_RUN_PREVIEW} more form ops suppressed (use --dry-run-all or increase DRY_RUN_PREVIEW).`);
-        }
-      } else if (formsCollection) {
-        const res = await upsertForms(formsCollection, formDocs);
-        console.log(`Upserted forms: ${res.upserted}, matched ${res.matched}, modified ${res.modified}.`);
+    const db = client.db(MONGODB_DB);
+    const collections = {
+      answers: db.collection(MONGODB_COLLECTION),
+      responses: db.collection(MONGODB_COLLECTION_RESPONSES),
+      auditLog: db.collection(MONGODB_COLLECTION_AUDIT_LOG),
+      responseArchive: db.collection(MONGODB_COLLECTION_RESPONSE_ARCHIVE),
+      erasedResponses: db.collection(MONGODB_COLLECTION_ERASED_RESPONSES),
+    };
+    if (action === 'export') {
+      const data = await subjectAccess(collections, subject, { actor, via: 'cli' });
+      const out = getArg('out');
+      if (out) {
+        fs.writeFileSync(out, JSON.stringify(data, null, 2));
+        console.log(`Wrote ${data.responses.length} responses, ${data.answers.length} answers to ${out}.`);
       } else {
-        console.log('Forms collection not configured (MONGODB_COLLECTION_FORMS not set) — skipping form upserts.');
+        console.log(JSON.stringify(data, null, 2));
       }
-    } catch (e) {
-      console.warn('Form upserts failed:', e?.message || e);
+    } else if (action === 'erase') {
+      const useTypeform = process.argv.includes('--typeform');
+      if (useTypeform) requireTokens(accounts);
+      if (!DRY_RUN) {
+        await ensureErasureIndexes(collections.erasedResponses);
+        sink = await openOtherSinks(SINKS, { collections });
+      }
+      const result = await eraseSubject(collections, subject, {
+        mode: getArg('mode') || 'pseudonymise',
+        typeform: useTypeform ? typeform : null,
+        sink,
+        dryRun: DRY_RUN,
+        pseudonymSecret: process.env.PSEUDONYM_SECRET,
+        actor,
+        via: 'cli',
+      });
+      console.log(`${DRY_RUN ? 'Would erase' : 'Erased'} (${result.mode}) ${result.responses} responses, ${result.answers} answers.${result.sinks.length ? ` Sinks: ${result.sinks.join(', ')}.` : ''}${useTypeform ? ` Typeform: ${result.typeform_deleted} deleted, ${result.typeform_errors.length} errors.` : ''}`);
+      for (const e of result.typeform_errors) console.error(` ! Typeform ${e.form_id}: ${e.error}`);
+      if (result.typeform_errors.length) process.exitCode = 1;
+    } else {
+      throw new Error('Usage: node index.js gdpr export|erase --email=<email> | --chiffre=<chiffre> [...]');
     }
-    let grandTotalDocs = 0;
-    let grandTotalUpserts = 0;
-
-    for (const { id: formId } of forms) {
-      console.log(`Processing form ${formId}...`);
-      const fieldMap = await fetchFormDefinition(formId);
-      const responses = await fetchAllResponses(formId);
-      console.log(` - ${responses.length} responses${Number.isFinite(RESPONSES_LIMIT) ? ` (limit ${RESPONSES_LIMIT})` : ''}.`);
-      let formDocs = 0;
-  let formUpserts = 0;
-  let formMatched = 0;
-  let formModified = 0;
+  } finally {
+    if (sink) await sink.close();
+    await client.close();
+  }
+}
 
-  for (const resp of responses) {
-        const docs = buildAnswerDocs(formId, fieldMap, resp);
-        if (!docs.length) {
-          const rid = resp?.response_id ?? resp?.token ?? 'unknown';
-          console.warn(`   ! Response ${rid} has no answers; skipping.`);
-        }
-        if (DRY_RUN) {
-          // Print a preview of the exact upsert operations
-          const show = DRY_RUN_ALL ? docs : docs.slice(0, DRY_RUN_PREVIEW);
-          for (const d of show) {
-            const filter = { id: d.id, idx: d.idx };
-            const update = { $set: d };
-            console.log('DRY_RUN upsert:', { filter, update, upsert: true });
-          }
-          if (!DRY_RUN_ALL && docs.length > DRY_RUN_PREVIEW) {
-            console.log(`   ... and ${docs.length - DRY_RUN_PREVIEW} more ops suppressed (use --dry-run-all or increase DRY_RUN_PREVIEW).`);
-          }
-        } else {
-          const result = await upsertDocs(collection, docs);
-          formUpserts += result?.upserted ?? 0;
-          formMatched += result?.matched ?? 0;
-          formModified += result?.modified ?? 0;
-          // Verify one sample doc exists after write
-          if (docs[0]) {
-            const sample = await collection.findOne({ id: docs[0].id, idx: docs[0].idx });
-            if (!sample) {
-              console.warn('   ! Post-write verification failed for sample doc:', { id: docs[0].id, idx: docs[0].idx });
-            }
-          }
-        }
-        formDocs += docs.length;
-      }
-      grandTotalDocs += formDocs;
-      grandTotalUpserts += formUpserts;
-      if (!DRY_RUN) {
-        try {
-          const count = await collection.countDocuments({ form_id: formId });
-          console.log(` - Form ${formId}: built ${formDocs} docs, upserted ${formUpserts}, matched ${formMatched}, modified ${formModified}, collection now has ${count} docs for this form.`);
-        } catch (e) {
-          console.log(` - Form ${formId}: built ${formDocs} docs, upserted ${formUpserts}, matched ${formMatched}, modified ${formModified}.`);
-        }
-      } else {
-        console.log(` - Form ${formId}: built ${formDocs} docs.`);
+async function runIdentityReport() {
+  // Lists responses whose identity extraction recorded issues during sync (responses.identity)
+  const client = new MongoClient(MONGODB_URI);
+  await client.connect();
+  try {
+    const responses = client.db(MONGODB_DB).collection(MONGODB_COLLECTION_RESPONSES);
+    const filter = { 'identity.ambiguous': true, deleted_at: null, ...(FORM_IDS ? { form_id: { $in: FORM_IDS } } : {}) };
+    const rows = await responses.find(filter, { projection: { _id: 0, form_id: 1, response_id: 1, datum: 1, email: 1, chiffre: 1, identity: 1 } })
+      .sort({ form_id: 1, datum: 1 })
+      .toArray();
+    const byForm = {};
+    for (const r of rows) (byForm[r.form_id] = byForm[r.form_id] || []).push(r);
+    for (const [formId, list] of Object.entries(byForm)) {
+      console.log(`${formId}: ${list.length} responses`);
+      for (const r of list) {
+        const issues = r.identity.issues.map(i => `${i.field} ${i.reason}: ${i.values.map(v => `${v.value} (${v.source})`).join(', ')}`);
+        console.log(` - ${r.response_id} ${r.datum || ''} chiffre=${r.chiffre ?? '-'} [${r.identity.chiffre_source ?? '-'}] email=${r.email ?? '-'} [${r.identity.email_source ?? '-'}]`);
+        for (const line of issues) console.log(`     ${line}`);
       }
     }
+    console.log(`${rows.length} responses with ambiguous identity in ${Object.keys(byForm).length} forms.`);
+    const out = getArg('out');
+    if (out) {
+      fs.writeFileSync(out, JSON.stringify({ generated_at: new Date().toISOString(), responses: rows }, null, 2));
+      console.log(`Report written to ${out}.`);
+    }
+  } finally {
+    await client.close();
+  }
+}
 
-    console.log(`Done. Built ${grandTotalDocs} docs in total${DRY_RUN ? '' : `, upserted ${grandTotalUpserts}`}.`);
+async function runRebuild() {
+  // Offline: reads only response_archive and form_archive, never Typeform
+  const client = new MongoClient(MONGODB_URI);
+  await client.connect();
+  try {
+    const db = client.db(MONGODB_DB);
+    const collections = {
+      answers: db.collection(MONGODB_COLLECTION),
+      responses: db.collection(MONGODB_COLLECTION_RESPONSES),
+      responseArchive: db.collection(MONGODB_COLLECTION_RESPONSE_ARCHIVE),
+      formArchive: db.collection(MONGODB_COLLECTION_FORM_ARCHIVE),
+    };
+    console.log(`Rebuilding answers from ${MONGODB_COLLECTION_RESPONSE_ARCHIVE}${DRY_RUN ? ' (dry run, nothing is written)' : ''}...`);
+    const report = await rebuildAnswers(collections, { formIds: FORM_IDS, identityConfig, dryRun: DRY_RUN, writeMode: WRITE_MODE });
+    const t = report.totals;
+    console.log(`${DRY_RUN ? 'Would rebuild' : 'Rebuilt'} ${t.responses} responses in ${t.forms} forms: ${t.added} added, ${t.changed} changed, ${t.unchanged} unchanged, ${t.removed} removed.`);
+    const keys = Object.entries(t.changed_keys).sort((a, b) => b[1] - a[1]);
+    if (keys.length) console.log(`Changed fields: ${keys.map(([k, n]) => `${k} (${n})`).join(', ')}`);
+    for (const f of report.forms) {
+      for (const sample of f.samples) {
+        console.log(` ~ ${sample.id}`);
+        for (const c of sample.changes) console.log(`     ${c.key}: ${JSON.stringify(c.before)} -> ${JSON.stringify(c.after)}`);
+      }
+    }
+    if (t.without_definition) console.warn(`${t.without_definition} responses skipped: no archived form definition (run a sync first).`);
+    const out = getArg('out');
+    if (out) {
+      fs.writeFileSync(out, JSON.stringify({ generated_at: new Date().toISOString(), ...report }, null, 2));
+      console.log(`Report written to ${out}.`);
+    }
   } finally {
-    if (client) await client.close();
+    await client.close();
   }
 }
 
-main().catch(err => {
+const COMMANDS = { sync: DAEMON ? runDaemon : main, migrate: runMigrate, user: runUser, gdpr: runGdpr, 'identity-report': runIdentityReport, rebuild: runRebuild };
+
+COMMANDS[COMMAND]().catch(err => {
   console.error(err?.response?.data || err);
   process.exit(1);
 });
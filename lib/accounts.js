@@ -0,0 +1,220 @@
+'use strict';
+
+// Several Typeform accounts behind one source. A JSON config (TYPEFORM_ACCOUNTS_CONFIG) names each account,
+// where its token comes from and, optionally, which workspaces (id or name) and form tags to sync:
+//
+// { "accounts": [
+//   { "name": "forschung", "token_env": "TYPEFORM_TOKEN_FORSCHUNG", "workspaces": ["Studien 2024"] },
+//   { "name": "lehre", "token_env": "TYPEFORM_TOKEN_LEHRE", "tags": ["auswertung"] }
+// ] }
+//
+// Without a config, TYPEFORM_TOKEN is the single account "default" with every workspace.
+// createAccountSet offers the same functions as one source (lib/typeform.js, lib/sources.js) and routes
+// each form to the account that listed it; formOrigin(formId) tells account and workspace.
+// Workspaces are only listed (scope workspaces:read) for accounts with a workspace filter; forms of other
+// accounts come from plain GET /forms and carry no workspace.
+
+const fs = require('fs');
+
+const NAME_RE = /^[A-Za-z0-9_.-]+$/;
+const MISSING_TTL_MS = 10 * 60 * 1000;
+const ACCOUNT_KEYS = ['name', 'token', 'token_env', 'workspaces', 'tags'];
+
+function stringList(value, where) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw new Error(`${where} must be an array`);
+  return value.map(String);
+}
+
+function compileAccounts(raw, { env = process.env } = {}) {
+  const list = raw?.accounts;
+  if (!Array.isArray(list) || !list.length) throw new Error('"accounts" must be a non-empty array');
+  const names = new Set();
+  return list.map((a, i) => {
+    const where = `accounts[${i}]`;
+    for (const key of Object.keys(a || {})) {
+      if (!ACCOUNT_KEYS.includes(key)) throw new Error(`${where}: unknown key "${key}" (${ACCOUNT_KEYS.join(', ')})`);
+    }
+    // Names end up in documents and as dump directory names
+    if (!NAME_RE.test(a?.name || '')) throw new Error(`${where}.name must match ${NAME_RE}`);
+    if (names.has(a.name)) throw new Error(`${where}: duplicate account name "${a.name}"`);
+    names.add(a.name);
+    return {
+      name: a.name,
+      // Missing tokens only matter for commands that call Typeform (see requireTokens)
+      token: a.token_env ? (env[a.token_env] || null) : (a.token || null),
+      tokenSource: a.token_env ? `$${a.token_env}` : 'token',
+      workspaces: stringList(a.workspaces, `${where}.workspaces`),
+      tags: stringList(a.tags, `${where}.tags`),
+    };
+  });
+}
+
+function loadAccountsConfig(file, { defaultToken = null } = {}) {
+  if (!file) return [{ name: 'default', token: defaultToken || null, tokenSource: 'TYPEFORM_TOKEN', workspaces: [], tags: [] }];
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read accounts config ${file}: ${e.message}`);
+  }
+  try {
+    return compileAccounts(raw);
+  } catch (e) {
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+
+function requireTokens(accounts) {
+  const missing = accounts.filter(a => !a.token);
+  if (missing.length) throw new Error(`Missing Typeform token for ${missing.map(a => `${a.name} (${a.tokenSource})`).join(', ')}`);
+}
+
+function pickWorkspaces(account, workspaces) {
+  const picked = [];
+  for (const wanted of account.workspaces) {
+    const ws = workspaces.find(w => w.id === wanted) || workspaces.find(w => w.name === wanted);
+    if (!ws) throw new Error(`Workspace "${wanted}" not found in account ${account.name}`);
+    if (!picked.includes(ws)) picked.push(ws);
+  }
+  return picked;
+}
+
+function formNotConfigured(formId) {
+  const err = new Error(`Form ${formId} is not in any configured account/workspace`);
+  err.status = 404;
+  err.code = 'FORM_NOT_CONFIGURED';
+  return err;
+}
+
+function originFields(origin) {
+  return origin ? { account: origin.account, workspace_id: origin.workspace_id, workspace: origin.workspace } : {};
+}
+
+function withOrigin(doc, origin) {
+  return origin ? { ...doc, ...originFields(origin) } : doc;
+}
+
+// createAccountSet([{ name, workspaces, tags, typeform }])
+function createAccountSet(accounts) {
+  const owners = new Map(); // form_id -> { account, origin }
+  const missing = new Map(); // form_id -> time of the lookup that found it in no account
+  const resolving = new Map(); // form_id -> pending lookup
+  const workspaceLists = new Map(); // account name -> workspaces picked by its filter
+
+  function remember(account, f) {
+    const origin = { account: account.name, workspace_id: f.workspace_id ?? null, workspace: f.workspace ?? null };
+    owners.set(f.id, { account, origin });
+    missing.delete(f.id);
+    return { id: f.id, title: f.title, ...origin };
+  }
+
+  async function pickedWorkspaces(account) {
+    if (!workspaceLists.has(account.name)) {
+      const list = account.typeform.fetchAllWorkspaces().then(all => pickWorkspaces(account, all));
+      list.catch(() => workspaceLists.delete(account.name));
+      workspaceLists.set(account.name, list);
+    }
+    return workspaceLists.get(account.name);
+  }
+
+  async function listAccount(account, { limit = Infinity } = {}) {
+    const { typeform } = account;
+    workspaceLists.delete(account.name); // a full listing also refreshes the workspaces
+    // The limit can only be applied while listing when no tag filter drops forms afterwards
+    const listLimit = account.tags.length ? Infinity : limit;
+    const forms = [];
+    if (!account.workspaces.length) {
+      forms.push(...await typeform.fetchAllForms({ limit: listLimit }));
+    } else {
+      for (const ws of await pickedWorkspaces(account)) {
+        if (forms.length >= listLimit) break;
+        const list = await typeform.fetchAllForms({ workspaceId: ws.id, limit: listLimit - forms.length });
+        forms.push(...list.map(f => ({ ...f, workspace_id: ws.id, workspace: ws.name })));
+      }
+    }
+    const tagged = account.tags.length ? forms.filter(f => (f.tags || []).some(t => account.tags.includes(t))) : forms;
+    return tagged.slice(0, limit).map(f => remember(account, f));
+  }
+
+  async function fetchAllForms({ limit = Infinity } = {}) {
+    const all = [];
+    for (const account of accounts) {
+      if (all.length >= limit) break;
+      all.push(...await listAccount(account, { limit: limit - all.length }));
+    }
+    return all.slice(0, limit);
+  }
+
+  async function lookupInAccount(account, formId) {
+    // -> true when the form belongs to the account and passes its filters
+    let definition;
+    try {
+      definition = await account.typeform.fetchRawFormDefinition(formId);
+    } catch (e) {
+      // Another account's form: Typeform answers 403 or 404 (a dump 404)
+      const status = e?.status ?? e?.response?.status;
+      if (status === 403 || status === 404) return false;
+      throw e;
+    }
+    if (account.tags.length) {
+      // Form definitions may not carry tags: then only the listing can tell
+      if (!Array.isArray(definition?.tags)) {
+        await listAccount(account);
+        return owners.get(formId)?.account === account;
+      }
+      if (!definition.tags.some(t => account.tags.includes(t))) return false;
+    }
+    let ws = null;
+    if (account.workspaces.length) {
+      const workspaceId = String(definition?.workspace?.href || '').split('/').filter(Boolean).pop();
+      ws = (await pickedWorkspaces(account)).find(w => w.id === workspaceId);
+      if (!ws) return false;
+    }
+    remember(account, { id: formId, title: definition?.title, workspace_id: ws?.id, workspace: ws?.name });
+    return true;
+  }
+
+  async function ownerOf(formId) {
+    // Forms given by id (--form-ids, webhooks) or created since the last listing: GET /forms/{id} per account;
+    // forms found in no account are not looked up again for MISSING_TTL_MS
+    if (!owners.has(formId)) {
+      const missedAt = missing.get(formId);
+      if (missedAt != null && Date.now() - missedAt < MISSING_TTL_MS) throw formNotConfigured(formId);
+      if (!resolving.has(formId)) {
+        resolving.set(formId, (async () => {
+          for (const account of accounts) {
+            if (await lookupInAccount(account, formId)) return;
+          }
+          missing.set(formId, Date.now());
+        })().finally(() => resolving.delete(formId)));
+      }
+      await resolving.get(formId);
+    }
+    const owner = owners.get(formId);
+    if (!owner) throw formNotConfigured(formId);
+    return owner;
+  }
+
+  return {
+    accounts: accounts.map(a => a.name),
+    fetchAllForms,
+    async formOrigin(formId) {
+      return (await ownerOf(formId)).origin;
+    },
+    async fetchRawFormDefinition(formId) {
+      return (await ownerOf(formId)).account.typeform.fetchRawFormDefinition(formId);
+    },
+    async fetchFormDefinition(formId) {
+      return (await ownerOf(formId)).account.typeform.fetchFormDefinition(formId);
+    },
+    async fetchAllResponses(formId, opts) {
+      return (await ownerOf(formId)).account.typeform.fetchAllResponses(formId, opts);
+    },
+    async deleteResponses(formId, responseIds) {
+      return (await ownerOf(formId)).account.typeform.deleteResponses(formId, responseIds);
+    },
+  };
+}
+
+module.exports = { compileAccounts, loadAccountsConfig, requireTokens, originFields, withOrigin, createAccountSet };
@@ -0,0 +1,191 @@
+'use strict';
+
+// Per-form, per-question aggregates for the dashboard:
+// choice distributions, numeric statistics, NPS breakdowns and responses over time.
+// Heavy lifting happens in MongoDB; percentiles are computed here from value frequency tables,
+// which stay small for scales and ratings.
+
+const { OTHER_LABEL } = require('./answers');
+
+const CHOICE_TYPES = new Set(['multiple_choice', 'dropdown', 'picture_choice', 'yes_no', 'legal']);
+const NUMERIC_TYPES = new Set(['opinion_scale', 'rating', 'number', 'nps']);
+const BUCKETS = new Set(['day', 'week', 'month']);
+
+function percentile(freq, total, p) {
+  // freq: [{ value, count }] sorted by value; nearest-rank method
+  if (!total) return null;
+  const rank = Math.max(1, Math.ceil(p * total));
+  let seen = 0;
+  for (const { value, count } of freq) {
+    seen += count;
+    if (seen >= rank) return value;
+  }
+  return freq[freq.length - 1].value;
+}
+
+function numericStats(freq) {
+  const sorted = [...freq].sort((a, b) => a.value - b.value);
+  const total = sorted.reduce((n, f) => n + f.count, 0);
+  if (!total) return null;
+  const sum = sorted.reduce((n, f) => n + f.value * f.count, 0);
+  return {
+    count: total,
+    mean: sum / total,
+    min: sorted[0].value,
+    max: sorted[sorted.length - 1].value,
+    median: percentile(sorted, total, 0.5),
+    p25: percentile(sorted, total, 0.25),
+    p75: percentile(sorted, total, 0.75),
+    p90: percentile(sorted, total, 0.9),
+    distribution: sorted,
+  };
+}
+
+function npsBreakdown(freq) {
+  let promoters = 0, passives = 0, detractors = 0;
+  for (const { value, count } of freq) {
+    if (value >= 9) promoters += count;
+    else if (value >= 7) passives += count;
+    else detractors += count;
+  }
+  const total = promoters + passives + detractors;
+  if (!total) return null;
+  return {
+    promoters,
+    passives,
+    detractors,
+    score: Math.round(((promoters - detractors) / total) * 100),
+  };
+}
+
+function bucketExpression(bucket) {
+  // datum is stored as YYYY-MM-DD
+  if (bucket === 'month') return { $substrCP: ['$datum', 0, 7] };
+  if (bucket === 'week') {
+    const d = { $dateFromString: { dateString: '$datum', format: '%Y-%m-%d', onError: null, onNull: null } };
+    return { $dateToString: { date: d, format: '%G-W%V', onNull: null } };
+  }
+  return '$datum';
+}
+
+function otherBucketStages() {
+  // For viewers: the text typed into an "Other" option (sonstiges) counts as OTHER_LABEL in wert and antwort,
+  // the aggregation counterpart of replaceOtherText in lib/answers.js
+  const hasOther = { $ne: [{ $ifNull: ['$sonstiges', null] }, null] };
+  const isOther = value => ({ $and: [hasOther, { $eq: [value, '$sonstiges'] }] });
+  return [
+    { $addFields: { wert: { $cond: [
+      { $isArray: '$wert' },
+      { $map: { input: '$wert', in: { $cond: [isOther('$$this'), OTHER_LABEL, '$$this'] } } },
+      { $cond: [isOther('$wert'), OTHER_LABEL, '$wert'] },
+    ] } } },
+    // Multi-select antwort is the labels joined with ", " (see choicesLabels)
+    { $addFields: { antwort: { $cond: [
+      { $and: [hasOther, { $isArray: '$wert' }] },
+      { $reduce: { input: '$wert', initialValue: null, in: { $cond: [{ $eq: ['$$value', null] }, '$$this', { $concat: ['$$value', ', ', '$$this'] }] } } },
+      { $cond: [isOther('$antwort'), OTHER_LABEL, '$antwort'] },
+    ] } } },
+  ];
+}
+
+// bucketOther: count "Other" texts as OTHER_LABEL (requests that must not see them, see lib/auth.js)
+async function formAnalytics(answers, match, { bucket = 'week', bucketOther = false } = {}) {
+  if (!BUCKETS.has(bucket)) throw new Error(`Unsupported bucket: ${bucket} (day, week, month)`);
+  const base = [{ $match: match }, { $match: { field_id: { $ne: null } } }, ...(bucketOther ? otherBucketStages() : [])];
+
+  const [fieldRows, choiceRows, rankingRows, numericRows, timeline, totals] = await Promise.all([
+    answers.aggregate([
+      ...base,
+      { $group: {
+        _id: '$field_id',
+        frage: { $first: '$frage' },
+        gruppe: { $first: '$gruppe' },
+        pfad: { $first: '$pfad' },
+        answer_type: { $first: '$answer_type' },
+        count: { $sum: 1 },
+        pos: { $min: '$idx' },
+      } },
+      { $sort: { pos: 1 } },
+    ], { allowDiskUse: true }).toArray(),
+    // Multi-select answers carry an array of labels in wert; older docs only have antwort
+    answers.aggregate([
+      ...base,
+      { $match: { answer_type: { $in: [...CHOICE_TYPES] } } },
+      { $project: { field_id: 1, labels: { $cond: [{ $isArray: '$wert' }, '$wert', ['$antwort']] } } },
+      { $unwind: '$labels' },
+      { $group: { _id: { field_id: '$field_id', label: '$labels' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ], { allowDiskUse: true }).toArray(),
+    answers.aggregate([
+      ...base,
+      { $match: { answer_type: 'ranking', wert: { $type: 'array' } } },
+      { $unwind: { path: '$wert', includeArrayIndex: 'rank' } },
+      { $group: { _id: { field_id: '$field_id', label: '$wert' }, avg_rank: { $avg: { $add: ['$rank', 1] } }, count: { $sum: 1 } } },
+      { $sort: { avg_rank: 1 } },
+    ], { allowDiskUse: true }).toArray(),
+    answers.aggregate([
+      ...base,
+      { $match: { answer_type: { $in: [...NUMERIC_TYPES] } } },
+      { $project: { field_id: 1, value: { $cond: [
+        { $isNumber: '$wert' },
+        '$wert',
+        { $convert: { input: '$antwort', to: 'double', onError: null, onNull: null } },
+      ] } } },
+      { $match: { value: { $ne: null } } },
+      { $group: { _id: { field_id: '$field_id', value: '$value' }, count: { $sum: 1 } } },
+    ], { allowDiskUse: true }).toArray(),
+    answers.aggregate([
+      { $match: match },
+      { $group: { _id: '$response_id', datum: { $first: '$datum' } } },
+      { $group: { _id: bucketExpression(bucket), count: { $sum: 1 } } },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, bucket: '$_id', count: 1 } },
+    ], { allowDiskUse: true }).toArray(),
+    answers.aggregate([
+      { $match: match },
+      { $group: { _id: '$response_id' } },
+      { $count: 'responses' },
+    ]).toArray(),
+  ]);
+
+  const fields = new Map(fieldRows.map(f => [f._id, {
+    field_id: f._id,
+    frage: f.frage ?? null,
+    gruppe: f.gruppe ?? null,
+    pfad: f.pfad ?? null,
+    answer_type: f.answer_type ?? null,
+    count: f.count,
+  }]));
+
+  for (const r of choiceRows) {
+    const f = fields.get(r._id.field_id);
+    if (!f) continue;
+    (f.choices = f.choices || []).push({ label: r._id.label, count: r.count });
+  }
+  for (const r of rankingRows) {
+    const f = fields.get(r._id.field_id);
+    if (!f) continue;
+    (f.ranking = f.ranking || []).push({ label: r._id.label, avg_rank: r.avg_rank, count: r.count });
+  }
+  const numericByField = new Map();
+  for (const r of numericRows) {
+    if (!numericByField.has(r._id.field_id)) numericByField.set(r._id.field_id, []);
+    numericByField.get(r._id.field_id).push({ value: r._id.value, count: r.count });
+  }
+  for (const [fieldId, freq] of numericByField) {
+    const f = fields.get(fieldId);
+    if (!f) continue;
+    f.stats = numericStats(freq);
+    if (f.answer_type === 'nps') f.nps = npsBreakdown(freq);
+  }
+
+  return {
+    responses: totals[0]?.responses ?? 0,
+    bucket,
+    timeline,
+    fields: [...fields.values()],
+  };
+}
+
+module.exports = { BUCKETS, numericStats, npsBreakdown, otherBucketStages, formAnalytics };
@@ -0,0 +1,312 @@
+'use strict';
+
+// Turns Typeform form definitions and response items into answer documents
+// (one document per answer). Shared by the batch sync (index.js) and the
+// webhook receiver (server.js) so both produce identical documents.
+
+const CHIFFRE_REGEX = /^\d{5}[A-Za-z]{1}\d{8}$/;
+// What viewers see instead of the text typed into a choice's "Other" option (see replaceOtherText)
+const OTHER_LABEL = 'Sonstiges';
+
+function formatDate(dateStr) {
+  // Typeform's "submitted_at" is ISO datetime. We want YYYY-MM-DD
+  if (!dateStr) return null;
+  try {
+    const d = new Date(dateStr);
+    if (Number.isNaN(d.getTime())) return null;
+    return d.toISOString().slice(0, 10);
+  } catch (_) {
+    return null;
+  }
+}
+
+function choiceMaps(choices) {
+  const labelById = new Map();
+  const labelByValue = new Map();
+  for (const c of choices) {
+    if (c.id) labelById.set(c.id, c.label);
+    if (c.label) labelByValue.set(c.label, c.label); // fallback mapping
+  }
+  return { byId: labelById, byValue: labelByValue };
+}
+
+// Fields with properties.choices whose ids we resolve to labels
+const CHOICE_TYPES = new Set(['multiple_choice', 'dropdown', 'picture_choice', 'ranking']);
+// Container fields whose questions live in properties.fields (matrix rows are multiple_choice fields)
+const CONTAINER_TYPES = new Set(['group', 'inline_group', 'matrix']);
+
+function buildFieldMap(definition) {
+  // Build a map field_id -> { title, choicesByIdOrValue(optional) }, descending into groups and matrices
+  const fieldMap = new Map();
+
+  function visit(fields, parents) {
+    for (const f of fields || []) {
+      const parent = parents[parents.length - 1] || null;
+      const entry = {
+        title: f.title,
+        id: f.id,
+        type: f.type,
+        group: parent?.title ?? null,
+        group_id: parent?.id ?? null,
+        path: [...parents.map(p => p.title), f.title],
+      };
+
+      // Handle multiple choice / dropdown / ranking label mapping
+      // Forms API: f.properties.choices = [{ id?, label }, ...]; webhook payloads carry f.choices
+      const choices = f.properties?.choices ?? f.choices;
+      if (CHOICE_TYPES.has(f.type) && Array.isArray(choices)) {
+        entry.choices = choiceMaps(choices);
+      }
+
+      fieldMap.set(f.id, entry);
+
+      if (CONTAINER_TYPES.has(f.type) && Array.isArray(f.properties?.fields)) {
+        visit(f.properties.fields, [...parents, { id: f.id, title: f.title }]);
+      }
+    }
+  }
+
+  visit(definition?.fields, []);
+  return fieldMap; // Map(field_id -> {title, id, type, group, group_id, path, choices?})
+}
+
+function textCandidates(ans) {
+  // Text-like values of one answer. Common Typeform answer shapes: email, text, choice, choices, boolean, date, file_url, number
+  const candidates = [];
+  if (ans.text) candidates.push(ans.text);
+  if (ans.email) candidates.push(ans.email);
+  if (ans.number != null) candidates.push(String(ans.number));
+  if (ans.date) candidates.push(ans.date);
+  if (ans.choice && ans.choice.label) candidates.push(ans.choice.label);
+  if (ans.choices && Array.isArray(ans.choices.labels)) candidates.push(...ans.choices.labels);
+  return candidates.filter(c => typeof c === 'string');
+}
+
+function extractEmailAndChiffre(answers) {
+  // Built-in heuristic: first email-typed answer, first text-like value matching CHIFFRE_REGEX.
+  // lib/identity.js applies configured rules and falls back to the same logic.
+  let email = null;
+  let chiffre = null;
+  const list = Array.isArray(answers) ? answers : [];
+
+  for (const ans of list) {
+    if (!email && ans.type === 'email' && ans.email) {
+      email = ans.email;
+    }
+
+    // Check text-like values for chiffre pattern
+    chiffre = textCandidates(ans).find(c => CHIFFRE_REGEX.test(c)) ?? null;
+    if (chiffre) break;
+  }
+
+  return { email, chiffre };
+}
+
+function choiceLabel(choice, fieldMeta) {
+  return choice.label
+    || (fieldMeta?.choices?.byId?.get(choice.id))
+    || (choice.other)
+    || null;
+}
+
+function choicesLabels(choices, fieldMeta) {
+  // Prefer the labels Typeform sends; fall back to resolving ids via the field definition
+  const labels = Array.isArray(choices.labels)
+    ? [...choices.labels]
+    : (Array.isArray(choices.ids) ? choices.ids.map(id => fieldMeta?.choices?.byId?.get(id)).filter(Boolean) : []);
+  if (choices.other) labels.push(choices.other);
+  return labels;
+}
+
+function otherText(ans) {
+  // Free text of the "Other" option of a choice answer; it also ends up in antwort and wert
+  const other = ans?.choice?.other ?? ans?.choices?.other;
+  return typeof other === 'string' && other ? other : null;
+}
+
+function replaceOtherText(doc, replacement) {
+  // Swaps doc.sonstiges for replacement in antwort and wert. choicesLabels adds the text last,
+  // so in a multi-select antwort it is the part after the last ", "
+  const other = doc?.sonstiges;
+  if (other == null) return doc;
+  const out = { ...doc, sonstiges: replacement };
+  if (out.antwort === other) out.antwort = replacement;
+  else if (typeof out.antwort === 'string' && out.antwort.endsWith(`, ${other}`)) out.antwort = `${out.antwort.slice(0, -other.length)}${replacement}`;
+  if (Array.isArray(out.wert)) out.wert = out.wert.map(v => (v === other ? replacement : v));
+  else if (out.wert === other) out.wert = replacement;
+  return out;
+}
+
+function multiFormatValue(mf) {
+  // Audio/video answers: prefer the recording URL, else the transcript/text
+  if (!mf || typeof mf !== 'object') return mf ?? null;
+  return mf.video_url || mf.audio_url || mf.file_url || mf.url || mf.text || null;
+}
+
+function answerValueToLabel(ans, fieldMeta) {
+  // Convert answer to human-readable label when multiple choice, else keep the textual value
+  if (!ans) return null;
+
+  // direct text/email/number/date
+  if (ans.text != null) return ans.text;
+  if (ans.email != null) return ans.email;
+  if (ans.number != null) return String(ans.number);
+  if (ans.date != null) return ans.date;
+  if (ans.boolean != null) return String(ans.boolean);
+  if (ans.url != null) return ans.url;
+
+  // Multiple choice single
+  if (ans.choice) return choiceLabel(ans.choice, fieldMeta);
+  // Multiple choice multiple (and ranking, in rank order)
+  if (ans.choices) {
+    const labels = choicesLabels(ans.choices, fieldMeta);
+    return labels.length ? labels.join(', ') : null;
+  }
+
+  if (ans.phone_number != null) return ans.phone_number;
+  if (ans.payment) {
+    const p = ans.payment;
+    return p.amount != null ? `${p.amount}${p.success === false ? ' (failed)' : ''}` : null;
+  }
+  if (ans.multi_format != null) return multiFormatValue(ans.multi_format);
+
+  // file_url or other
+  if (ans.file_url) return ans.file_url;
+
+  return null;
+}
+
+function answerTypedValue(ans, fieldMeta) {
+  // Typed counterpart of answerValueToLabel: number, boolean, Date, string or array of labels.
+  // answer_type is the field type from the definition (opinion_scale, rating, nps, ranking, ...)
+  // and falls back to the answer's own type when the field is unknown.
+  if (!ans) return { answer_type: fieldMeta?.type ?? null, wert: null };
+  const answerType = fieldMeta?.type || ans.type || null;
+  let wert = null;
+
+  if (ans.number != null) {
+    const n = Number(ans.number);
+    wert = Number.isFinite(n) ? n : null;
+  } else if (ans.boolean != null) {
+    wert = ans.boolean === true || ans.boolean === 'true';
+  } else if (ans.date != null) {
+    const d = new Date(ans.date);
+    wert = Number.isNaN(d.getTime()) ? null : d;
+  } else if (ans.choice) {
+    wert = choiceLabel(ans.choice, fieldMeta);
+  } else if (ans.choices) {
+    wert = choicesLabels(ans.choices, fieldMeta);
+  } else if (ans.payment) {
+    const amount = Number(ans.payment.amount);
+    wert = Number.isFinite(amount) ? amount : null;
+  } else if (ans.multi_format != null) {
+    wert = multiFormatValue(ans.multi_format);
+  } else {
+    wert = ans.text ?? ans.email ?? ans.url ?? ans.phone_number ?? ans.file_url ?? null;
+  }
+
+  return { answer_type: answerType, wert };
+}
+
+function answerDocId(formId, responseId, fieldId, idx) {
+  // Stable identity: does not depend on email/chiffre extraction. idx is only a fallback
+  // for answers whose field id cannot be determined.
+  return fieldId
+    ? `${formId}_${responseId}_${fieldId}`
+    : `${formId}_${responseId}_idx${idx}`;
+}
+
+// identity: { email, chiffre } from lib/identity.js (extractIdentity); without it the built-in heuristic is used
+function buildAnswerDocs(formId, fieldMap, responseItem, identity = null) {
+  const list = Array.isArray(responseItem?.answers) ? responseItem.answers : [];
+  const rid = responseItem?.response_id ?? responseItem?.token ?? null;
+  const submitted = responseItem?.submitted_at ?? responseItem?.landed_at ?? null;
+  const { email, chiffre } = identity ?? extractEmailAndChiffre(list);
+  const datum = formatDate(submitted);
+  const docs = [];
+  let idx = 0;
+
+  for (const ans of list) {
+  const fieldId = ans.field?.id || ans.field_id || ans.field || null; // safeguard across shapes
+    const fieldMeta = fieldId ? fieldMap.get(fieldId) : undefined;
+    const frage = fieldMeta?.title || null;
+    const antwort = answerValueToLabel(ans, fieldMeta);
+    const { answer_type, wert } = answerTypedValue(ans, fieldMeta);
+
+    const doc = {
+      id: answerDocId(formId, rid, fieldId, idx),
+      antwort: antwort ?? null,
+      wert: wert, // typed value; antwort stays the human-readable label
+      sonstiges: otherText(ans), // text typed into an "Other" option, also part of antwort/wert
+      answer_type: answer_type,
+      chiffre: chiffre ?? null,
+      datum: datum,
+      email: email ?? null,
+      field_id: fieldId ?? null,
+      form_id: formId,
+      frage: frage,
+      gruppe: fieldMeta?.group ?? null, // title of the enclosing group/matrix, null at top level
+      pfad: fieldMeta?.path ?? null, // [group titles..., question title]
+      idx: idx, // position in the response (display order only, not part of the key)
+      response_id: rid,
+    };
+
+    docs.push(doc);
+    idx += 1;
+  }
+
+  return docs;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function buildResponseDoc(formId, responseItem, identity = null) {
+  // One document per response with everything buildAnswerDocs leaves out:
+  // hidden fields, variables (incl. the calculated score), metadata, timestamps and the ending shown.
+  const list = Array.isArray(responseItem?.answers) ? responseItem.answers : [];
+  const rid = responseItem?.response_id ?? responseItem?.token ?? null;
+  const { email, chiffre } = identity ?? extractEmailAndChiffre(list);
+  const variables = Array.isArray(responseItem?.variables) ? responseItem.variables : [];
+  const scoreVar = variables.find(v => v?.key === 'score');
+  const score = responseItem?.calculated?.score ?? (scoreVar ? scoreVar.number ?? null : null);
+
+  return {
+    response_id: rid,
+    form_id: formId,
+    token: responseItem?.token ?? null,
+    email: email ?? null,
+    chiffre: chiffre ?? null,
+    datum: formatDate(responseItem?.submitted_at ?? responseItem?.landed_at),
+    landed_at: toDate(responseItem?.landed_at),
+    submitted_at: toDate(responseItem?.submitted_at),
+    hidden: responseItem?.hidden ?? {},
+    variables,
+    score,
+    calculated: responseItem?.calculated ?? null,
+    metadata: responseItem?.metadata ?? null, // platform, referer, user_agent, network_id, browser
+    ending: responseItem?.ending ?? null, // { id, ref } of the ending screen shown
+    answers_count: list.length,
+    // Where email/chiffre came from and whether extraction was ambiguous (see lib/identity.js)
+    identity: identity?.details ?? null,
+  };
+}
+
+module.exports = {
+  CHIFFRE_REGEX,
+  OTHER_LABEL,
+  CONTAINER_TYPES,
+  formatDate,
+  answerDocId,
+  buildFieldMap,
+  textCandidates,
+  extractEmailAndChiffre,
+  answerValueToLabel,
+  answerTypedValue,
+  replaceOtherText,
+  buildAnswerDocs,
+  buildResponseDoc,
+};
@@ -0,0 +1,119 @@
+'use strict';
+
+// Archive of the raw Typeform payloads, so answer documents can be rebuilt offline (`node index.js rebuild`)
+// after the mapping in lib/answers.js changes:
+//  - response_archive: one document per response { response_id, form_id, form_version, account, workspace_id, workspace, source, raw, archived_at }
+//  - form_archive: one document per form version { form_id, version, definition, first_seen_at, last_seen_at,
+//    previous_version, diff, changes } — diff is the field-level change against previous_version (lib/definitions.js);
+//    changes holds { at, previous_version, diff } for every switch to the version, including changes back to it
+// A form version is a content hash of the definition, so an unchanged form keeps its version across syncs.
+
+const crypto = require('crypto');
+const { originFields } = require('./accounts');
+const { formSnapshot, diffSnapshots } = require('./definitions');
+
+function canonicalJson(value) {
+  // Key order must not change the hash
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function formVersion(definition) {
+  // _links only points to the public form URL
+  const { _links, ...rest } = definition || {};
+  return crypto.createHash('sha256').update(canonicalJson(rest)).digest('hex').slice(0, 16);
+}
+
+async function ensureArchiveIndexes({ responseArchive, formArchive }) {
+  if (responseArchive) {
+    await responseArchive.createIndex({ response_id: 1 }, { unique: true, name: 'uniq_response_id' });
+    await responseArchive.createIndex({ form_id: 1, submitted_at: 1 }, { name: 'form_submitted' });
+  }
+  if (formArchive) {
+    await formArchive.createIndex({ form_id: 1, version: 1 }, { unique: true, name: 'uniq_form_version' });
+  }
+}
+
+async function archiveFormDefinition(formArchive, formId, definition) {
+  // -> version; the first sighting of a version keeps its definition, later ones only bump last_seen_at.
+  // Every switch to another version, new or seen before (a form changed back), appends to its changes
+  if (!definition) return null;
+  const version = formVersion(definition);
+  if (!formArchive) return version;
+  const now = new Date();
+  const latest = await formArchive.find({ form_id: formId }).sort({ last_seen_at: -1 }).limit(1).next();
+  const change = latest?.version === version ? null : {
+    at: now,
+    previous_version: latest?.version ?? null,
+    diff: latest ? diffSnapshots(formSnapshot(latest.definition), formSnapshot(definition)) : null,
+  };
+  await formArchive.updateOne(
+    { form_id: formId, version },
+    {
+      // previous_version and diff describe the first sighting
+      $setOnInsert: { form_id: formId, version, definition, first_seen_at: now, previous_version: change?.previous_version ?? null, diff: change?.diff ?? null },
+      $set: { last_seen_at: now },
+      ...(change ? { $push: { changes: change } } : {}),
+    },
+    { upsert: true }
+  );
+  return version;
+}
+
+async function archiveResponses(responseArchive, formId, formVersionId, items, { source = 'sync', origin = null } = {}) {
+  if (!responseArchive || !items?.length) return 0;
+  const now = new Date();
+  const ops = items.filter(r => r?.response_id ?? r?.token).map(r => ({
+    updateOne: {
+      filter: { response_id: r.response_id ?? r.token },
+      update: {
+        $set: { response_id: r.response_id ?? r.token, form_id: formId, form_version: formVersionId, submitted_at: r.submitted_at ?? null, source, ...originFields(origin), raw: r, updated_at: now },
+        $setOnInsert: { archived_at: now },
+      },
+      upsert: true,
+    },
+  }));
+  if (!ops.length) return 0;
+  await responseArchive.bulkWrite(ops, { ordered: false });
+  return ops.length;
+}
+
+async function loadFormVersions(formArchive, formId) {
+  // -> { versions: Map(version -> definition), latest: definition | null, latestVersion }
+  const docs = await formArchive.find({ form_id: formId }).sort({ last_seen_at: -1 }).toArray();
+  return { versions: new Map(docs.map(d => [d.version, d.definition])), latest: docs[0]?.definition ?? null, latestVersion: docs[0]?.version ?? null };
+}
+
+async function listFormVersions(formArchive, formId) {
+  // Newest first, one item per switch to a version, so a version the form changed back to is listed again:
+  // { version, title, fields, first_seen_at, last_seen_at, changed_at, previous_version, diff }
+  const docs = await formArchive.find({ form_id: formId }).sort({ first_seen_at: 1 }).toArray();
+  const items = docs.flatMap((d, i) => {
+    const snapshot = formSnapshot(d.definition);
+    const changes = d.changes || [];
+    if (!changes.length || !d.first_seen_at || changes[0].at?.getTime() !== d.first_seen_at.getTime()) {
+      // Versions archived before changes were recorded: the first sighting, compared with the version seen before
+      changes.unshift({
+        at: d.first_seen_at ?? null,
+        previous_version: d.previous_version !== undefined ? d.previous_version : (docs[i - 1]?.version ?? null),
+        diff: d.diff !== undefined ? d.diff : (i ? diffSnapshots(formSnapshot(docs[i - 1].definition), snapshot) : null),
+      });
+    }
+    return changes.map(c => ({
+      version: d.version,
+      title: snapshot?.title ?? null,
+      fields: snapshot?.fields.length ?? 0,
+      first_seen_at: d.first_seen_at ?? null,
+      last_seen_at: d.last_seen_at ?? null,
+      changed_at: c.at,
+      previous_version: c.previous_version,
+      diff: c.diff,
+    }));
+  });
+  return items.sort((a, b) => (b.changed_at?.getTime() ?? 0) - (a.changed_at?.getTime() ?? 0));
+}
+
+module.exports = { formVersion, ensureArchiveIndexes, archiveFormDefinition, archiveResponses, loadFormVersions, listFormVersions };
@@ -0,0 +1,215 @@
+'use strict';
+
+// Authentication, roles and PII masking for the web server.
+// Two pluggable authenticators are tried in order:
+//  - static API tokens (Authorization: Bearer <token> or X-API-Token), configured via API_TOKENS
+//  - user accounts (scrypt-hashed passwords in MongoDB) with a signed session cookie for the web UI;
+//    the account is re-read on every request, so removing, disabling or changing a user (which bumps its
+//    session_version, see lib/users.js) ends its sessions right away
+// Roles are ordered: viewer < analyst < admin. Viewers get emails and free-text answers masked, and the
+// text typed into a choice's "Other" option shows as OTHER_LABEL.
+
+const crypto = require('crypto');
+const { OTHER_LABEL, replaceOtherText } = require('./answers');
+
+const ROLES = { viewer: 1, analyst: 2, admin: 3 };
+const SESSION_COOKIE = 'tfm_session';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const MASK = '•••';
+// Answer types whose content is free text written by the participant (or otherwise identifying)
+const FREE_TEXT_TYPES = new Set(['short_text', 'long_text', 'text', 'email', 'phone_number', 'website', 'url', 'file_upload', 'file_url', 'multi_format', 'contact_info', 'address']);
+
+// ---- Passwords ----
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// ---- Static API tokens ----
+
+function parseApiTokens(value) {
+  // API_TOKENS=role:token,role:token  (e.g. analyst:abc123,viewer:def456)
+  const tokens = new Map();
+  for (const entry of String(value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const sep = entry.indexOf(':');
+    const role = entry.slice(0, sep);
+    const token = entry.slice(sep + 1);
+    if (sep < 1 || !token || !ROLES[role]) throw new Error(`Invalid API_TOKENS entry (expected role:token, role one of ${Object.keys(ROLES).join(', ')})`);
+    tokens.set(token, role);
+  }
+  return tokens;
+}
+
+function findToken(tokens, candidate) {
+  // Compare against every token in constant time per comparison
+  if (!candidate) return null;
+  const c = Buffer.from(candidate);
+  for (const [token, role] of tokens) {
+    const t = Buffer.from(token);
+    if (t.length === c.length && crypto.timingSafeEqual(t, c)) return { name: `token:${token.slice(0, 4)}…`, role, via: 'token' };
+  }
+  return null;
+}
+
+// ---- Session cookie (HMAC-signed, checked against the account on every request) ----
+
+function sign(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const mac = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${mac}`;
+}
+
+function unsign(value, secret) {
+  const [body, mac] = String(value || '').split('.');
+  if (!body || !mac) return null;
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(body).digest('base64url'));
+  const actual = Buffer.from(mac);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return payload.exp > Date.now() ? payload : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+// ---- Masking ----
+
+function maskEmail(email) {
+  if (!email || typeof email !== 'string') return email;
+  const [local, domain] = email.split('@');
+  if (!domain) return MASK;
+  return `${local.slice(0, 1)}${MASK}@${domain}`;
+}
+
+function isFreeText(answerType) {
+  // Unknown type (documents synced before answer_type existed): treat as free text
+  return !answerType || FREE_TEXT_TYPES.has(answerType);
+}
+
+function maskItem(item) {
+  let out = { ...item };
+  if ('email' in out) out.email = maskEmail(out.email);
+  if ('antwort' in out && isFreeText(out.answer_type)) {
+    if (out.antwort != null) out.antwort = MASK;
+    if (out.wert != null) out.wert = MASK;
+  } else if (out.sonstiges != null) {
+    out = { ...replaceOtherText(out, OTHER_LABEL), sonstiges: MASK };
+  }
+  return out;
+}
+
+function canSeePii(req) {
+  return (ROLES[req.user?.role] || 0) >= ROLES.analyst;
+}
+
+function maskForRequest(req, items) {
+  return canSeePii(req) ? items : items.map(maskItem);
+}
+
+// ---- Middleware ----
+
+function createAuth({ apiTokens, findUser, revokeSessions = null, sessionSecret, disabled = false, secureCookie = false, log = console } = {}) {
+  const tokens = parseApiTokens(apiTokens);
+  let secret = sessionSecret;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    if (!disabled) log.warn('SESSION_SECRET not set: using a random secret, sessions end when the server restarts.');
+  }
+
+  async function identify(req) {
+    const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i)?.[1] || req.get('X-API-Token');
+    if (bearer) return findToken(tokens, bearer.trim());
+    const session = unsign(readCookie(req, SESSION_COOKIE), secret);
+    if (!session || !findUser) return null;
+    // The role comes from the account, not from the cookie
+    const account = await findUser(String(session.u));
+    if (!account || account.disabled || (account.session_version || 0) !== (session.v || 0)) return null;
+    return { name: account.username, role: account.role, via: 'session' };
+  }
+
+  async function authenticate(req, res, next) {
+    try {
+      if (disabled) {
+        req.user = { name: 'anonymous', role: 'admin', via: 'disabled' };
+        return next();
+      }
+      const user = await identify(req);
+      if (!user || !ROLES[user.role]) return res.status(401).json({ error: 'Authentication required' });
+      req.user = user;
+      next();
+    } catch (e) {
+      next(e);
+    }
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if ((ROLES[req.user?.role] || 0) >= ROLES[role]) return next();
+      res.status(403).json({ error: `Requires role ${role}` });
+    };
+  }
+
+  async function login(req, res) {
+    try {
+      const { username, password } = req.body || {};
+      if (!username || !password || !findUser) return res.status(401).json({ error: 'Invalid credentials' });
+      const account = await findUser(String(username));
+      if (!account || account.disabled || !verifyPassword(password, account.password_hash)) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      const value = sign({ u: account.username, v: account.session_version || 0, exp: Date.now() + SESSION_TTL_MS }, secret);
+      res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_MS / 1000}${secureCookie ? '; Secure' : ''}`);
+      res.json({ username: account.username, role: account.role });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+
+  async function logout(req, res) {
+    try {
+      // Ends every session of the user, so a copied cookie stops working too
+      const user = disabled ? null : await identify(req);
+      if (user?.via === 'session' && revokeSessions) await revokeSessions(user.name);
+      res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${secureCookie ? '; Secure' : ''}`);
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+
+  return { authenticate, requireRole, login, logout };
+}
+
+module.exports = {
+  ROLES,
+  MASK,
+  FREE_TEXT_TYPES,
+  hashPassword,
+  verifyPassword,
+  parseApiTokens,
+  maskEmail,
+  isFreeText,
+  canSeePii,
+  maskForRequest,
+  createAuth,
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+// Long-running sync for `node index.js --daemon`: runs lib/sync.js on the schedules from lib/schedule.js
+// with one MongoDB connection, never two runs at once, and a small HTTP server for health checks:
+//   GET /healthz  liveness (the process and its scheduler are alive)
+//   GET /readyz   readiness (MongoDB answers a ping and the daemon is not shutting down)
+// stop() lets the current run finish the forms it is working on, skips the rest and resolves afterwards.
+
+const http = require('http');
+const { runSync } = require('./sync');
+
+const TICK_MS = 15 * 1000;
+
+function createDaemon({ typeform, db, collections, sink = null, schedules, syncOptions, log = console }) {
+  const startedAt = new Date();
+  // Intervals run once right after start, cron schedules wait for their first matching minute
+  const firstAt = schedule => (schedule.interval ? startedAt : schedule.next(startedAt));
+  const entries = [];
+  if (schedules.default) entries.push({ key: 'default', schedule: schedules.default, nextAt: firstAt(schedules.default) });
+  for (const [formId, schedule] of schedules.forms) {
+    entries.push({ key: formId, schedule, nextAt: firstAt(schedule) });
+  }
+  let timer = null;
+  let current = null; // { promise, controller, keys, startedAt }
+  let lastRun = null;
+  let stopping = false;
+  const listed = new Map(); // form_id -> form from the last listing (for titles)
+
+  async function formsFor(due) {
+    // Forms are only listed when the default schedule is due; per-form schedules sync their ids directly
+    const own = new Set(schedules.forms.keys());
+    const keys = new Set(due.map(e => e.key));
+    const forms = [];
+    if (keys.has('default')) {
+      const all = syncOptions.formIds
+        ? syncOptions.formIds.map(id => ({ id, title: undefined }))
+        : await typeform.fetchAllForms({ limit: syncOptions.formsLimit });
+      for (const f of all) listed.set(f.id, f);
+      forms.push(...all.filter(f => !own.has(f.id)));
+    }
+    for (const key of keys) {
+      // Titles come from the last listing if there was one, otherwise from the form definition (lib/sync.js)
+      if (key !== 'default') forms.push(listed.get(key) || { id: key, title: undefined });
+    }
+    return forms;
+  }
+
+  async function runDue(due, controller) {
+    try {
+      const forms = await formsFor(due);
+      log.log(`Scheduled sync: ${forms.length} forms (${due.map(e => e.key).join(', ')}).`);
+      if (!forms.length) return;
+      const result = await runSync({ typeform, collections, sink, log }, { ...syncOptions, forms, formIds: null, signal: controller.signal, trigger: 'daemon' });
+      lastRun = { run_id: result.run_id ? String(result.run_id) : null, status: result.status, finished_at: new Date(), totals: result.totals };
+    } catch (e) {
+      // 409: another process (CLI, web server) holds the sync lock; the next due time tries again
+      log.error(`Scheduled sync ${e?.code === 'SYNC_RUNNING' ? 'skipped' : 'failed'}: ${e?.message || e}`);
+      lastRun = { run_id: null, status: e?.code === 'SYNC_RUNNING' ? 'skipped' : 'failed', finished_at: new Date(), error: e?.message || String(e) };
+    }
+  }
+
+  function tick() {
+    if (current || stopping) return;
+    const now = new Date();
+    const due = entries.filter(e => e.nextAt <= now);
+    if (!due.length) return;
+    // Next times are computed from now: a run longer than its interval is followed right away, never overlapped
+    for (const e of due) e.nextAt = e.schedule.next(now);
+    const controller = new AbortController();
+    current = { controller, keys: due.map(e => e.key), startedAt: now };
+    current.promise = runDue(due, controller).finally(() => { current = null; });
+  }
+
+  function status() {
+    return {
+      started_at: startedAt,
+      stopping,
+      running: current ? { forms: current.keys, started_at: current.startedAt } : null,
+      last_run: lastRun,
+      schedules: entries.map(e => ({ forms: e.key, schedule: e.schedule.text, next_at: e.nextAt })),
+    };
+  }
+
+  async function ready() {
+    if (stopping) return false;
+    try {
+      await db.command({ ping: 1 });
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function healthServer({ port, host }) {
+    const server = http.createServer(async (req, res) => {
+      const send = (code, body) => {
+        res.writeHead(code, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+      if (req.method !== 'GET') return send(405, { error: 'Method not allowed' });
+      if (req.url === '/healthz') return send(200, { status: stopping ? 'stopping' : 'ok', ...status() });
+      if (req.url === '/readyz') {
+        const ok = await ready();
+        return send(ok ? 200 : 503, { ready: ok, ...status() });
+      }
+      send(404, { error: 'Not found' });
+    });
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => resolve(server));
+    });
+  }
+
+  function start() {
+    for (const e of entries) log.log(`Schedule ${e.key}: ${e.schedule.text}, next ${e.nextAt.toISOString()}.`);
+    timer = setInterval(tick, TICK_MS);
+    tick();
+  }
+
+  async function stop() {
+    stopping = true;
+    if (timer) clearInterval(timer);
+    if (current) {
+      log.log('Stopping: finishing the forms in progress...');
+      current.controller.abort();
+      await current.promise;
+    }
+  }
+
+  return { start, stop, status, healthServer };
+}
+
+module.exports = { createDaemon };
@@ -0,0 +1,136 @@
+'use strict';
+
+// Typed snapshots of form definitions and field-level diffs between form versions.
+// A snapshot keeps every field (flattened out of groups and matrices, with group_id) with type, title, ref,
+// required, choices, validations and the remaining properties, plus hidden fields, variables, logic,
+// settings and screens. The forms collection carries the snapshot of the current version; form_archive
+// (lib/archive.js) keeps one document per version with previous_version and the diff against it.
+
+const { CONTAINER_TYPES } = require('./answers');
+
+const FIELD_KEYS = ['title', 'type', 'ref', 'group_id', 'required'];
+
+function snapshotField(f, parent) {
+  const { choices, fields, ...properties } = f.properties || {};
+  const choiceList = choices ?? f.choices;
+  const { required = false, ...validations } = f.validations || {};
+  return {
+    id: f.id,
+    ref: f.ref ?? null,
+    type: f.type ?? null,
+    title: f.title ?? null,
+    group_id: parent?.id ?? null,
+    required: Boolean(required),
+    ...(Array.isArray(choiceList) ? { choices: choiceList.map(c => ({ id: c.id ?? null, ref: c.ref ?? null, label: c.label ?? null })) } : {}),
+    validations,
+    properties,
+  };
+}
+
+function formSnapshot(definition) {
+  if (!definition) return null;
+  const fields = [];
+  (function visit(list, parent) {
+    for (const f of list || []) {
+      fields.push(snapshotField(f, parent));
+      if (CONTAINER_TYPES.has(f.type)) visit(f.properties?.fields, f);
+    }
+  })(definition.fields, null);
+  return {
+    title: definition.title ?? null,
+    type: definition.type ?? null,
+    fields,
+    hidden: definition.hidden ?? [],
+    variables: definition.variables ?? null,
+    logic: definition.logic ?? [],
+    settings: definition.settings ?? {},
+    welcome_screens: definition.welcome_screens ?? [],
+    thankyou_screens: definition.thankyou_screens ?? [],
+  };
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function changedObjectKeys(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(k => !same(before?.[k], after?.[k])).sort();
+}
+
+function diffChoices(before = [], after = []) {
+  // Choices are matched by id (ref, label for payload definitions without ids)
+  const key = c => c.id ?? c.ref ?? c.label;
+  const old = new Map(before.map(c => [key(c), c]));
+  const cur = new Map(after.map(c => [key(c), c]));
+  const added = after.filter(c => !old.has(key(c))).map(c => c.label);
+  const removed = before.filter(c => !cur.has(key(c))).map(c => c.label);
+  const renamed = after
+    .filter(c => old.has(key(c)) && old.get(key(c)).label !== c.label)
+    .map(c => ({ id: c.id, from: old.get(key(c)).label, to: c.label }));
+  const kept = k => old.has(k) && cur.has(k);
+  const reordered = !same(before.map(key).filter(kept), after.map(key).filter(kept));
+  if (!added.length && !removed.length && !renamed.length && !reordered) return null;
+  return { added, removed, renamed, reordered };
+}
+
+function diffField(before, after) {
+  const changes = {};
+  for (const k of FIELD_KEYS) {
+    if (!same(before[k], after[k])) changes[k] = { from: before[k] ?? null, to: after[k] ?? null };
+  }
+  const choices = diffChoices(before.choices, after.choices);
+  if (choices) changes.choices = choices;
+  const properties = changedObjectKeys(before.properties, after.properties);
+  if (properties.length) changes.properties = properties;
+  const validations = changedObjectKeys(before.validations, after.validations);
+  if (validations.length) changes.validations = validations;
+  return Object.keys(changes).length ? changes : null;
+}
+
+// diffSnapshots(previous snapshot, new snapshot) -> field-level changes; null for the first version
+function diffSnapshots(before, after) {
+  if (!before || !after) return null;
+  const brief = f => ({ id: f.id, title: f.title, type: f.type });
+  const old = new Map(before.fields.map(f => [f.id, f]));
+  const cur = new Map(after.fields.map(f => [f.id, f]));
+  const changed = [];
+  for (const f of after.fields) {
+    const prev = old.get(f.id);
+    const changes = prev && diffField(prev, f);
+    if (changes) changed.push({ ...brief(f), changes });
+  }
+  const kept = id => old.has(id) && cur.has(id);
+  const hiddenBefore = new Set(before.hidden);
+  const hiddenAfter = new Set(after.hidden);
+  return {
+    title: same(before.title, after.title) ? null : { from: before.title, to: after.title },
+    added: after.fields.filter(f => !old.has(f.id)).map(brief),
+    removed: before.fields.filter(f => !cur.has(f.id)).map(brief),
+    changed,
+    order_changed: !same(before.fields.map(f => f.id).filter(kept), after.fields.map(f => f.id).filter(kept)),
+    hidden: {
+      added: after.hidden.filter(h => !hiddenBefore.has(h)),
+      removed: before.hidden.filter(h => !hiddenAfter.has(h)),
+    },
+    variables_changed: !same(before.variables, after.variables),
+    logic_changed: !same(before.logic, after.logic),
+    settings_changed: changedObjectKeys(before.settings, after.settings),
+    screens_changed: !same(before.welcome_screens, after.welcome_screens) || !same(before.thankyou_screens, after.thankyou_screens),
+  };
+}
+
+function buildFormDefinitionDoc(formId, definition, version) {
+  // forms collection: current version and its snapshot (title only when the definition has one)
+  return {
+    form_id: formId,
+    ...(definition?.title ? { title: definition.title } : {}),
+    version,
+    definition: formSnapshot(definition),
+  };
+}
+
+function withFormVersion(doc, version) {
+  // Unknown versions (no definition) leave a stored form_version alone
+  return version ? { ...doc, form_version: version } : doc;
+}
+
+module.exports = { formSnapshot, diffSnapshots, buildFormDefinitionDoc, withFormVersion };
@@ -0,0 +1,153 @@
+'use strict';
+
+// Wide-format export: one row per response, one column per question.
+// Rows are pivoted from the answers collection by a MongoDB aggregation and streamed to the
+// HTTP response one at a time, so large forms never have to fit in memory.
+
+const ExcelJS = require('exceljs');
+
+const BASE_COLUMNS = ['response_id', 'datum', 'email', 'chiffre'];
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+function questionLabel(f) {
+  if (f.gruppe && Array.isArray(f.pfad)) return f.pfad.filter(Boolean).join(' › ');
+  return f.frage || f.field_id;
+}
+
+async function exportColumns(answers, match, fieldMap) {
+  // Fields that actually have answers, in first-seen position order
+  const seen = await answers.aggregate([
+    { $match: match },
+    { $match: { field_id: { $ne: null } } },
+    { $group: { _id: '$field_id', frage: { $first: '$frage' }, gruppe: { $first: '$gruppe' }, pfad: { $first: '$pfad' }, pos: { $min: '$idx' } } },
+    { $sort: { pos: 1 } },
+  ], { allowDiskUse: true }).toArray();
+  const byId = new Map(seen.map(f => [f._id, { field_id: f._id, frage: f.frage, gruppe: f.gruppe, pfad: f.pfad }]));
+
+  // Form definition order first (when known), then anything the definition does not list
+  const ordered = [];
+  if (fieldMap) {
+    for (const [id, meta] of fieldMap) {
+      if (!byId.has(id)) continue;
+      ordered.push({ field_id: id, frage: meta.title, gruppe: meta.group, pfad: meta.path });
+      byId.delete(id);
+    }
+  }
+  ordered.push(...byId.values());
+
+  // Headers must be unique: the same question text can appear twice in one form
+  const used = new Set(BASE_COLUMNS);
+  return ordered.map(f => {
+    let header = questionLabel(f);
+    if (used.has(header)) header = `${header} [${f.field_id}]`;
+    used.add(header);
+    return { field_id: f.field_id, header };
+  });
+}
+
+function responseRows(answers, match) {
+  return answers.aggregate([
+    { $match: match },
+    { $sort: { response_id: 1, idx: 1 } },
+    { $group: {
+      _id: '$response_id',
+      datum: { $first: '$datum' },
+      email: { $first: '$email' },
+      chiffre: { $first: '$chiffre' },
+      answers: { $push: { k: '$field_id', v: '$antwort' } },
+    } },
+    { $sort: { datum: 1, _id: 1 } },
+  ], { allowDiskUse: true });
+}
+
+function toRow(group, columns) {
+  const values = new Map(group.answers.map(a => [a.k, a.v]));
+  const row = { response_id: group._id, datum: group.datum ?? null, email: group.email ?? null, chiffre: group.chiffre ?? null };
+  for (const c of columns) row[c.header] = values.has(c.field_id) ? values.get(c.field_id) : null;
+  return row;
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function closedError() {
+  const err = new Error('Client closed the download');
+  err.code = 'EXPORT_ABORTED';
+  return err;
+}
+
+function write(out, chunk) {
+  // Respect backpressure from slow clients; a closed or failed response ends the export
+  if (out.destroyed) return Promise.reject(closedError());
+  if (out.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const settle = err => {
+      out.off('drain', onDrain);
+      out.off('close', onClose);
+      out.off('error', onError);
+      if (err) reject(err); else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(closedError());
+    const onError = e => settle(e);
+    out.on('drain', onDrain);
+    out.on('close', onClose);
+    out.on('error', onError);
+  });
+}
+
+async function streamCsv(out, headers, rows) {
+  await write(out, '\ufeff' + headers.map(csvCell).join(',') + '\r\n'); // BOM so Excel detects UTF-8
+  for await (const row of rows) {
+    await write(out, headers.map(h => csvCell(row[h])).join(',') + '\r\n');
+  }
+  out.end();
+}
+
+async function streamNdjson(out, headers, rows) {
+  for await (const row of rows) {
+    await write(out, JSON.stringify(row) + '\n');
+  }
+  out.end();
+}
+
+async function streamXlsx(out, headers, rows, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: false, useSharedStrings: false });
+  // Sheet names: max 31 chars, no []:*?/\
+  const sheet = workbook.addWorksheet(String(sheetName || 'Export').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+  sheet.addRow(headers).commit();
+  for await (const row of rows) {
+    // ExcelJS writes to the response itself, so check for a closed download here
+    if (out.destroyed) throw closedError();
+    sheet.addRow(headers.map(h => row[h])).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+async function exportForm(answers, { formId, match, fieldMap, format, title }, out) {
+  const columns = await exportColumns(answers, match, fieldMap);
+  const headers = [...BASE_COLUMNS, ...columns.map(c => c.header)];
+  const cursor = responseRows(answers, match);
+  const rows = (async function* () {
+    for await (const group of cursor) yield toRow(group, columns);
+  })();
+  try {
+    if (format === 'csv') return await streamCsv(out, headers, rows);
+    if (format === 'ndjson') return await streamNdjson(out, headers, rows);
+    if (format === 'xlsx') return await streamXlsx(out, headers, rows, title || formId);
+    throw new Error(`Unsupported export format: ${format}`);
+  } finally {
+    // Also after an aborted download, so the aggregation does not stay open on the server
+    await cursor.close().catch(() => {});
+  }
+}
+
+module.exports = { FORMATS, exportColumns, exportForm };
@@ -0,0 +1,200 @@
+'use strict';
+
+// GDPR subject access and erasure for one participant, identified by email and/or chiffre.
+// Used by `node index.js gdpr ...` and the admin routes in server.js. Every action is recorded
+// in the audit_log collection; the code only ever inserts there (append-only).
+// Erasure also reaches the other configured sinks (lib/sinks.js): their rows of the subject's responses are
+// deleted, and in pseudonymise mode written again from the pseudonymised documents. Erased responses are listed
+// in erased_responses ({ response_id, form_id, mode, erased_at }); syncs and the webhook receiver skip them,
+// so a later sync (e.g. --full) does not fetch them from Typeform again.
+
+const crypto = require('crypto');
+const { isFreeText, maskEmail } = require('./auth');
+const { replaceOtherText } = require('./answers');
+const { escapeRegex } = require('./query');
+
+const ERASE_MODES = new Set(['delete', 'pseudonymise']);
+const REMOVED = '[entfernt]';
+
+function subjectFilter({ email, chiffre }) {
+  const or = [];
+  // Emails are matched case-insensitively but exactly (anchored, escaped)
+  if (email) or.push({ email: { $regex: `^${escapeRegex(email.trim())}$`, $options: 'i' } });
+  if (chiffre) or.push({ chiffre: chiffre.trim() });
+  if (!or.length) throw new Error('email or chiffre is required');
+  return { $or: or };
+}
+
+function subjectHash({ email, chiffre }) {
+  // Lets the audit log prove which subject was handled without storing the identifier again
+  const key = `${(email || '').trim().toLowerCase()}|${(chiffre || '').trim()}`;
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+async function findSubjectRecords({ answers, responses, responseArchive }, subject) {
+  const filter = subjectFilter(subject);
+  // All answers of every matching response belong to the subject, not just the identifying ones
+  const fromAnswers = await answers.distinct('response_id', filter);
+  const fromResponses = responses ? await responses.distinct('response_id', filter) : [];
+  const responseIds = [...new Set([...fromAnswers, ...fromResponses])].filter(Boolean);
+  const answerDocs = responseIds.length
+    ? await answers.find({ response_id: { $in: responseIds } }, { projection: { _id: 0 } }).sort({ form_id: 1, response_id: 1, idx: 1 }).toArray()
+    : [];
+  const responseDocs = responses && responseIds.length
+    ? await responses.find({ response_id: { $in: responseIds } }, { projection: { _id: 0 } }).toArray()
+    : [];
+  const rawDocs = responseArchive && responseIds.length
+    ? await responseArchive.find({ response_id: { $in: responseIds } }, { projection: { _id: 0 } }).toArray()
+    : [];
+  return { responseIds, answers: answerDocs, responses: responseDocs, raw: rawDocs };
+}
+
+function byForm(docs) {
+  const map = new Map();
+  for (const d of docs) {
+    if (!map.has(d.form_id)) map.set(d.form_id, new Set());
+    map.get(d.form_id).add(d.response_id);
+  }
+  return map;
+}
+
+async function audit(auditLog, entry) {
+  if (!auditLog) return;
+  await auditLog.insertOne({ at: new Date(), ...entry });
+}
+
+function auditSubject(subject) {
+  return {
+    hash: subjectHash(subject),
+    email: subject.email ? maskEmail(subject.email.trim()) : null,
+    chiffre: subject.chiffre ? `${subject.chiffre.trim().slice(0, 3)}…` : null,
+  };
+}
+
+async function ensureErasureIndexes(erasedResponses) {
+  if (!erasedResponses) return;
+  await erasedResponses.createIndex({ response_id: 1 }, { unique: true, name: 'uniq_response_id' });
+  await erasedResponses.createIndex({ form_id: 1 }, { name: 'form_id' });
+}
+
+async function erasedResponseIds(erasedResponses, formId) {
+  // -> Set of the erased response ids of one form (empty without the collection, e.g. in a dry run)
+  if (!erasedResponses) return new Set();
+  return new Set(await erasedResponses.distinct('response_id', { form_id: formId }));
+}
+
+async function subjectAccess(collections, subject, { actor, via }) {
+  const records = await findSubjectRecords(collections, subject);
+  await audit(collections.auditLog, {
+    actor,
+    via,
+    action: 'subject_access',
+    subject: auditSubject(subject),
+    result: { responses: records.responseIds.length, answers: records.answers.length, raw: records.raw.length },
+  });
+  return {
+    generated_at: new Date().toISOString(),
+    subject: { email: subject.email || null, chiffre: subject.chiffre || null },
+    responses: records.responses,
+    answers: records.answers,
+    raw_responses: records.raw,
+  };
+}
+
+function pseudonym(value, secret) {
+  return `pseudo_${crypto.createHmac('sha256', secret).update(String(value)).digest('hex').slice(0, 16)}`;
+}
+
+function withoutFreeText(a) {
+  if (isFreeText(a.answer_type)) return { antwort: REMOVED, wert: null };
+  if (a.sonstiges == null) return {};
+  // The text typed into an "Other" option is free text as well
+  const { antwort, wert } = replaceOtherText(a, REMOVED);
+  return { antwort, wert, sonstiges: null };
+}
+
+function pseudonymisedAnswer(a, secret) {
+  // Identifiers become stable pseudonyms (linkable for statistics, not reversible);
+  // free text is removed, choices and numbers are kept
+  return {
+    email: a.email ? pseudonym(a.email.toLowerCase(), secret) : null,
+    chiffre: a.chiffre ? pseudonym(a.chiffre, secret) : null,
+    ...withoutFreeText(a),
+    pseudonymised_at: new Date(),
+  };
+}
+
+function pseudonymisedResponse(r, secret) {
+  return {
+    email: r.email ? pseudonym(r.email.toLowerCase(), secret) : null,
+    chiffre: r.chiffre ? pseudonym(r.chiffre, secret) : null,
+    hidden: {},
+    metadata: null,
+    pseudonymised_at: new Date(),
+  };
+}
+
+async function eraseSubject(collections, subject, { mode = 'pseudonymise', typeform = null, sink = null, dryRun = false, pseudonymSecret, actor, via }) {
+  if (!ERASE_MODES.has(mode)) throw new Error(`mode must be one of ${[...ERASE_MODES].join(', ')}`);
+  if (mode === 'pseudonymise' && !pseudonymSecret) throw new Error('PSEUDONYM_SECRET is required to pseudonymise');
+  const { answers, responses, responseArchive, erasedResponses, auditLog } = collections;
+  const records = await findSubjectRecords(collections, subject);
+  const ids = records.responseIds;
+  const result = { mode, dry_run: dryRun, responses: ids.length, answers: records.answers.length, sinks: sink?.names ?? [], typeform_deleted: 0, typeform_errors: [] };
+
+  if (!dryRun && ids.length) {
+    const inIds = { response_id: { $in: ids } };
+    // The raw payload holds every identifier and free text: it goes in both modes, so rebuild cannot restore it
+    if (responseArchive) await responseArchive.deleteMany(inIds);
+    if (erasedResponses) {
+      const formOf = new Map([...records.answers, ...records.responses].map(d => [d.response_id, d.form_id]));
+      const erasedAt = new Date();
+      await erasedResponses.bulkWrite(ids.map(id => ({
+        updateOne: { filter: { response_id: id }, update: { $set: { form_id: formOf.get(id) ?? null, mode, erased_at: erasedAt } }, upsert: true },
+      })), { ordered: false });
+    }
+    if (mode === 'delete') {
+      await answers.deleteMany(inIds);
+      if (responses) await responses.deleteMany(inIds);
+    } else {
+      const ops = records.answers.map(a => ({
+        updateOne: { filter: { id: a.id }, update: { $set: pseudonymisedAnswer(a, pseudonymSecret) } },
+      }));
+      if (ops.length) await answers.bulkWrite(ops, { ordered: false });
+      if (responses) {
+        for (const r of records.responses) {
+          await responses.updateOne({ response_id: r.response_id }, { $set: pseudonymisedResponse(r, pseudonymSecret) });
+        }
+      }
+    }
+    if (sink) {
+      // Rows of other sinks may hold fields MongoDB no longer has: drop them all, then write the pseudonymised copies
+      await sink.deleteResponses(ids);
+      if (mode === 'pseudonymise') {
+        await sink.upsertResponses(records.responses.map(r => ({ ...r, ...pseudonymisedResponse(r, pseudonymSecret) })));
+        await sink.upsertAnswers(records.answers.map(a => ({ ...a, ...pseudonymisedAnswer(a, pseudonymSecret) })));
+      }
+    }
+  }
+
+  if (typeform && ids.length) {
+    for (const [formId, set] of byForm([...records.answers, ...records.responses])) {
+      try {
+        if (!dryRun) result.typeform_deleted += await typeform.deleteResponses(formId, [...set]);
+      } catch (e) {
+        result.typeform_errors.push({ form_id: formId, error: e?.response ? `HTTP ${e.response.status}` : (e?.message || String(e)) });
+      }
+    }
+  }
+
+  await audit(auditLog, {
+    actor,
+    via,
+    action: dryRun ? 'erasure_dry_run' : 'erasure',
+    subject: auditSubject(subject),
+    result: { ...result, response_ids: ids },
+  });
+  return result;
+}
+
+module.exports = { ERASE_MODES, subjectFilter, findSubjectRecords, ensureErasureIndexes, erasedResponseIds, subjectAccess, eraseSubject };
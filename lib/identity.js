@@ -0,0 +1,182 @@
+'use strict';
+
+// Configurable extraction of the participant identity (chiffre and email) from a response.
+// A JSON config file (IDENTITY_CONFIG) declares, globally and per form, which answer fields or
+// hidden fields hold the identifier and the email, named identifier patterns and normalization.
+// Without a rule, or when a rule finds nothing, the built-in heuristic from lib/answers.js is used:
+// first email-typed answer, first text-like answer matching CHIFFRE_REGEX.
+//
+// {
+//   "patterns": { "chiffre": "^\\d{5}[A-Z]\\d{8}$" },
+//   "default": {
+//     "identifier": { "hidden": ["chiffre"], "fields": [], "patterns": ["chiffre"], "normalize": ["trim", "uppercase"] },
+//     "email": { "hidden": ["email"], "fields": [], "normalize": ["trim", "lowercase"] },
+//     "fallback": true
+//   },
+//   "forms": { "<form_id>": { "identifier": { "fields": ["<field_id>"] } } }
+// }
+
+const fs = require('fs');
+const { CHIFFRE_REGEX, textCandidates } = require('./answers');
+
+const NORMALIZERS = {
+  trim: v => v.trim(),
+  uppercase: v => v.toUpperCase(),
+  lowercase: v => v.toLowerCase(),
+  remove_spaces: v => v.replace(/\s+/g, ''),
+};
+const RULE_KEYS = ['hidden', 'fields', 'patterns', 'normalize'];
+
+function compileRule(rule, patterns, where) {
+  const out = { hidden: [], fields: [], patterns: null, normalize: [] };
+  for (const key of Object.keys(rule || {})) {
+    if (!RULE_KEYS.includes(key)) throw new Error(`${where}: unknown key "${key}" (${RULE_KEYS.join(', ')})`);
+    if (!Array.isArray(rule[key])) throw new Error(`${where}.${key} must be an array`);
+    out[key] = rule[key].map(String);
+  }
+  for (const n of out.normalize) {
+    if (!NORMALIZERS[n]) throw new Error(`${where}.normalize: unknown "${n}" (${Object.keys(NORMALIZERS).join(', ')})`);
+  }
+  if (out.patterns) {
+    for (const name of out.patterns) {
+      if (!patterns.has(name)) throw new Error(`${where}.patterns: unknown pattern "${name}"`);
+    }
+  }
+  return out;
+}
+
+function compileScope(scope, base, patterns, where) {
+  // Per-form scopes override the default scope key by key
+  const merged = {
+    identifier: { ...base?.rawIdentifier, ...scope?.identifier },
+    email: { ...base?.rawEmail, ...scope?.email },
+  };
+  return {
+    rawIdentifier: merged.identifier,
+    rawEmail: merged.email,
+    identifier: compileRule(merged.identifier, patterns, `${where}.identifier`),
+    email: compileRule(merged.email, patterns, `${where}.email`),
+    fallback: scope?.fallback ?? base?.fallback ?? true,
+  };
+}
+
+function compileIdentityConfig(raw = {}) {
+  const patterns = new Map();
+  for (const [name, source] of Object.entries(raw.patterns || { chiffre: CHIFFRE_REGEX.source })) {
+    try {
+      patterns.set(name, new RegExp(source));
+    } catch (e) {
+      throw new Error(`patterns.${name}: ${e.message}`);
+    }
+  }
+  const defaults = compileScope(raw.default, null, patterns, 'default');
+  const forms = new Map();
+  for (const [formId, scope] of Object.entries(raw.forms || {})) {
+    forms.set(formId, compileScope(scope, defaults, patterns, `forms.${formId}`));
+  }
+  return { patterns, defaults, forms };
+}
+
+function loadIdentityConfig(file) {
+  // No file: built-in heuristic only (same behaviour as before the config existed)
+  if (!file) return compileIdentityConfig({});
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read identity config ${file}: ${e.message}`);
+  }
+  return compileIdentityConfig(raw);
+}
+
+function normalize(value, steps) {
+  return steps.reduce((v, step) => NORMALIZERS[step](v), String(value));
+}
+
+function ruleCandidates(rule, responseItem) {
+  // Values from the declared hidden fields and answer fields, in declaration order
+  const out = [];
+  const hidden = responseItem?.hidden || {};
+  for (const name of rule.hidden) {
+    if (hidden[name] != null && hidden[name] !== '') out.push({ value: String(hidden[name]), source: `hidden:${name}` });
+  }
+  const answers = Array.isArray(responseItem?.answers) ? responseItem.answers : [];
+  for (const fieldId of rule.fields) {
+    for (const ans of answers) {
+      if ((ans.field?.id || ans.field_id) !== fieldId) continue;
+      for (const value of textCandidates(ans)) out.push({ value, source: `field:${fieldId}` });
+    }
+  }
+  return out;
+}
+
+function heuristicCandidates(kind, responseItem) {
+  const answers = Array.isArray(responseItem?.answers) ? responseItem.answers : [];
+  const out = [];
+  for (const ans of answers) {
+    const source = `heuristic:${ans.field?.id || ans.field_id || ans.type}`;
+    if (kind === 'email') {
+      if (ans.type === 'email' && ans.email) out.push({ value: ans.email, source });
+    } else {
+      for (const value of textCandidates(ans)) out.push({ value, source });
+    }
+  }
+  return out;
+}
+
+function matchPattern(value, names, patterns) {
+  for (const name of names || [...patterns.keys()]) {
+    if (patterns.get(name).test(value)) return name;
+  }
+  return null;
+}
+
+function distinctValues(list, kind) {
+  const key = v => (kind === 'email' ? v.value.toLowerCase() : v.value);
+  return [...new Map(list.map(v => [key(v), v])).values()];
+}
+
+function pick(kind, rule, candidates, patterns, issues) {
+  // Normalizes, keeps candidates matching a pattern (identifier only), records ambiguity
+  let list = candidates.map(c => ({ ...c, value: normalize(c.value, rule.normalize) })).filter(c => c.value !== '');
+  if (kind === 'chiffre') {
+    const rejected = [];
+    list = list.filter(c => {
+      c.pattern = matchPattern(c.value, rule.patterns, patterns);
+      if (!c.pattern && !c.source.startsWith('heuristic:')) rejected.push(c);
+      return !!c.pattern;
+    });
+    if (rejected.length) issues.push({ field: kind, reason: 'pattern_mismatch', values: rejected.map(({ value, source }) => ({ value, source })) });
+  }
+  const distinct = distinctValues(list, kind);
+  if (distinct.length > 1) issues.push({ field: kind, reason: 'multiple_values', values: distinct.map(({ value, source }) => ({ value, source })) });
+  return list[0] || null;
+}
+
+function resolve(kind, rule, scope, responseItem, patterns, issues) {
+  const declared = pick(kind, rule, ruleCandidates(rule, responseItem), patterns, issues);
+  if (declared || !scope.fallback) return declared;
+  return pick(kind, rule, heuristicCandidates(kind, responseItem), patterns, issues);
+}
+
+// extractIdentity(formId, responseItem, config) -> { email, chiffre, details }
+// details: { chiffre_source, chiffre_pattern, email_source, ambiguous, issues } — stored on the response doc
+function extractIdentity(formId, responseItem, config) {
+  const scope = config.forms.get(formId) || config.defaults;
+  const issues = [];
+  const chiffre = resolve('chiffre', scope.identifier, scope, responseItem, config.patterns, issues);
+  const email = resolve('email', scope.email, scope, responseItem, config.patterns, issues);
+  return {
+    email: email?.value ?? null,
+    chiffre: chiffre?.value ?? null,
+    details: {
+      chiffre_source: chiffre?.source ?? null,
+      chiffre_pattern: chiffre?.pattern ?? null,
+      email_source: email?.source ?? null,
+      ambiguous: issues.length > 0,
+      issues,
+    },
+  };
+}
+
+module.exports = { NORMALIZERS, compileIdentityConfig, loadIdentityConfig, extractIdentity };
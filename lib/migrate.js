@@ -0,0 +1,135 @@
+'use strict';
+
+// One-off migration of answer documents to the stable id (form_id + response_id + field_id).
+// Older documents used `${form_id}_${chiffre || email}_${response_id}_${email}` together with idx,
+// which changed whenever email/chiffre extraction changed and left duplicates behind.
+// Documents are streamed per form; documents without response_id keep their id and are only counted.
+
+const { answerDocId } = require('./answers');
+
+const LEGACY_INDEX = 'uniq_id_idx';
+const BATCH = 500;
+
+function mergeDuplicates(group) {
+  // Oldest first; later documents win for every field they actually carry
+  const sorted = [...group].sort((a, b) => String(a._id).localeCompare(String(b._id)));
+  const merged = {};
+  for (const doc of sorted) {
+    for (const [k, v] of Object.entries(doc)) {
+      if (k === '_id' || v == null) continue;
+      merged[k] = v;
+    }
+  }
+  return { keep: sorted[0], remove: sorted.slice(1), merged };
+}
+
+async function migrateForm(collection, formId, { dryRun, report, sampleSize }) {
+  // Documents without response_id cannot get a stable id (they would all collapse into one per field): left alone
+  const withoutResponse = await collection.countDocuments({ form_id: formId, response_id: null });
+  report.without_response_id += withoutResponse;
+  // Streamed in new-id order, so the documents of one new id arrive one after another
+  const cursor = collection
+    .find({ form_id: formId, response_id: { $ne: null } })
+    .sort({ response_id: 1, field_id: 1, idx: 1, _id: 1 })
+    .allowDiskUse(true);
+
+  let deletes = [];
+  let updates = [];
+  const flush = async () => {
+    // Remove duplicates before renaming so neither the legacy nor the new unique index can collide
+    if (!dryRun) {
+      if (deletes.length) await collection.deleteMany({ _id: { $in: deletes } });
+      if (updates.length) await collection.bulkWrite(updates, { ordered: false, writeConcern: { w: 1 } });
+    }
+    deletes = [];
+    updates = [];
+  };
+
+  const handle = (newId, group) => {
+    const { keep, remove, merged } = mergeDuplicates(group);
+    merged.id = newId;
+    if (remove.length) {
+      report.duplicate_groups += 1;
+      report.removed += remove.length;
+      deletes.push(...remove.map(d => d._id));
+    }
+    if (keep.id !== newId || remove.length) {
+      report.changed += 1;
+      if (report.samples.length < sampleSize) {
+        report.samples.push({ form_id: formId, from: group.map(d => d.id), to: newId });
+      }
+      updates.push({ replaceOne: { filter: { _id: keep._id }, replacement: merged } });
+    } else {
+      report.unchanged += 1;
+    }
+  };
+
+  let currentId = null;
+  let group = [];
+  for await (const d of cursor) {
+    report.scanned += 1;
+    const newId = answerDocId(d.form_id, d.response_id, d.field_id, d.idx);
+    if (newId !== currentId && group.length) {
+      handle(currentId, group);
+      group = [];
+      // Only between groups: a group's deletes and its rename go out together
+      if (deletes.length + updates.length >= BATCH) await flush();
+    }
+    currentId = newId;
+    group.push(d);
+  }
+  if (group.length) handle(currentId, group);
+  await flush();
+  return withoutResponse;
+}
+
+async function rebuildIndexes(collection) {
+  const indexes = await collection.indexes();
+  const dropped = [];
+  if (indexes.some(i => i.name === LEGACY_INDEX)) {
+    await collection.dropIndex(LEGACY_INDEX);
+    dropped.push(LEGACY_INDEX);
+  }
+  try {
+    await collection.createIndex({ id: 1 }, { unique: true, name: 'uniq_id' });
+  } catch (e) {
+    if (e?.code !== 11000) throw e;
+    throw new Error(`Cannot create unique index uniq_id, ids are still duplicated (documents without response_id are not migrated): ${e.message}`);
+  }
+  await collection.createIndex({ form_id: 1, response_id: 1 }, { name: 'form_response' });
+  return { dropped, created: ['uniq_id', 'form_response'] };
+}
+
+async function migrateAnswerIds(collection, { dryRun = true, sampleSize = 10, log = console.log } = {}) {
+  const report = {
+    dry_run: dryRun,
+    forms: 0,
+    scanned: 0,
+    changed: 0,
+    unchanged: 0,
+    duplicate_groups: 0,
+    removed: 0,
+    without_response_id: 0,
+    samples: [],
+    indexes: null,
+  };
+  const formIds = (await collection.distinct('form_id')).filter(Boolean);
+  for (const formId of formIds) {
+    const withoutResponse = await migrateForm(collection, formId, { dryRun, report, sampleSize });
+    report.forms += 1;
+    log(` - Form ${formId}: ${report.scanned} docs scanned so far, ${report.changed} to rewrite, ${report.removed} duplicates.${withoutResponse ? ` ${withoutResponse} docs without response_id skipped.` : ''}`);
+  }
+  if (!dryRun) report.indexes = await rebuildIndexes(collection);
+  return report;
+}
+
+async function hasLegacyIndex(collection) {
+  try {
+    const indexes = await collection.indexes();
+    return indexes.some(i => i.name === LEGACY_INDEX);
+  } catch (_) {
+    return false; // collection does not exist yet
+  }
+}
+
+module.exports = { LEGACY_INDEX, migrateAnswerIds, hasLegacyIndex };
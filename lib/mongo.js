@@ -0,0 +1,66 @@
+'use strict';
+
+// MongoDB upsert helpers for answer, response and form documents.
+// writeMode 'bulk' (default) uses bulkWrite, 'single' issues one updateOne per document.
+
+async function upsertBy(collection, docs, filterOf, { writeMode = 'bulk' } = {}) {
+  if (!docs?.length) return { upserted: 0, matched: 0, modified: 0 };
+  if (writeMode === 'single') {
+    let upserted = 0, matched = 0, modified = 0;
+    for (const d of docs) {
+      const res = await collection.updateOne(filterOf(d), { $set: d }, { upsert: true, writeConcern: { w: 1 } });
+      // In modern driver, res.upsertedCount may not exist, but upsertedId is set when an upsert happened
+      if (res.upsertedCount === 1 || res.upsertedId) upserted += 1;
+      matched += res.matchedCount ?? 0;
+      modified += res.modifiedCount ?? 0;
+    }
+    return { upserted, matched, modified };
+  } else {
+    const ops = docs.map(d => ({
+      updateOne: {
+        filter: filterOf(d),
+        update: { $set: d },
+        upsert: true,
+      }
+    }));
+    try {
+      const res = await collection.bulkWrite(ops, { ordered: false, writeConcern: { w: 1 } });
+      // Prefer explicit counters when present
+      const upsertedCount = res.upsertedCount ?? res.result?.nUpserted ?? undefined;
+      let upserted;
+      if (typeof upsertedCount === 'number') {
+        upserted = upsertedCount;
+      } else {
+        const upsertedIds = res.upsertedIds || {};
+        upserted = Array.isArray(upsertedIds)
+          ? upsertedIds.filter(x => x != null).length
+          : Object.keys(upsertedIds).length;
+      }
+      const matched = res.matchedCount ?? res.result?.nMatched ?? 0;
+      const modified = res.modifiedCount ?? res.result?.nModified ?? 0;
+      return { upserted, matched, modified };
+    } catch (e) {
+      console.error('bulkWrite error:', e?.code, e?.message || e);
+      throw e;
+    }
+  }
+}
+
+function upsertDocs(collection, docs, options) {
+  return upsertBy(collection, docs, d => ({ id: d.id }), options);
+}
+
+function upsertResponses(collection, docs, options) {
+  return upsertBy(collection, docs, d => ({ response_id: d.response_id }), options);
+}
+
+function buildFormDocs(forms) {
+  // account/workspace only when the listing knew them (lib/accounts.js), so --form-ids runs keep stored values
+  return forms.map(f => ({ form_id: f.id, title: f.title ?? null, ...(f.account ? { account: f.account, workspace_id: f.workspace_id ?? null, workspace: f.workspace ?? null } : {}) }));
+}
+
+function upsertForms(collection, docs, options) {
+  return upsertBy(collection, docs, d => ({ form_id: d.form_id }), options);
+}
+
+module.exports = { upsertBy, upsertDocs, upsertResponses, buildFormDocs, upsertForms };
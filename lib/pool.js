@@ -0,0 +1,19 @@
+'use strict';
+
+// Runs fn over items with at most `concurrency` calls in flight. Results keep the input order.
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency || 1, items.length || 1));
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next;
+      next += 1;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: limit }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,129 @@
+'use strict';
+
+// Longitudinal profile of one chiffre: every response on a timeline, how answers to the same field
+// changed between submissions, and inconsistencies in the participant's data.
+// A chiffre has a handful of responses, so its answers are loaded and compared in memory.
+
+const MAX_ANSWERS = 10000;
+
+function byDatum(a, b) {
+  // Oldest first; responses without datum go last
+  if (a.datum !== b.datum) {
+    if (a.datum == null) return 1;
+    if (b.datum == null) return -1;
+    return a.datum < b.datum ? -1 : 1;
+  }
+  return String(a.response_id).localeCompare(String(b.response_id));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a.wert ?? a.antwort ?? null) === JSON.stringify(b.wert ?? b.antwort ?? null);
+}
+
+function answerChange(prev, cur) {
+  const change = {
+    from: prev.antwort ?? null,
+    to: cur.antwort ?? null,
+    from_response_id: prev.response_id,
+    to_response_id: cur.response_id,
+    from_datum: prev.datum ?? null,
+    to_datum: cur.datum ?? null,
+  };
+  // Scales, ratings, numbers: how far the value moved
+  if (typeof prev.wert === 'number' && typeof cur.wert === 'number') change.delta = cur.wert - prev.wert;
+  return change;
+}
+
+function timeline(docs) {
+  const byResponse = new Map();
+  for (const d of docs) {
+    if (!byResponse.has(d.response_id)) {
+      byResponse.set(d.response_id, { response_id: d.response_id, form_id: d.form_id, datum: d.datum ?? null, email: d.email ?? null, answers_count: 0 });
+    }
+    byResponse.get(d.response_id).answers_count += 1;
+  }
+  return [...byResponse.values()].sort(byDatum);
+}
+
+function fieldHistories(docs, order) {
+  // Fields answered in more than one response, in timeline order, with the changes between them
+  const pos = new Map(order.map((r, i) => [r.response_id, i]));
+  const byField = new Map();
+  for (const d of docs) {
+    if (!d.field_id) continue;
+    if (!byField.has(d.field_id)) byField.set(d.field_id, []);
+    byField.get(d.field_id).push(d);
+  }
+  const fields = [];
+  for (const [fieldId, list] of byField) {
+    if (list.length < 2) continue;
+    list.sort((a, b) => pos.get(a.response_id) - pos.get(b.response_id));
+    const changes = [];
+    for (let i = 1; i < list.length; i++) {
+      if (!sameValue(list[i - 1], list[i])) changes.push(answerChange(list[i - 1], list[i]));
+    }
+    const last = list[list.length - 1];
+    fields.push({
+      field_id: fieldId,
+      form_id: last.form_id,
+      frage: last.frage ?? null,
+      answer_type: last.answer_type ?? null,
+      history: list.map(d => ({ response_id: d.response_id, datum: d.datum ?? null, antwort: d.antwort ?? null, wert: d.wert ?? null, sonstiges: d.sonstiges ?? null, answer_type: d.answer_type ?? null })),
+      changes,
+    });
+  }
+  // Fields that changed most come first
+  return fields.sort((a, b) => b.changes.length - a.changes.length);
+}
+
+function inconsistencies(order) {
+  const issues = [];
+  const emails = new Map(); // normalized email -> { email, response_ids }
+  for (const r of order) {
+    if (!r.email) continue;
+    const key = r.email.trim().toLowerCase();
+    if (!emails.has(key)) emails.set(key, { email: r.email, response_ids: [] });
+    emails.get(key).response_ids.push(r.response_id);
+  }
+  if (emails.size > 1) issues.push({ type: 'multiple_emails', values: [...emails.values()] });
+
+  const withoutEmail = order.filter(r => !r.email).map(r => r.response_id);
+  if (withoutEmail.length && emails.size) issues.push({ type: 'missing_email', response_ids: withoutEmail });
+
+  // The same form submitted twice on one day is usually a double submission, not a follow-up
+  const seen = new Map();
+  for (const r of order) {
+    if (!r.datum) continue;
+    const key = `${r.form_id}|${r.datum}`;
+    if (!seen.has(key)) seen.set(key, []);
+    seen.get(key).push(r.response_id);
+  }
+  for (const [key, ids] of seen) {
+    if (ids.length < 2) continue;
+    const [formId, datum] = key.split('|');
+    issues.push({ type: 'same_day_resubmission', form_id: formId, datum, response_ids: ids });
+  }
+  return issues;
+}
+
+async function chiffreProfile(answers, chiffre, { match = {} } = {}) {
+  const docs = await answers.find({ chiffre, ...match }, { projection: { _id: 0 } })
+    .sort({ datum: 1, response_id: 1, idx: 1 })
+    .limit(MAX_ANSWERS)
+    .toArray();
+  const order = timeline(docs);
+  const forms = new Set(order.map(r => r.form_id));
+  return {
+    chiffre,
+    responses: order.length,
+    forms: forms.size,
+    first: order.find(r => r.datum)?.datum ?? null,
+    last: [...order].reverse().find(r => r.datum)?.datum ?? null,
+    truncated: docs.length >= MAX_ANSWERS,
+    timeline: order,
+    fields: fieldHistories(docs, order),
+    inconsistencies: inconsistencies(order),
+  };
+}
+
+module.exports = { chiffreProfile };
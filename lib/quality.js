@@ -0,0 +1,249 @@
+'use strict';
+
+// Data-quality checks over the answers collection (GET /api/quality):
+//  - missing_identity: responses with neither email nor chiffre (legacy answer ids then contain "undefined")
+//  - missing_question: answers with frage null, i.e. the field was missing from the definition's fieldMap
+//  - conflicting_emails: one chiffre used with more than one email (case-insensitive), across all forms
+//  - answer_count: responses whose answer count is far from the form's field count
+// The field count comes from the latest archived definition (form_archive); forms without one are compared
+// with their most common answer count. qualityReport counts per form, qualityItems lists one check.
+
+const { buildFieldMap } = require('./answers');
+const { badRequest, dateMatch, responseListPipeline, responsePage, page } = require('./query');
+
+const CHECKS = ['missing_identity', 'missing_question', 'conflicting_emails', 'answer_count'];
+// Field types that never carry an answer of their own
+const ANSWERLESS_TYPES = new Set(['group', 'inline_group', 'matrix', 'statement']);
+const DEFAULT_TOLERANCE = 0.5;
+const LEGACY_UNDEFINED_ID = '(^|_)undefined(_|$)';
+
+const isBlank = expr => ({ $eq: [{ $ifNull: [expr, ''] }, ''] });
+
+function parseTolerance(value) {
+  // Allowed relative deviation from the field count: 0.5 flags fewer than half or more than 1.5 times as many answers
+  if (value == null || value === '') return DEFAULT_TOLERANCE;
+  const t = Number(value);
+  if (!Number.isFinite(t) || t <= 0 || t > 10) throw badRequest('tolerance must be a number between 0 and 10');
+  return t;
+}
+
+function answerableFieldCount(definition) {
+  let n = 0;
+  for (const f of buildFieldMap(definition).values()) if (!ANSWERLESS_TYPES.has(f.type)) n += 1;
+  return n;
+}
+
+async function definitionFieldCounts(formArchive, formIds) {
+  // form_id -> answerable fields in the latest archived definition
+  if (!formArchive || !formIds.length) return new Map();
+  const rows = await formArchive.aggregate([
+    { $match: { form_id: { $in: formIds } } },
+    { $sort: { last_seen_at: -1 } },
+    { $group: { _id: '$form_id', definition: { $first: '$definition' } } },
+  ], { allowDiskUse: true }).toArray();
+  return new Map(rows.map(r => [r._id, answerableFieldCount(r.definition)]));
+}
+
+function typicalCount(counts) {
+  // Most common answer count (Map count -> responses); ties go to the larger count
+  let best = null;
+  for (const [n, responses] of counts) {
+    if (!best || responses > best.responses || (responses === best.responses && n > best.n)) best = { n, responses };
+  }
+  return best?.n ?? null;
+}
+
+function expectedRange(expected, tolerance) {
+  return { min: expected * (1 - tolerance), max: expected * (1 + tolerance) };
+}
+
+async function responseStats(answers, match) {
+  // One row per (form, answer count, identity present), so the result stays small for any number of responses
+  return answers.aggregate([
+    { $match: match },
+    { $group: {
+      _id: { f: '$form_id', r: '$response_id' },
+      n: { $sum: 1 },
+      email: { $max: '$email' },
+      chiffre: { $max: '$chiffre' },
+      no_frage: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$frage', null] }, null] }, 1, 0] } },
+      legacy: { $max: { $cond: [{ $regexMatch: { input: { $ifNull: ['$id', ''] }, regex: LEGACY_UNDEFINED_ID } }, 1, 0] } },
+    } },
+    { $group: {
+      _id: { f: '$_id.f', n: '$n', anonymous: { $and: [isBlank('$email'), isBlank('$chiffre')] } },
+      responses: { $sum: 1 },
+      no_frage: { $sum: '$no_frage' },
+      no_frage_responses: { $sum: { $cond: [{ $gt: ['$no_frage', 0] }, 1, 0] } },
+      legacy: { $sum: '$legacy' },
+    } },
+  ], { allowDiskUse: true }).toArray();
+}
+
+function conflictPipeline(match, formId) {
+  // Chiffres span forms: the check always looks at every form, ?form= only picks the chiffres that appear in it
+  const { form_id: _formId, ...rest } = match;
+  return [
+    { $match: { ...rest, chiffre: { $nin: [null, ''] }, email: { $nin: [null, ''] } } },
+    { $group: { _id: '$chiffre', emails: { $addToSet: { $toLower: '$email' } }, forms: { $addToSet: '$form_id' }, responses: { $addToSet: '$response_id' } } },
+    { $match: { 'emails.1': { $exists: true }, ...(formId ? { forms: formId } : {}) } },
+  ];
+}
+
+async function formTitles(forms, formIds) {
+  if (!forms || !formIds.length) return new Map();
+  const rows = await forms.find({ form_id: { $in: formIds } }).project({ _id: 0, form_id: 1, title: 1 }).toArray();
+  return new Map(rows.map(r => [r.form_id, r.title ?? null]));
+}
+
+// qualityReport({ answers, formArchive, forms }, { formId, match, from, to, tolerance })
+// -> { tolerance, totals, checks: { <check>: count }, forms: [per-form breakdown] }
+async function qualityReport({ answers, formArchive = null, forms = null }, { formId = null, match = {}, from = null, to = null, tolerance = DEFAULT_TOLERANCE } = {}) {
+  const base = { ...match, ...(formId ? { form_id: formId } : {}), ...dateMatch({ from, to }) };
+  const byForm = new Map();
+  const entry = f => {
+    if (!byForm.has(f)) {
+      byForm.set(f, { form_id: f, responses: 0, answers: 0, missing_identity: 0, legacy_ids: 0, missing_question: { answers: 0, responses: 0 }, conflicting_emails: 0, counts: new Map() });
+    }
+    return byForm.get(f);
+  };
+
+  for (const r of await responseStats(answers, base)) {
+    const s = entry(r._id.f);
+    s.responses += r.responses;
+    s.answers += r._id.n * r.responses;
+    if (r._id.anonymous) s.missing_identity += r.responses;
+    s.legacy_ids += r.legacy;
+    s.missing_question.answers += r.no_frage;
+    s.missing_question.responses += r.no_frage_responses;
+    s.counts.set(r._id.n, (s.counts.get(r._id.n) || 0) + r.responses);
+  }
+
+  const conflicts = await answers.aggregate([...conflictPipeline(base, formId), { $project: { _id: 0, forms: 1 } }], { allowDiskUse: true }).toArray();
+  for (const c of conflicts) {
+    for (const f of c.forms) if (byForm.has(f) && (!formId || f === formId)) byForm.get(f).conflicting_emails += 1;
+  }
+
+  const formIds = [...byForm.keys()];
+  const fieldCounts = await definitionFieldCounts(formArchive, formIds);
+  const titles = await formTitles(forms, formIds);
+  const checks = { missing_identity: 0, missing_question: 0, conflicting_emails: conflicts.length, answer_count: 0 };
+  const totals = { forms: byForm.size, responses: 0, answers: 0 };
+  const items = [];
+  for (const s of byForm.values()) {
+    const fromDefinition = fieldCounts.get(s.form_id);
+    const expected = fromDefinition ?? typicalCount(s.counts);
+    const { min, max } = expectedRange(expected, tolerance);
+    let tooFew = 0;
+    let tooMany = 0;
+    for (const [n, responses] of s.counts) {
+      if (n < min) tooFew += responses;
+      else if (n > max) tooMany += responses;
+    }
+    const { counts, ...rest } = s;
+    const item = {
+      ...rest,
+      title: titles.get(s.form_id) ?? null,
+      answer_count: { expected, source: fromDefinition != null ? 'definition' : 'typical', too_few: tooFew, too_many: tooMany },
+    };
+    item.issues = item.missing_identity + item.missing_question.responses + item.conflicting_emails + tooFew + tooMany;
+    items.push(item);
+    totals.responses += s.responses;
+    totals.answers += s.answers;
+    checks.missing_identity += s.missing_identity;
+    checks.missing_question += s.missing_question.answers;
+    checks.answer_count += tooFew + tooMany;
+  }
+  items.sort((a, b) => b.issues - a.issues || String(a.form_id).localeCompare(String(b.form_id)));
+  return { tolerance, totals, checks, forms: items };
+}
+
+async function expectedForForm({ answers, formArchive }, formId, match) {
+  const fromDefinition = (await definitionFieldCounts(formArchive, [formId])).get(formId);
+  if (fromDefinition != null) return { expected: fromDefinition, source: 'definition' };
+  const counts = new Map();
+  for (const r of await responseStats(answers, { ...match, form_id: formId })) {
+    counts.set(r._id.n, (counts.get(r._id.n) || 0) + r.responses);
+  }
+  return { expected: typicalCount(counts), source: 'typical' };
+}
+
+// qualityItems(collections, check, { formId, match, tolerance, limit, after, from, to }) -> { items, next, ... }
+// Responses (missing_identity, answer_count) in the usual datum desc order; missing_question lists the
+// fields without frage, conflicting_emails the chiffres with their emails.
+async function qualityItems({ answers, formArchive = null }, check, { formId = null, match = {}, tolerance = DEFAULT_TOLERANCE, ...opts }) {
+  const scoped = { ...match, ...(formId ? { form_id: formId } : {}) };
+  const base = { ...scoped, ...dateMatch(opts) };
+  const { limit, after } = opts;
+
+  if (check === 'missing_identity') {
+    const rows = await answers.aggregate(responseListPipeline({
+      match: scoped,
+      group: {
+        _id: '$response_id',
+        form_id: { $first: '$form_id' },
+        count: { $sum: 1 },
+        email: { $max: '$email' },
+        chiffre: { $max: '$chiffre' },
+        datum: { $first: '$datum' },
+        legacy: { $max: { $cond: [{ $regexMatch: { input: { $ifNull: ['$id', ''] }, regex: LEGACY_UNDEFINED_ID } }, 1, 0] } },
+      },
+      having: { email: { $in: [null, ''] }, chiffre: { $in: [null, ''] } },
+      project: { _id: 0, response_id: '$_id', form_id: 1, count: 1, datum: 1, legacy_id: { $eq: ['$legacy', 1] } },
+    }, opts), { allowDiskUse: true }).toArray();
+    return responsePage(rows, limit);
+  }
+
+  if (check === 'answer_count') {
+    if (!formId) throw badRequest('answer_count needs form');
+    const { expected, source } = await expectedForForm({ answers, formArchive }, formId, match);
+    const { min, max } = expectedRange(expected ?? 0, tolerance);
+    const rows = await answers.aggregate(responseListPipeline({
+      match: scoped,
+      group: { _id: '$response_id', count: { $sum: 1 }, email: { $first: '$email' }, chiffre: { $first: '$chiffre' }, datum: { $first: '$datum' } },
+      having: { $or: [{ count: { $lt: min } }, { count: { $gt: max } }] },
+      project: { _id: 0, response_id: '$_id', form_id: formId, count: 1, email: 1, chiffre: 1, datum: 1 },
+    }, opts), { allowDiskUse: true }).toArray();
+    return { ...responsePage(rows, limit), expected, source, tolerance };
+  }
+
+  if (check === 'missing_question') {
+    const afterMatch = after ? [{ $match: { $or: [{ form_id: { $gt: after.f } }, { form_id: after.f, field_id: { $gt: after.d } }] } }] : [];
+    const rows = await answers.aggregate([
+      { $match: { ...base, frage: null } },
+      { $group: {
+        _id: { form_id: '$form_id', field_id: { $ifNull: ['$field_id', ''] }, response_id: '$response_id' },
+        answer_type: { $first: '$answer_type' },
+        answers: { $sum: 1 },
+        latest: { $max: '$datum' },
+      } },
+      { $group: {
+        _id: { form_id: '$_id.form_id', field_id: '$_id.field_id' },
+        answer_type: { $first: '$answer_type' },
+        answers: { $sum: '$answers' },
+        responses: { $sum: 1 },
+        latest: { $max: '$latest' },
+        response_id: { $max: '$_id.response_id' },
+      } },
+      { $project: { _id: 0, form_id: '$_id.form_id', field_id: '$_id.field_id', answer_type: 1, answers: 1, responses: 1, latest: 1, response_id: 1 } },
+      ...afterMatch,
+      { $sort: { form_id: 1, field_id: 1 } },
+      { $limit: limit + 1 },
+    ], { allowDiskUse: true }).toArray();
+    return page(rows, limit, last => ({ f: last.form_id, d: last.field_id }));
+  }
+
+  if (check === 'conflicting_emails') {
+    const rows = await answers.aggregate([
+      ...conflictPipeline(base, formId),
+      { $project: { _id: 0, chiffre: '$_id', emails: 1, forms: 1, responses: { $size: '$responses' } } },
+      ...(after ? [{ $match: { chiffre: { $gt: after.c } } }] : []),
+      { $sort: { chiffre: 1 } },
+      { $limit: limit + 1 },
+    ], { allowDiskUse: true }).toArray();
+    return page(rows, limit, last => ({ c: last.chiffre }));
+  }
+
+  throw badRequest(`Unknown check: ${check} (${CHECKS.join(', ')})`);
+}
+
+module.exports = { CHECKS, DEFAULT_TOLERANCE, parseTolerance, qualityReport, qualityItems };
@@ -0,0 +1,122 @@
+'use strict';
+
+// Shared query handling for the list routes in server.js:
+// cursor pagination (?limit=&next=), datum range (?from=&to=) and answer filters
+// (?field=<field_id>&value=<text>&op=eq|contains).
+// Lists of responses are ordered by datum desc, response_id desc; the cursor is the last row's
+// (datum, response_id) pair, base64url-encoded.
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const FIELD_OPS = new Set(['eq', 'contains']);
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+const isCursorValue = v => v === null || typeof v === 'string' || typeof v === 'number';
+
+function decodeCursor(value) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (_) {
+    throw badRequest('Invalid cursor');
+  }
+  // Cursor fields end up in $match: plain values only, so a client cannot smuggle in operators like { $gt: '' }
+  if (!cursor || typeof cursor !== 'object' || Array.isArray(cursor) || !Object.values(cursor).every(isCursorValue)) {
+    throw badRequest('Invalid cursor');
+  }
+  return cursor;
+}
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseListQuery(query, { defaultLimit = 200, maxLimit = 1000 } = {}) {
+  const limit = Math.max(1, Math.min(parseInt(query.limit, 10) || defaultLimit, maxLimit));
+  const after = query.next ? decodeCursor(query.next) : null;
+  const from = query.from ? String(query.from) : null;
+  const to = query.to ? String(query.to) : null;
+  if (from && !DATE_RE.test(from)) throw badRequest('from must be YYYY-MM-DD');
+  if (to && !DATE_RE.test(to)) throw badRequest('to must be YYYY-MM-DD');
+  let fieldFilter = null;
+  if (query.field) {
+    const op = (query.op || 'eq').toString();
+    if (!FIELD_OPS.has(op)) throw badRequest('op must be eq or contains');
+    if (query.value == null) throw badRequest('value is required with field');
+    fieldFilter = { field_id: String(query.field), value: String(query.value), op };
+  }
+  return { limit, after, from, to, fieldFilter };
+}
+
+function dateMatch({ from, to }) {
+  if (!from && !to) return {};
+  const datum = {};
+  if (from) datum.$gte = from;
+  if (to) datum.$lte = to;
+  return { datum };
+}
+
+function fieldHitExpression({ field_id, value, op }) {
+  // 1 for the answer that satisfies the filter; $max over a response's answers tells whether any did
+  const valueCond = op === 'contains'
+    ? { $regexMatch: { input: { $ifNull: ['$antwort', ''] }, regex: escapeRegex(value), options: 'i' } }
+    : { $eq: ['$antwort', value] };
+  return { $max: { $cond: [{ $and: [{ $eq: ['$field_id', field_id] }, valueCond] }, 1, 0] } };
+}
+
+function afterResponseMatch(after) {
+  // Rows strictly after the cursor in (datum desc, response_id desc) order; null datum sorts last
+  if (!after) return [];
+  const { d, r } = after;
+  if (d == null) return [{ $match: { datum: null, response_id: { $lt: r } } }];
+  return [{ $match: { $or: [
+    { datum: { $lt: d } },
+    { datum: d, response_id: { $lt: r } },
+    { datum: null },
+  ] } }];
+}
+
+// having: optional condition on the grouped rows (e.g. { count: { $lt: 3 } })
+function responseListPipeline({ match, group, having, project }, { limit, after, from, to, fieldFilter }) {
+  return [
+    { $match: { ...match, ...dateMatch({ from, to }) } },
+    { $group: { ...group, ...(fieldFilter ? { hit: fieldHitExpression(fieldFilter) } : {}) } },
+    ...(fieldFilter ? [{ $match: { hit: 1 } }] : []),
+    ...(having ? [{ $match: having }] : []),
+    { $project: project },
+    ...afterResponseMatch(after),
+    { $sort: { datum: -1, response_id: -1 } },
+    { $limit: limit + 1 },
+  ];
+}
+
+function page(rows, limit, cursorOf) {
+  // Rows were fetched with limit + 1 to know whether there is a next page
+  const items = rows.slice(0, limit);
+  const next = rows.length > limit ? encodeCursor(cursorOf(items[items.length - 1])) : null;
+  return { items, next };
+}
+
+function responsePage(rows, limit) {
+  return page(rows, limit, last => ({ d: last.datum ?? null, r: last.response_id }));
+}
+
+module.exports = {
+  badRequest,
+  escapeRegex,
+  encodeCursor,
+  decodeCursor,
+  parseListQuery,
+  dateMatch,
+  responseListPipeline,
+  page,
+  responsePage,
+};
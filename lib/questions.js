@@ -0,0 +1,233 @@
+'use strict';
+
+// Question catalogue: the same question asked in several forms under different field ids.
+// Fields are grouped across forms by their normalized frage (lowercase, without recall placeholders and
+// punctuation) and offered as suggestions; users confirm or correct them, which stores a question in the
+// questions collection:
+//   { question_id, label, key, fields: [{ form_id, field_id }], excluded: [{ form_id, field_id }], updated_at, updated_by }
+// A field belongs to at most one confirmed question. Fields removed from a question are kept in `excluded`,
+// so they are not suggested for it again; new fields with the same key are suggested as additions.
+
+const crypto = require('crypto');
+const { otherBucketStages, formAnalytics } = require('./analytics');
+const { badRequest } = require('./query');
+
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_FIELDS = 500;
+
+function normalizeQuestion(frage) {
+  // "Was bereitet Ihnen *aktuell* am meisten Freude im Leben?" -> "was bereitet ihnen aktuell am meisten freude im leben"
+  if (frage == null) return null;
+  const key = String(frage)
+    .normalize('NFKC')
+    .replace(/\{\{[^}]*\}\}/g, ' ')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  return key || null;
+}
+
+function suggestedId(key) {
+  // Stable while the wording stays the same, so a suggestion keeps its id when it is confirmed
+  return `q_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 12)}`;
+}
+
+const refKey = ({ form_id: formId, field_id: fieldId }) => JSON.stringify([formId, fieldId]);
+
+async function ensureQuestionIndexes(questions) {
+  await questions.createIndex({ question_id: 1 }, { unique: true, name: 'uniq_question_id' });
+  await questions.createIndex({ 'fields.form_id': 1, 'fields.field_id': 1 }, { name: 'question_fields' });
+}
+
+async function listFields(answers, match = {}) {
+  // Every (form, field) that has answers, with its frage, answer type and answer count
+  const rows = await answers.aggregate([
+    { $match: { ...match, field_id: { $ne: null } } },
+    { $group: { _id: { form_id: '$form_id', field_id: '$field_id' }, frage: { $max: '$frage' }, answer_type: { $first: '$answer_type' }, answers: { $sum: 1 } } },
+  ], { allowDiskUse: true }).toArray();
+  return rows.map(r => ({
+    form_id: r._id.form_id,
+    field_id: r._id.field_id,
+    frage: r.frage ?? null,
+    answer_type: r.answer_type ?? null,
+    answers: r.answers,
+    key: normalizeQuestion(r.frage),
+  }));
+}
+
+function publicField({ key, ...field }) {
+  return field;
+}
+
+// questionCatalog({ questions, forms }, fields from listFields) -> { items: confirmed, suggestions, fields }
+async function questionCatalog({ questions, forms = null }, fields) {
+  const saved = await questions.find({}).project({ _id: 0 }).sort({ label: 1 }).toArray();
+  const formIds = [...new Set(fields.map(f => f.form_id))];
+  const titleRows = forms && formIds.length
+    ? await forms.find({ form_id: { $in: formIds } }).project({ _id: 0, form_id: 1, title: 1 }).toArray()
+    : [];
+  const titles = new Map(titleRows.map(r => [r.form_id, r.title ?? null]));
+  const byRef = new Map(fields.map(f => [refKey(f), { ...f, title: titles.get(f.form_id) ?? null, question_id: null }]));
+
+  const confirmedByKey = new Map();
+  const excludedByKey = new Map();
+  const items = saved.map(q => {
+    if (q.key && !confirmedByKey.has(q.key)) confirmedByKey.set(q.key, q);
+    if (q.key) {
+      if (!excludedByKey.has(q.key)) excludedByKey.set(q.key, new Set());
+      for (const r of q.excluded || []) excludedByKey.get(q.key).add(refKey(r));
+    }
+    return {
+      question_id: q.question_id,
+      label: q.label,
+      key: q.key ?? null,
+      status: 'confirmed',
+      fields: (q.fields || []).map(r => {
+        const field = byRef.get(refKey(r));
+        if (field) field.question_id = q.question_id;
+        // Fields without (visible) answers stay in the question
+        return publicField(field ?? { form_id: r.form_id, field_id: r.field_id, frage: null, answer_type: null, answers: 0, title: titles.get(r.form_id) ?? null });
+      }),
+      excluded: q.excluded || [],
+      updated_at: q.updated_at ?? null,
+      updated_by: q.updated_by ?? null,
+    };
+  });
+
+  const groups = new Map(); // key -> unassigned fields
+  for (const [ref, f] of byRef) {
+    if (!f.key || f.question_id || excludedByKey.get(f.key)?.has(ref)) continue;
+    if (!groups.has(f.key)) groups.set(f.key, []);
+    groups.get(f.key).push(f);
+  }
+  const suggestions = [];
+  for (const [key, list] of groups) {
+    const existing = confirmedByKey.get(key);
+    // A wording used in one form only is not a match, unless it joins a confirmed question
+    if (!existing && new Set(list.map(f => f.form_id)).size < 2) continue;
+    list.sort((a, b) => b.answers - a.answers);
+    suggestions.push({
+      question_id: existing?.question_id ?? suggestedId(key),
+      label: existing?.label ?? list[0].frage,
+      key,
+      status: 'suggested',
+      extends: !!existing,
+      fields: list.map(publicField),
+    });
+  }
+  suggestions.sort((a, b) => b.fields.length - a.fields.length || String(a.label).localeCompare(String(b.label)));
+  return { items, suggestions, fields: [...byRef.values()].map(publicField) };
+}
+
+function findQuestion(catalog, questionId) {
+  // Confirmed first: a suggestion that extends a confirmed question shares its id
+  return catalog.items.find(q => q.question_id === questionId)
+    ?? catalog.suggestions.find(q => q.question_id === questionId)
+    ?? null;
+}
+
+function questionForField(catalog, formId, fieldId) {
+  const has = q => q.fields.some(f => f.form_id === formId && f.field_id === fieldId);
+  return catalog.items.find(has) ?? catalog.suggestions.find(has) ?? null;
+}
+
+function searchFields(catalog, q, { limit = 50 } = {}) {
+  // For adding fields to a question by hand: form_id or field_id exactly, or part of the normalized frage
+  const key = normalizeQuestion(q);
+  return catalog.fields
+    .filter(f => f.form_id === q || f.field_id === q || (key && normalizeQuestion(f.frage)?.includes(key)))
+    .slice(0, limit);
+}
+
+function parseFieldRefs(list, name) {
+  if (list == null) return [];
+  if (!Array.isArray(list) || list.length > MAX_FIELDS) throw badRequest(`${name} must be an array of { form_id, field_id } (at most ${MAX_FIELDS})`);
+  const refs = new Map();
+  for (const r of list) {
+    if (typeof r?.form_id !== 'string' || !r.form_id || typeof r?.field_id !== 'string' || !r.field_id) {
+      throw badRequest(`${name}: every entry needs form_id and field_id`);
+    }
+    refs.set(refKey(r), { form_id: r.form_id, field_id: r.field_id });
+  }
+  return [...refs.values()];
+}
+
+// saveQuestion(questions, questionId, { label, key?, fields, excluded? }, { actor }) — confirm a suggestion or
+// correct a question; fields are taken out of any other question
+async function saveQuestion(questions, questionId, body, { actor = null } = {}) {
+  if (!ID_RE.test(questionId || '')) throw badRequest(`question id must match ${ID_RE}`);
+  const { label, key } = body || {};
+  if (typeof label !== 'string' || !label.trim()) throw badRequest('label is required');
+  const fields = parseFieldRefs(body?.fields, 'fields');
+  if (!fields.length) throw badRequest('fields must not be empty');
+  const chosen = new Set(fields.map(refKey));
+  const excluded = parseFieldRefs(body?.excluded, 'excluded').filter(r => !chosen.has(refKey(r)));
+
+  const now = new Date();
+  const existing = await questions.findOne({ question_id: questionId });
+  const doc = {
+    question_id: questionId,
+    label: label.trim(),
+    key: existing?.key ?? normalizeQuestion(key ?? label),
+    fields,
+    excluded,
+    updated_at: now,
+    updated_by: actor,
+  };
+  const others = { question_id: { $ne: questionId }, fields: { $elemMatch: { $or: fields } } };
+  await questions.updateMany(others, { $pull: { fields: { $or: fields } }, $set: { updated_at: now, updated_by: actor } });
+  await questions.deleteMany({ question_id: { $ne: questionId }, fields: { $size: 0 } });
+  await questions.updateOne({ question_id: questionId }, { $set: doc, $setOnInsert: { created_at: now, created_by: actor } }, { upsert: true });
+  return { ...doc, created: !existing };
+}
+
+async function deleteQuestion(questions, questionId) {
+  const { deletedCount } = await questions.deleteOne({ question_id: questionId });
+  return deletedCount > 0;
+}
+
+// Answer frequencies per field of the question (most common first), for the "Andere Antworten" view
+async function questionDistribution(answers, question, { match = {}, excludeResponseId = null, limit = 50, bucketOther = false } = {}) {
+  const rows = await answers.aggregate([
+    { $match: {
+      ...match,
+      $or: question.fields.map(f => ({ form_id: f.form_id, field_id: f.field_id })),
+      ...(excludeResponseId ? { response_id: { $ne: excludeResponseId } } : {}),
+    } },
+    ...(bucketOther ? otherBucketStages() : []),
+    { $group: { _id: { form_id: '$form_id', field_id: '$field_id', antwort: '$antwort' }, count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+  ], { allowDiskUse: true }).toArray();
+  const byRef = new Map(question.fields.map(f => [refKey(f), { ...f, total: 0, items: [] }]));
+  for (const r of rows) {
+    const entry = byRef.get(refKey(r._id));
+    if (!entry) continue;
+    entry.total += r.count;
+    if (entry.items.length < limit) entry.items.push({ antwort: r._id.antwort, count: r.count });
+  }
+  return [...byRef.values()];
+}
+
+// Dashboard statistics (lib/analytics.js) of every field of the question, one entry per form
+async function questionAnalytics(answers, question, { match = {}, bucket = 'week', bucketOther = false } = {}) {
+  const forms = [];
+  for (const f of question.fields) {
+    const result = await formAnalytics(answers, { ...match, form_id: f.form_id, field_id: f.field_id }, { bucket, bucketOther });
+    forms.push({ ...f, responses: result.responses, timeline: result.timeline, field: result.fields[0] ?? null });
+  }
+  return { question_id: question.question_id, label: question.label, status: question.status, bucket, forms };
+}
+
+module.exports = {
+  normalizeQuestion,
+  ensureQuestionIndexes,
+  listFields,
+  questionCatalog,
+  findQuestion,
+  questionForField,
+  searchFields,
+  saveQuestion,
+  deleteQuestion,
+  questionDistribution,
+  questionAnalytics,
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+// `node index.js rebuild`: regenerates answer and response documents from the raw archive (lib/archive.js)
+// with the current mapping in lib/answers.js and lib/identity.js, without any Typeform request.
+// Every response is rebuilt with the form version it was archived with (latest version as fallback), which
+// answer documents record as form_version. Webhook deliveries of forms that were never synced have no
+// archived version; they are rebuilt from the definition in their payload, without form_version.
+// Answer documents the mapping no longer produces for an archived response are removed; responses
+// that are not in the archive (synced before it existed, erased via GDPR) are left alone.
+
+const { isDeepStrictEqual } = require('util');
+const { buildFieldMap, buildAnswerDocs, buildResponseDoc } = require('./answers');
+const { extractIdentity } = require('./identity');
+const { upsertDocs, upsertResponses } = require('./mongo');
+const { loadFormVersions } = require('./archive');
+const { withOrigin } = require('./accounts');
+const { withFormVersion } = require('./definitions');
+
+const BATCH = 200;
+
+function changedKeys(before, after) {
+  // Only keys the mapping produces; deleted_at, pseudonymised_at etc. are kept by the $set upsert
+  return Object.keys(after).filter(k => !isDeepStrictEqual(before[k] ?? null, after[k] ?? null));
+}
+
+function emptyFormSummary(formId) {
+  return { form_id: formId, responses: 0, without_definition: 0, docs: 0, added: 0, changed: 0, unchanged: 0, removed: 0, changed_keys: {}, samples: [] };
+}
+
+async function rebuildBatch(items, ctx, summary) {
+  const { collections, versions, latest, latestVersion, identityConfig, dryRun, writeMode, sampleLimit } = ctx;
+  const { answers, responses } = collections;
+  const ids = items.map(a => a.response_id);
+  const stored = await answers.find({ response_id: { $in: ids } }, { projection: { _id: 0 } }).toArray();
+  const storedByResponse = new Map();
+  for (const d of stored) {
+    if (!storedByResponse.has(d.response_id)) storedByResponse.set(d.response_id, new Map());
+    storedByResponse.get(d.response_id).set(d.id, d);
+  }
+  const writes = [];
+  const responseDocs = [];
+  const removed = [];
+  for (const item of items) {
+    const version = versions.has(item.form_version) ? item.form_version : latestVersion;
+    const definition = versions.get(version) || latest || item.raw?.definition;
+    if (!definition) {
+      summary.without_definition += 1;
+      continue;
+    }
+    summary.responses += 1;
+    const identity = extractIdentity(item.form_id, item.raw, identityConfig);
+    const origin = item.account ? { account: item.account, workspace_id: item.workspace_id ?? null, workspace: item.workspace ?? null } : null;
+    const docs = buildAnswerDocs(item.form_id, buildFieldMap(definition), item.raw, identity)
+      .map(d => withFormVersion(withOrigin(d, origin), version));
+    responseDocs.push(withOrigin(buildResponseDoc(item.form_id, item.raw, identity), origin));
+    const before = storedByResponse.get(item.response_id) || new Map();
+    // A soft-deleted response stays deleted, including answers the new mapping adds
+    const deletedAt = [...before.values()].find(d => d.deleted_at)?.deleted_at ?? null;
+    summary.docs += docs.length;
+    for (const doc of docs) {
+      const old = before.get(doc.id);
+      before.delete(doc.id);
+      if (!old) {
+        summary.added += 1;
+        writes.push(deletedAt ? { ...doc, deleted_at: deletedAt } : doc);
+        continue;
+      }
+      const keys = changedKeys(old, doc);
+      if (!keys.length) {
+        summary.unchanged += 1;
+        continue;
+      }
+      summary.changed += 1;
+      writes.push(doc);
+      for (const k of keys) summary.changed_keys[k] = (summary.changed_keys[k] || 0) + 1;
+      if (summary.samples.length < sampleLimit) {
+        summary.samples.push({ id: doc.id, changes: keys.map(k => ({ key: k, before: old[k] ?? null, after: doc[k] ?? null })) });
+      }
+    }
+    removed.push(...before.keys());
+  }
+  summary.removed += removed.length;
+  if (dryRun) return;
+  await upsertDocs(answers, writes, { writeMode });
+  if (removed.length) await answers.deleteMany({ id: { $in: removed } });
+  if (responses) await upsertResponses(responses, responseDocs, { writeMode });
+}
+
+// rebuildAnswers({ answers, responses, responseArchive, formArchive }, opts)
+// opts: { formIds (default: every form in the archive), identityConfig, dryRun, writeMode, sampleLimit, log }
+// -> { dry_run, forms: [per-form summary], totals }
+async function rebuildAnswers(collections, opts = {}) {
+  const { formIds = null, identityConfig, dryRun = false, writeMode, sampleLimit = 5, log = console } = opts;
+  const { responseArchive, formArchive } = collections;
+  const forms = formIds || (await responseArchive.distinct('form_id')).sort();
+  const summaries = [];
+  for (const formId of forms) {
+    const summary = emptyFormSummary(formId);
+    const { versions, latest, latestVersion } = await loadFormVersions(formArchive, formId);
+    const ctx = { collections, versions, latest, latestVersion, identityConfig, dryRun, writeMode, sampleLimit };
+    const cursor = responseArchive.find({ form_id: formId }, { projection: { _id: 0 } }).sort({ submitted_at: 1, response_id: 1 });
+    let batch = [];
+    for await (const item of cursor) {
+      batch.push(item);
+      if (batch.length >= BATCH) {
+        await rebuildBatch(batch, ctx, summary);
+        batch = [];
+      }
+    }
+    if (batch.length) await rebuildBatch(batch, ctx, summary);
+    log.log(` - ${formId}: ${summary.responses} responses, ${summary.added} added, ${summary.changed} changed, ${summary.unchanged} unchanged, ${summary.removed} removed${summary.without_definition ? `, ${summary.without_definition} skipped (no archived definition)` : ''}.`);
+    summaries.push(summary);
+  }
+  const sum = key => summaries.reduce((n, s) => n + s[key], 0);
+  const changedKeysTotal = {};
+  for (const s of summaries) {
+    for (const [k, n] of Object.entries(s.changed_keys)) changedKeysTotal[k] = (changedKeysTotal[k] || 0) + n;
+  }
+  return {
+    dry_run: dryRun,
+    forms: summaries,
+    totals: {
+      forms: summaries.length,
+      responses: sum('responses'),
+      without_definition: sum('without_definition'),
+      docs: sum('docs'),
+      added: sum('added'),
+      changed: sum('changed'),
+      unchanged: sum('unchanged'),
+      removed: sum('removed'),
+      changed_keys: changedKeysTotal,
+    },
+  };
+}
+
+module.exports = { changedKeys, rebuildAnswers };
@@ -0,0 +1,116 @@
+'use strict';
+
+// Schedules for `node index.js --daemon`: 5-field cron expressions (minute hour day-of-month month
+// day-of-week, local time) or intervals ("every 15m", "2h"), a default schedule for all forms and
+// per-form overrides from a JSON file:
+//
+// { "default": "every 1h", "forms": { "<hot form>": "*/5 * * * *", "<archived form>": "0 3 * * *" } }
+//
+// "default": null syncs only the forms listed under "forms".
+
+const fs = require('fs');
+
+const INTERVAL_RE = /^(?:every\s+)?(\d+)\s*(s|m|h|d)$/i;
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron ${name}: ${part}`);
+    const from = m[1] === '*' ? min : Number(m[2]);
+    const to = m[1] === '*' ? max : (m[3] != null ? Number(m[3]) : (m[4] ? max : from));
+    const step = m[4] ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid cron ${name}: ${part}`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const parts = String(expr).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields: ${expr}`);
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  // Standard cron: when both day fields are restricted, either one matching is enough
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+function cronDayMatches(c, d) {
+  const domOk = c.dom.has(d.getDate());
+  const dowOk = c.dow.has(d.getDay());
+  if (c.domAny && c.dowAny) return true;
+  if (c.domAny) return dowOk;
+  if (c.dowAny) return domOk;
+  return domOk || dowOk;
+}
+
+function nextCronTime(c, after) {
+  // Next matching minute strictly after `after`; skips whole months/days/hours that cannot match
+  const d = new Date(after.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = after.getTime() + 5 * 366 * UNIT_MS.d;
+  while (d.getTime() <= limit) {
+    if (!c.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(c, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!c.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!c.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  throw new Error('Cron expression never matches');
+}
+
+function parseSchedule(text) {
+  // -> { text, interval, next(after: Date) -> Date }
+  const s = String(text).trim();
+  const interval = s.match(INTERVAL_RE);
+  if (interval) {
+    const ms = Number(interval[1]) * UNIT_MS[interval[2].toLowerCase()];
+    if (!ms) throw new Error(`Invalid interval: ${s}`);
+    return { text: s, interval: true, next: after => new Date(after.getTime() + ms) };
+  }
+  const cron = parseCron(s);
+  return { text: s, interval: false, next: after => nextCronTime(cron, after) };
+}
+
+function loadScheduleConfig({ file, defaultSchedule }) {
+  // -> { default: schedule | null, forms: Map(form_id -> schedule) }
+  let raw = { default: defaultSchedule ?? null, forms: {} };
+  if (file) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`Cannot read schedule config ${file}: ${e.message}`);
+    }
+    if (defaultSchedule) raw.default = defaultSchedule;
+  }
+  const forms = new Map();
+  for (const [formId, text] of Object.entries(raw.forms || {})) {
+    try {
+      forms.set(formId, parseSchedule(text));
+    } catch (e) {
+      throw new Error(`forms.${formId}: ${e.message}`);
+    }
+  }
+  const config = { default: raw.default ? parseSchedule(raw.default) : null, forms };
+  if (!config.default && !forms.size) throw new Error('No schedule: set SYNC_SCHEDULE or a schedule config with "default" or "forms"');
+  return config;
+}
+
+module.exports = { parseCron, nextCronTime, parseSchedule, loadScheduleConfig };
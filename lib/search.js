@@ -0,0 +1,116 @@
+'use strict';
+
+// Full-text search over what participants wrote (antwort) and the question text (frage).
+// Uses a MongoDB text index on the answers collection; hits are grouped by response and ranked
+// by the summed text score of their matching answers. Identifiers (form_id, chiffre, email) are
+// matched exactly instead, never as regular expressions.
+
+const { escapeRegex, encodeCursor, dateMatch, responseListPipeline } = require('./query');
+
+const TEXT_INDEX = 'answer_text';
+const SNIPPETS_PER_RESPONSE = 3;
+const SNIPPET_RADIUS = 60;
+
+async function ensureTextIndex(answers) {
+  // German stemming; a collection can only have one text index
+  await answers.createIndex({ antwort: 'text', frage: 'text' }, { name: TEXT_INDEX, default_language: 'german', weights: { antwort: 2, frage: 1 } });
+}
+
+function searchTerms(q) {
+  // Words as the $text query sees them: quotes group phrases, a leading - negates
+  const terms = [];
+  for (const m of String(q).matchAll(/"([^"]+)"|(\S+)/g)) {
+    if (m[2] && m[2].startsWith('-')) continue;
+    const term = (m[1] || m[2]).trim();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+function snippet(text, terms, radius = SNIPPET_RADIUS) {
+  // Window around the first occurrence of any term; the UI highlights the terms inside it
+  if (text == null) return null;
+  const s = String(text);
+  const re = terms.length ? new RegExp(terms.map(escapeRegex).join('|'), 'i') : null;
+  const at = re ? s.search(re) : -1;
+  if (at < 0) return s.length > radius * 2 ? `${s.slice(0, radius * 2)}…` : s;
+  const start = Math.max(0, at - radius);
+  const end = Math.min(s.length, at + radius);
+  return `${start > 0 ? '…' : ''}${s.slice(start, end)}${end < s.length ? '…' : ''}`;
+}
+
+function identifierMatch(q, { includeEmail }) {
+  const or = [{ form_id: q }, { chiffre: q }, { chiffre: q.toUpperCase() }];
+  // Emails: exact, case-insensitive (anchored and escaped, so no pattern syntax from user input)
+  if (includeEmail && q.includes('@')) or.push({ email: { $regex: `^${escapeRegex(q)}$`, $options: 'i' } });
+  return { $or: or };
+}
+
+async function identifierHits(answers, q, match, { from, to, includeEmail, limit, after }) {
+  return answers.aggregate(responseListPipeline({
+    match: { ...match, ...identifierMatch(q, { includeEmail }) },
+    group: { _id: { form_id: '$form_id', response_id: '$response_id' }, chiffre: { $first: '$chiffre' }, email: { $first: '$email' }, datum: { $first: '$datum' } },
+    project: { _id: 0, form_id: '$_id.form_id', response_id: '$_id.response_id', chiffre: 1, email: 1, datum: 1 },
+  }, { limit, after, from, to }), { allowDiskUse: true }).toArray();
+}
+
+function textSearchPipeline(q, match, { from, to, after, limit, excludeIdentifiers, textMatch }) {
+  return [
+    // $text has to be part of the first stage. form_id, chiffre and email are the same in every answer of a
+    // response, so excluding identifier matches per answer leaves out the responses already listed as such
+    { $match: { $text: { $search: q }, ...match, ...dateMatch({ from, to }), $nor: [excludeIdentifiers] } },
+    ...(textMatch ? [{ $match: textMatch }] : []),
+    { $addFields: { _score: { $meta: 'textScore' } } },
+    { $sort: { _score: -1 } },
+    { $group: {
+      _id: '$response_id',
+      form_id: { $first: '$form_id' },
+      chiffre: { $first: '$chiffre' },
+      email: { $first: '$email' },
+      datum: { $first: '$datum' },
+      score: { $sum: '$_score' },
+      hits: { $push: { field_id: '$field_id', frage: '$frage', antwort: '$antwort', sonstiges: '$sonstiges', answer_type: '$answer_type' } },
+    } },
+    { $project: { _id: 0, response_id: '$_id', form_id: 1, chiffre: 1, email: 1, datum: 1, score: 1, hits: { $slice: ['$hits', SNIPPETS_PER_RESPONSE] } } },
+    ...(after ? [{ $match: { $or: [{ score: { $lt: after.s } }, { score: after.s, response_id: { $lt: after.r } }] } }] : []),
+    { $sort: { score: -1, response_id: -1 } },
+    { $limit: limit + 1 },
+  ];
+}
+
+// searchAnswers(answers, { q, match, from, to, limit, after, includeEmail, textMatch, maskHit })
+// match: base filter (visibility, form_id); textMatch: extra filter for text hits only
+// (e.g. to keep free text away from viewers); maskHit: applied to each hit before building snippets.
+// Exact identifier matches come first (newest first), then the ranked text hits; both count against limit.
+// The cursor is { d, r } while identifier matches are paged, then { s, r } (s: null for the first text hit).
+async function searchAnswers(answers, { q, match = {}, from = null, to = null, limit, after = null, includeEmail = false, textMatch = null, maskHit = h => h }) {
+  const terms = searchTerms(q);
+  const inText = after != null && 's' in after;
+  const idRows = inText ? [] : await identifierHits(answers, q, match, { from, to, includeEmail, limit, after });
+  const ids = idRows.slice(0, limit).map(r => ({ ...r, match: 'identifier', score: null, snippets: [] }));
+  if (idRows.length > limit) {
+    const last = ids[ids.length - 1];
+    return { items: ids, next: encodeCursor({ d: last.datum ?? null, r: last.response_id }), terms };
+  }
+
+  const room = limit - ids.length;
+  const textAfter = inText && after.s != null ? after : null;
+  const rows = terms.length
+    ? await answers.aggregate(textSearchPipeline(q, match, { from, to, after: textAfter, limit: room, excludeIdentifiers: identifierMatch(q, { includeEmail }), textMatch }), { allowDiskUse: true }).toArray()
+    : [];
+  const textItems = rows.slice(0, room).map(({ hits, ...r }) => ({
+    ...r,
+    match: 'text',
+    snippets: hits.map(maskHit).map(h => ({
+      field_id: h.field_id,
+      frage: snippet(h.frage, terms),
+      antwort: snippet(h.antwort, terms),
+    })),
+  }));
+  // A page filled by identifier matches continues with the first text hit
+  const last = textItems[textItems.length - 1];
+  const next = rows.length > room ? encodeCursor(last ? { s: last.score, r: last.response_id } : { s: null, r: null }) : null;
+  return { items: [...ids, ...textItems], next, terms };
+}
+
+module.exports = { TEXT_INDEX, ensureTextIndex, searchTerms, snippet, searchAnswers };
@@ -0,0 +1,79 @@
+'use strict';
+
+// Append-only JSONL sink (--sink=jsonl:<dir>): every upsert appends one line per document to
+// <dir>/forms.jsonl, <dir>/responses.jsonl or <dir>/answers.jsonl, with _synced_at added.
+// Readers keep the last line per key (form_id, response_id, id). Syncs only append; gdpr erase and
+// --reconcile rewrite the lines of the responses they touch (deleteResponses, setDeletedAt), so erased
+// data does not stay in older lines. Dates are written as ISO strings.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+function createJsonlSink(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  async function append(file, docs) {
+    if (!docs?.length) return { upserted: 0, matched: 0, modified: 0 };
+    const syncedAt = new Date().toISOString();
+    const lines = docs.map(d => JSON.stringify({ ...d, _synced_at: syncedAt })).join('\n') + '\n';
+    await fs.promises.appendFile(path.join(dir, file), lines);
+    return { upserted: docs.length, matched: 0, modified: 0 };
+  }
+
+  async function rewrite(file, responseIds, change) {
+    // change(doc) -> doc to keep or null to drop, for lines of the given responses; other lines stay as they are
+    const target = path.join(dir, file);
+    if (!fs.existsSync(target)) return 0;
+    const ids = new Set(responseIds);
+    const tmp = `${target}.tmp`;
+    const out = fs.createWriteStream(tmp);
+    let changed = 0;
+    try {
+      for await (const line of readline.createInterface({ input: fs.createReadStream(target), crlfDelay: Infinity })) {
+        if (!line) continue;
+        let next = line;
+        if (line.includes('"response_id"')) {
+          const doc = JSON.parse(line);
+          if (ids.has(doc.response_id)) {
+            const kept = change(doc);
+            next = kept ? JSON.stringify(kept) : null;
+            changed += 1;
+          }
+        }
+        if (next !== null && !out.write(next + '\n')) await new Promise(resolve => out.once('drain', resolve));
+      }
+      await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+      await fs.promises.rename(tmp, target);
+    } catch (e) {
+      out.destroy();
+      await fs.promises.rm(tmp, { force: true });
+      throw e;
+    }
+    return changed;
+  }
+
+  async function byResponses(responseIds, change) {
+    const changed = await rewrite('answers.jsonl', responseIds, change);
+    await rewrite('responses.jsonl', responseIds, change);
+    return changed;
+  }
+
+  return {
+    name: 'jsonl',
+    upsertForms: docs => append('forms.jsonl', docs),
+    upsertResponses: docs => append('responses.jsonl', docs),
+    upsertAnswers: docs => append('answers.jsonl', docs),
+    async deleteResponses(responseIds) {
+      return { deleted: await byResponses(responseIds, () => null) };
+    },
+    async setDeletedAt(responseIds, deletedAt) {
+      const at = deletedAt ? deletedAt.toISOString() : null;
+      const modified = await byResponses(responseIds, doc => (at && doc.deleted_at ? doc : { ...doc, deleted_at: at }));
+      return { modified };
+    },
+    async close() {},
+  };
+}
+
+module.exports = { createJsonlSink };
@@ -0,0 +1,279 @@
+'use strict';
+
+// Relational sinks: forms, responses and answers tables in SQLite (--sink=sqlite:<file>, better-sqlite3)
+// or PostgreSQL (--sink=postgres:<url>, pg). Both drivers are optional peer dependencies: npm does not install
+// them, they are loaded when such a sink is opened.
+// Upserts only touch the columns a document carries (like MongoDB's $set) and count a row as modified
+// only when a value actually changed. Nested values (wert, pfad, hidden, variables, ...) are stored as JSON
+// (jsonb in PostgreSQL). Tables and missing columns are created on open.
+
+const TABLES = {
+  forms: {
+    key: 'form_id',
+    columns: {
+      form_id: 'text', title: 'text', account: 'text', workspace_id: 'text', workspace: 'text', version: 'text', definition: 'json',
+    },
+  },
+  responses: {
+    key: 'response_id',
+    columns: {
+      response_id: 'text', form_id: 'text', token: 'text', email: 'text', chiffre: 'text', datum: 'text',
+      landed_at: 'timestamp', submitted_at: 'timestamp', hidden: 'json', variables: 'json', score: 'real',
+      calculated: 'json', metadata: 'json', ending: 'json', answers_count: 'integer', identity: 'json',
+      account: 'text', workspace_id: 'text', workspace: 'text', deleted_at: 'timestamp',
+    },
+  },
+  answers: {
+    key: 'id',
+    columns: {
+      id: 'text', form_id: 'text', response_id: 'text', field_id: 'text', frage: 'text', antwort: 'text',
+      wert: 'json', sonstiges: 'text', answer_type: 'text', chiffre: 'text', email: 'text', datum: 'text', gruppe: 'text',
+      pfad: 'json', idx: 'integer', account: 'text', workspace_id: 'text', workspace: 'text', form_version: 'text',
+      deleted_at: 'timestamp',
+    },
+    indexes: [['form_id', 'response_id'], ['chiffre'], ['email']],
+  },
+};
+
+const SQLITE_TYPES = { text: 'TEXT', integer: 'INTEGER', real: 'REAL', json: 'TEXT', timestamp: 'TEXT' };
+const POSTGRES_TYPES = { text: 'text', integer: 'bigint', real: 'double precision', json: 'jsonb', timestamp: 'timestamptz' };
+const POSTGRES_BATCH = 500;
+const ID_BATCH = 500;
+
+function loadDriver(name) {
+  try {
+    return require(name);
+  } catch (e) {
+    if (e?.code === 'MODULE_NOT_FOUND') throw new Error(`The ${name} package is not installed (npm install ${name})`);
+    throw e;
+  }
+}
+
+function columnValue(type, value, dialect) {
+  if (value === undefined || value === null) return null;
+  if (type === 'json') return JSON.stringify(value);
+  if (type === 'timestamp') return value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'boolean') return dialect === 'sqlite' ? Number(value) : value;
+  return value;
+}
+
+function rowsByColumns(table, docs, dialect) {
+  // Documents with the same set of known keys share one statement; the last document per key wins
+  const { key, columns } = TABLES[table];
+  const unique = new Map(docs.filter(d => d?.[key] != null).map(d => [d[key], d]));
+  const groups = new Map();
+  for (const doc of unique.values()) {
+    const cols = Object.keys(columns).filter(c => c in doc);
+    const sig = cols.join(',');
+    if (!groups.has(sig)) groups.set(sig, { cols, rows: [] });
+    groups.get(sig).rows.push(cols.map(c => columnValue(columns[c], doc[c], dialect)));
+  }
+  return [...groups.values()];
+}
+
+function createStatements(dialect) {
+  const types = dialect === 'sqlite' ? SQLITE_TYPES : POSTGRES_TYPES;
+  const out = [];
+  for (const [table, { key, columns, indexes = [] }] of Object.entries(TABLES)) {
+    const cols = Object.entries(columns).map(([c, t]) => `${c} ${types[t]}${c === key ? ' PRIMARY KEY' : ''}`);
+    out.push(`CREATE TABLE IF NOT EXISTS ${table} (${cols.join(', ')})`);
+    for (const idx of indexes) {
+      out.push(`CREATE INDEX IF NOT EXISTS ${table}_${idx.join('_')} ON ${table} (${idx.join(', ')})`);
+    }
+  }
+  return out;
+}
+
+function emptyCounts() {
+  return { upserted: 0, matched: 0, modified: 0 };
+}
+
+function chunks(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+// ---- SQLite ----
+
+function createSqliteSink(file) {
+  const Database = loadDriver('better-sqlite3');
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  for (const sql of createStatements('sqlite')) db.exec(sql);
+  // Columns added in later versions of TABLES
+  for (const [table, { columns }] of Object.entries(TABLES)) {
+    const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+    for (const [c, t] of Object.entries(columns)) {
+      if (!existing.has(c)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${c} ${SQLITE_TYPES[t]}`);
+    }
+  }
+  const statements = new Map();
+
+  function statement(table, cols) {
+    const sig = `${table}:${cols.join(',')}`;
+    if (!statements.has(sig)) {
+      const { key } = TABLES[table];
+      const updates = cols.filter(c => c !== key);
+      const sql = `INSERT INTO ${table} (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`
+        + (updates.length
+          ? ` ON CONFLICT(${key}) DO UPDATE SET ${updates.map(c => `${c} = excluded.${c}`).join(', ')}`
+            + ` WHERE ${updates.map(c => `${table}.${c} IS NOT excluded.${c}`).join(' OR ')}`
+          : ` ON CONFLICT(${key}) DO NOTHING`);
+      statements.set(sig, {
+        exists: db.prepare(`SELECT 1 FROM ${table} WHERE ${key} = ?`),
+        upsert: db.prepare(sql),
+      });
+    }
+    return statements.get(sig);
+  }
+
+  function upsert(table, docs) {
+    const counts = emptyCounts();
+    const keyIndex = cols => cols.indexOf(TABLES[table].key);
+    const run = db.transaction(groups => {
+      for (const { cols, rows } of groups) {
+        const stmt = statement(table, cols);
+        for (const row of rows) {
+          const existed = !!stmt.exists.get(row[keyIndex(cols)]);
+          const { changes } = stmt.upsert.run(row);
+          if (existed) {
+            counts.matched += 1;
+            counts.modified += changes;
+          } else {
+            counts.upserted += 1;
+          }
+        }
+      }
+    });
+    run(rowsByColumns(table, docs || [], 'sqlite'));
+    return counts;
+  }
+
+  // Answers first: their count is what the callers report
+  const byResponses = (responseIds, sql, params = []) => db.transaction(() => {
+    let changes = 0;
+    for (const ids of chunks(responseIds, ID_BATCH)) {
+      const list = ids.map(() => '?').join(', ');
+      for (const table of ['answers', 'responses']) {
+        const res = db.prepare(sql(table, `response_id IN (${list})`)).run(...params, ...ids);
+        if (table === 'answers') changes += res.changes;
+      }
+    }
+    return changes;
+  })();
+
+  return {
+    name: 'sqlite',
+    upsertForms: async docs => upsert('forms', docs),
+    upsertResponses: async docs => upsert('responses', docs),
+    upsertAnswers: async docs => upsert('answers', docs),
+    async deleteResponses(responseIds) {
+      return { deleted: byResponses(responseIds, (table, where) => `DELETE FROM ${table} WHERE ${where}`) };
+    },
+    async setDeletedAt(responseIds, deletedAt) {
+      const modified = deletedAt
+        ? byResponses(responseIds, (table, where) => `UPDATE ${table} SET deleted_at = ? WHERE deleted_at IS NULL AND ${where}`, [deletedAt.toISOString()])
+        : byResponses(responseIds, (table, where) => `UPDATE ${table} SET deleted_at = NULL WHERE ${where}`);
+      return { modified };
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+// ---- PostgreSQL ----
+
+async function createPostgresSink(url) {
+  const { Pool } = loadDriver('pg');
+  const pool = new Pool({ connectionString: url, max: 2 });
+  try {
+    for (const sql of createStatements('postgres')) await pool.query(sql);
+    for (const [table, { columns }] of Object.entries(TABLES)) {
+      for (const [c, t] of Object.entries(columns)) {
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${c} ${POSTGRES_TYPES[t]}`);
+      }
+    }
+  } catch (e) {
+    await pool.end().catch(() => {});
+    throw e;
+  }
+
+  async function upsert(table, docs) {
+    const counts = emptyCounts();
+    const { key } = TABLES[table];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const { cols, rows } of rowsByColumns(table, docs || [], 'postgres')) {
+        const updates = cols.filter(c => c !== key);
+        for (let i = 0; i < rows.length; i += POSTGRES_BATCH) {
+          const batch = rows.slice(i, i + POSTGRES_BATCH);
+          const values = batch.map((_, r) => `(${cols.map((__, c) => `$${r * cols.length + c + 1}`).join(', ')})`);
+          // xmax = 0 marks a freshly inserted row; unchanged rows are filtered by the WHERE and not returned
+          const sql = `INSERT INTO ${table} (${cols.join(', ')}) VALUES ${values.join(', ')}`
+            + (updates.length
+              ? ` ON CONFLICT (${key}) DO UPDATE SET ${updates.map(c => `${c} = EXCLUDED.${c}`).join(', ')}`
+                + ` WHERE ${updates.map(c => `${table}.${c} IS DISTINCT FROM EXCLUDED.${c}`).join(' OR ')}`
+              : ` ON CONFLICT (${key}) DO NOTHING`)
+            + ' RETURNING (xmax = 0) AS inserted';
+          const res = await client.query(sql, batch.flat());
+          const inserted = res.rows.filter(r => r.inserted).length;
+          counts.upserted += inserted;
+          counts.modified += res.rows.length - inserted;
+          counts.matched += batch.length - inserted;
+        }
+      }
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+    return counts;
+  }
+
+  async function byResponses(responseIds, sql, params = []) {
+    let changes = 0;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const ids of chunks(responseIds, ID_BATCH)) {
+        for (const table of ['answers', 'responses']) {
+          const res = await client.query(sql(table, `response_id = ANY($${params.length + 1})`), [...params, ids]);
+          if (table === 'answers') changes += res.rowCount;
+        }
+      }
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+    return changes;
+  }
+
+  return {
+    name: 'postgres',
+    upsertForms: docs => upsert('forms', docs),
+    upsertResponses: docs => upsert('responses', docs),
+    upsertAnswers: docs => upsert('answers', docs),
+    async deleteResponses(responseIds) {
+      return { deleted: await byResponses(responseIds, (table, where) => `DELETE FROM ${table} WHERE ${where}`) };
+    },
+    async setDeletedAt(responseIds, deletedAt) {
+      const modified = deletedAt
+        ? await byResponses(responseIds, (table, where) => `UPDATE ${table} SET deleted_at = $1 WHERE deleted_at IS NULL AND ${where}`, [deletedAt])
+        : await byResponses(responseIds, (table, where) => `UPDATE ${table} SET deleted_at = NULL WHERE ${where}`);
+      return { modified };
+    },
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+module.exports = { TABLES, createSqliteSink, createPostgresSink };
@@ -0,0 +1,118 @@
+'use strict';
+
+// Where a sync writes forms, responses and answers. Every sink offers
+//   upsertForms(docs, opts), upsertResponses(docs, opts), upsertAnswers(docs, opts) -> { upserted, matched, modified }
+//   deleteResponses(responseIds)             removes the responses and their answers (gdpr erase, hard delete)
+//   setDeletedAt(responseIds, date | null)   soft-deletes or restores them (--reconcile)
+//   close()
+// with MongoDB's $set semantics: a document replaces the stored fields it carries and leaves the others alone.
+// Selected with --sink (repeatable or comma-separated), default "mongo":
+//   mongo                     the configured MongoDB collections (lib/mongo.js)
+//   sqlite:<file>             forms, responses and answers tables (lib/sink-sql.js, needs better-sqlite3)
+//   postgres[:<url>]          same tables in PostgreSQL (lib/sink-sql.js, needs pg; url defaults to DATABASE_URL)
+//   jsonl:<dir>               append-only forms.jsonl, responses.jsonl, answers.jsonl (lib/sink-jsonl.js)
+// Checkpoints, run history and the raw archive always stay in MongoDB.
+
+const { upsertDocs, upsertResponses, upsertForms } = require('./mongo');
+
+const SINK_TYPES = ['mongo', 'sqlite', 'postgres', 'jsonl'];
+
+function createMongoSink({ answers, responses, forms }) {
+  return {
+    name: 'mongo',
+    upsertAnswers: (docs, opts) => upsertDocs(answers, docs, opts),
+    upsertResponses: (docs, opts) => upsertResponses(responses, docs, opts),
+    async upsertForms(docs, opts) {
+      // MONGODB_COLLECTION_FORMS is optional for the CLI
+      if (!forms) return { upserted: 0, matched: 0, modified: 0, skipped: true };
+      return upsertForms(forms, docs, opts);
+    },
+    async deleteResponses(responseIds) {
+      const filter = { response_id: { $in: responseIds } };
+      const res = await answers.deleteMany(filter);
+      if (responses) await responses.deleteMany(filter);
+      return { deleted: res.deletedCount };
+    },
+    async setDeletedAt(responseIds, deletedAt) {
+      const filter = { response_id: { $in: responseIds } };
+      const update = deletedAt ? { $set: { deleted_at: deletedAt } } : { $unset: { deleted_at: '' } };
+      // A soft delete keeps the time of an earlier one
+      const res = await answers.updateMany(deletedAt ? { ...filter, deleted_at: null } : filter, update);
+      if (responses) await responses.updateMany(deletedAt ? { ...filter, deleted_at: null } : filter, update);
+      return { modified: res.modifiedCount };
+    },
+    async close() {},
+  };
+}
+
+function parseSinkSpec(text, { env = process.env } = {}) {
+  // "sqlite:./out.db" -> { type: 'sqlite', target: './out.db' }; postgres URLs keep their own colons
+  const s = String(text).trim();
+  const i = s.indexOf(':');
+  const type = (i === -1 ? s : s.slice(0, i)).toLowerCase();
+  const target = i === -1 ? null : s.slice(i + 1);
+  if (!SINK_TYPES.includes(type)) throw new Error(`Unknown sink "${type}" (${SINK_TYPES.join(', ')})`);
+  if (type === 'postgres' && !target && !env.DATABASE_URL) throw new Error('postgres sink needs a URL (postgres:<url> or DATABASE_URL)');
+  if ((type === 'sqlite' || type === 'jsonl') && !target) throw new Error(`${type} sink needs a path (${type}:<path>)`);
+  return { type, target: type === 'postgres' ? (target || env.DATABASE_URL) : target };
+}
+
+function describeSink({ type, target }) {
+  // For logs: no credentials from postgres URLs
+  if (type === 'postgres') return `postgres:${target.replace(/\/\/[^@/]*@/, '//***@')}`;
+  return target ? `${type}:${target}` : type;
+}
+
+async function openSink(spec, { collections }) {
+  if (spec.type === 'mongo') return createMongoSink(collections);
+  if (spec.type === 'jsonl') return require('./sink-jsonl').createJsonlSink(spec.target);
+  if (spec.type === 'sqlite') return require('./sink-sql').createSqliteSink(spec.target);
+  return require('./sink-sql').createPostgresSink(spec.target);
+}
+
+function combineSinks(sinks) {
+  // Every sink receives the same documents, one after another; counters come from the first sink that
+  // wrote (the others are logged by name). A failing sink fails the form, so its checkpoint stays put.
+  const each = method => async (...args) => {
+    const results = [];
+    for (const sink of sinks) results.push(await sink[method](...args));
+    return results.find(r => !r?.skipped) ?? results[0];
+  };
+  return {
+    name: sinks.map(s => s.name).join('+'),
+    names: sinks.map(s => s.name),
+    upsertForms: each('upsertForms'),
+    upsertResponses: each('upsertResponses'),
+    upsertAnswers: each('upsertAnswers'),
+    deleteResponses: each('deleteResponses'),
+    setDeletedAt: each('setDeletedAt'),
+    async close() {
+      for (const sink of sinks) await sink.close();
+    },
+  };
+}
+
+// openSinks(['mongo', 'sqlite:./out.db'], { collections, log }) -> one combined sink
+async function openSinks(specs, { collections, log = console }) {
+  const parsed = (specs?.length ? specs : ['mongo']).map(s => parseSinkSpec(s));
+  const sinks = [];
+  try {
+    for (const spec of parsed) {
+      sinks.push(await openSink(spec, { collections }));
+      log.log(`Sink: ${describeSink(spec)}`);
+    }
+  } catch (e) {
+    for (const sink of sinks) await sink.close().catch(() => {});
+    throw e;
+  }
+  return combineSinks(sinks);
+}
+
+// Sinks besides MongoDB, for commands that change MongoDB themselves and have to repeat it elsewhere
+// (gdpr erase, --reconcile) -> combined sink, or null when only mongo is configured
+async function openOtherSinks(specs, { collections, log = console }) {
+  const others = (specs || []).filter(s => parseSinkSpec(s).type !== 'mongo');
+  return others.length ? openSinks(others, { collections, log }) : null;
+}
+
+module.exports = { SINK_TYPES, createMongoSink, parseSinkSpec, describeSink, combineSinks, openSinks, openOtherSinks };
@@ -0,0 +1,89 @@
+'use strict';
+
+// Where forms and responses come from. Every source offers fetchAllForms, fetchFormDefinition and
+// fetchAllResponses (see lib/typeform.js):
+//  - the HTTP source: createTypeformClient, talks to api.typeform.com
+//  - the directory source: reads JSON dumps in exactly the shapes the API returns
+// createRecorder writes those dumps while the HTTP source syncs (--record <dir>), so a run can be
+// replayed later without a token (--source-dir <dir>). Incremental syncs do not record over recorded responses.
+// Layout:
+//
+//   <dir>/workspaces/page-<n>.json                   GET /workspaces?page=<n>
+//   <dir>/workspaces/<id>/forms/page-<n>.json        GET /forms?workspace_id=<id>&page=<n>
+//   <dir>/forms/page-<n>.json                        GET /forms?page=<n>
+//   <dir>/forms/<form_id>/definition.json            GET /forms/<form_id>
+//   <dir>/forms/<form_id>/responses/page-<n>.json    GET /forms/<form_id>/responses?page=<n>
+
+const fs = require('fs');
+const path = require('path');
+const { createTypeformReader } = require('./typeform');
+
+function pagePath(dir, url, params = {}) {
+  const parts = url.split('/').filter(Boolean);
+  const page = `page-${params.page || 1}.json`;
+  if (parts.length === 1 && parts[0] === 'workspaces') return path.join(dir, 'workspaces', page);
+  if (parts.length === 1 && parts[0] === 'forms' && params.workspace_id) return path.join(dir, 'workspaces', params.workspace_id, 'forms', page);
+  if (parts.length === 1 && parts[0] === 'forms') return path.join(dir, 'forms', page);
+  if (parts.length === 2 && parts[0] === 'forms') return path.join(dir, 'forms', parts[1], 'definition.json');
+  if (parts.length === 3 && parts[0] === 'forms' && parts[2] === 'responses') return path.join(dir, 'forms', parts[1], 'responses', page);
+  throw new Error(`No dump location for ${url}`);
+}
+
+function submittedSince(item, since) {
+  // Typeform's since is inclusive
+  if (!item?.submitted_at) return true;
+  return new Date(item.submitted_at).getTime() >= new Date(since).getTime();
+}
+
+function createDirectorySource(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Source directory ${dir} does not exist`);
+  async function getData(url, params) {
+    const file = pagePath(dir, url, params);
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        const err = new Error(`Not in the dump: ${path.relative(dir, file)}`);
+        err.status = 404;
+        throw err;
+      }
+      throw new Error(`Cannot read ${file}: ${e.message}`);
+    }
+    // Dumps are usually full recordings: apply the checkpoint here as the API would
+    if (params?.since && Array.isArray(data.items)) {
+      data = { ...data, items: data.items.filter(i => submittedSince(i, params.since)) };
+    }
+    return data;
+  }
+  return {
+    ...createTypeformReader(getData),
+    async deleteResponses() {
+      throw new Error('Deleting responses needs the Typeform API (not available with --source-dir)');
+    },
+  };
+}
+
+function hasRecordedResponses(dir) {
+  // Whether a dump already holds response pages (<dir>/forms/<form_id>/responses/page-<n>.json)
+  const formsDir = path.join(dir, 'forms');
+  if (!fs.existsSync(formsDir)) return false;
+  return fs.readdirSync(formsDir, { withFileTypes: true }).some(d => d.isDirectory()
+    && fs.existsSync(path.join(formsDir, d.name, 'responses'))
+    && fs.readdirSync(path.join(formsDir, d.name, 'responses')).some(f => /^page-\d+\.json$/.test(f)));
+}
+
+function createRecorder(dir) {
+  // onPage hook for createTypeformClient; overwrites pages recorded by earlier runs, except that a response page
+  // fetched with since (an incremental sync) never replaces a recorded one: it would drop the older responses
+  return async (url, params, data) => {
+    const file = pagePath(dir, url, params);
+    if (params?.since && fs.existsSync(file)) {
+      throw new Error(`Not recording ${path.relative(dir, file)}: the page of an incremental sync (since ${params.since}) would replace the recorded one; record with --full or into another directory`);
+    }
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify(data, null, 2));
+  };
+}
+
+module.exports = { pagePath, createDirectorySource, hasRecordedResponses, createRecorder };
@@ -0,0 +1,394 @@
+'use strict';
+
+// The Typeform -> MongoDB sync as a library: used by `node index.js` and by POST /api/sync in server.js.
+// Every run that writes to MongoDB is recorded in the sync_runs collection (options, per-form counters,
+// errors, start/end). A run document with status "running" doubles as the lock: a partial unique index
+// allows only one, and a run whose heartbeat stopped (crashed process) is marked abandoned.
+
+const os = require('os');
+const { buildFieldMap, buildAnswerDocs, buildResponseDoc } = require('./answers');
+const { buildFormDocs } = require('./mongo');
+const { createMongoSink, combineSinks } = require('./sinks');
+const { mapWithConcurrency } = require('./pool');
+const { hasLegacyIndex } = require('./migrate');
+const { ensureTextIndex } = require('./search');
+const { extractIdentity } = require('./identity');
+const { formVersion, ensureArchiveIndexes, archiveFormDefinition, archiveResponses } = require('./archive');
+const { buildFormDefinitionDoc, withFormVersion } = require('./definitions');
+const { originFields, withOrigin } = require('./accounts');
+const { ensureErasureIndexes, erasedResponseIds } = require('./gdpr');
+
+const HEARTBEAT_MS = 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// ---- Indexes ----
+
+async function ensureSyncIndexes({ answers, responses, syncState, forms, syncRuns, responseArchive, formArchive, erasedResponses }, log = console) {
+  if (await hasLegacyIndex(answers)) {
+    // Legacy ids would never match the stable ones: syncing now would duplicate every answer
+    throw new Error(`Collection ${answers.collectionName} still uses the legacy {id, idx} key. Run \`node index.js migrate --dry-run\`, then \`node index.js migrate\` first.`);
+  }
+  try {
+    await answers.createIndex({ id: 1 }, { unique: true, name: 'uniq_id' });
+    await answers.createIndex({ form_id: 1, response_id: 1 }, { name: 'form_response' });
+    await ensureTextIndex(answers);
+    log.log('Ensured unique index on {id}.');
+  } catch (e) {
+    log.warn('Index creation warning:', e?.message || e);
+  }
+  try {
+    await responses.createIndex({ response_id: 1 }, { unique: true, name: 'uniq_response_id' });
+    await responses.createIndex({ form_id: 1, submitted_at: -1 }, { name: 'form_submitted' });
+  } catch (e) {
+    log.warn('Responses index creation warning:', e?.message || e);
+  }
+  try {
+    await syncState.createIndex({ form_id: 1 }, { unique: true, name: 'uniq_form_id' });
+  } catch (e) {
+    log.warn('Sync state index creation warning:', e?.message || e);
+  }
+  if (forms) {
+    try {
+      await forms.createIndex({ form_id: 1 }, { unique: true, name: 'uniq_form_id' });
+      log.log('Ensured unique index on {form_id} in forms collection.');
+    } catch (e) {
+      log.warn('Forms index creation warning:', e?.message || e);
+    }
+  }
+  if (syncRuns) {
+    await syncRuns.createIndex({ status: 1 }, { unique: true, name: 'one_running', partialFilterExpression: { status: 'running' } });
+    await syncRuns.createIndex({ started_at: -1 }, { name: 'started_at' });
+  }
+  await ensureArchiveIndexes({ responseArchive, formArchive });
+  await ensureErasureIndexes(erasedResponses);
+}
+
+// ---- Incremental sync checkpoints ----
+// One document per form in the sync_state collection:
+// { form_id, last_submitted_at, last_token, updated_at }
+
+async function loadSyncState(collection, formId) {
+  if (!collection) return null;
+  return collection.findOne({ form_id: formId }, { projection: { _id: 0 } });
+}
+
+async function saveSyncState(collection, formId, checkpoint) {
+  if (!collection || !checkpoint) return;
+  await collection.updateOne(
+    { form_id: formId },
+    { $set: { form_id: formId, last_submitted_at: checkpoint.submitted_at, last_token: checkpoint.token, updated_at: new Date() } },
+    { upsert: true, writeConcern: { w: 1 } }
+  );
+}
+
+function isNewerThanCheckpoint(resp, state) {
+  // Typeform's "since" is inclusive, so the boundary response comes back on every run
+  if (!state?.last_submitted_at) return true;
+  const submitted = resp?.submitted_at;
+  if (!submitted) return true;
+  const t = new Date(submitted).getTime();
+  const last = new Date(state.last_submitted_at).getTime();
+  if (t > last) return true;
+  if (t < last) return false;
+  return (resp.token ?? resp.response_id) !== state.last_token;
+}
+
+function latestCheckpoint(responses, previous) {
+  let best = previous?.last_submitted_at
+    ? { submitted_at: previous.last_submitted_at, token: previous.last_token }
+    : null;
+  for (const r of responses) {
+    if (!r?.submitted_at) continue;
+    if (!best || new Date(r.submitted_at).getTime() >= new Date(best.submitted_at).getTime()) {
+      best = { submitted_at: r.submitted_at, token: r.token ?? r.response_id ?? null };
+    }
+  }
+  return best;
+}
+
+// ---- One form ----
+
+async function processForm(formId, { typeform, collections, sink, log }, opts) {
+  const { answers: collection, syncState: syncStateCollection, responseArchive, formArchive, erasedResponses } = collections;
+  const { responsesLimit = Infinity, fullSync, dryRun, dryRunAll, dryRunPreview = 3, writeMode, identityConfig } = opts;
+  log.log(`Processing form ${formId}...`);
+  const definition = await typeform.fetchRawFormDefinition(formId);
+  const fieldMap = buildFieldMap(definition);
+  // Account and workspace the form was listed in (lib/accounts.js), recorded on every document
+  const origin = typeform.formOrigin ? await typeform.formOrigin(formId) : null;
+  const version = dryRun ? formVersion(definition) : await archiveFormDefinition(formArchive, formId, definition);
+  // The forms collection keeps the current definition; form_archive the history with diffs
+  if (!dryRun) await sink.upsertForms([{ ...buildFormDefinitionDoc(formId, definition, version), ...originFields(origin) }], { writeMode });
+  const state = fullSync ? null : await loadSyncState(syncStateCollection, formId);
+  if (state?.last_submitted_at) {
+    log.log(` - ${formId}: checkpoint last submitted_at ${state.last_submitted_at} (token ${state.last_token}).`);
+  }
+  const fetched = await typeform.fetchAllResponses(formId, { since: state?.last_submitted_at, limit: responsesLimit });
+  // Responses erased with `gdpr erase` stay erased, whatever Typeform still returns
+  const erased = await erasedResponseIds(erasedResponses, formId);
+  const newer = fetched.filter(r => isNewerThanCheckpoint(r, state));
+  const responses = newer.filter(r => !erased.has(r.response_id ?? r.token));
+  const skipped = fetched.length - responses.length;
+  log.log(` - ${formId}: ${responses.length} new responses, ${skipped} skipped${newer.length > responses.length ? ` (${newer.length - responses.length} erased)` : ''}${Number.isFinite(responsesLimit) ? ` (limit ${responsesLimit})` : ''}.`);
+  let formDocs = 0;
+  let formUpserts = 0;
+  let formMatched = 0;
+  let formModified = 0;
+  let formAmbiguous = 0;
+
+  // Raw payloads first: whatever the mapping below does, rebuild can redo it offline
+  if (!dryRun) await archiveResponses(responseArchive, formId, version, responses, { origin });
+
+  for (const resp of responses) {
+    const identity = extractIdentity(formId, resp, identityConfig);
+    if (identity.details.ambiguous) formAmbiguous += 1;
+    const docs = buildAnswerDocs(formId, fieldMap, resp, identity).map(d => withFormVersion(withOrigin(d, origin), version));
+    const responseDoc = withOrigin(buildResponseDoc(formId, resp, identity), origin);
+    if (!docs.length) {
+      const rid = resp?.response_id ?? resp?.token ?? 'unknown';
+      log.warn(`   ! Response ${rid} has no answers; skipping.`);
+    }
+    if (dryRun) {
+      // Print a preview of the exact upsert operations
+      const show = dryRunAll ? docs : docs.slice(0, dryRunPreview);
+      for (const d of show) {
+        const filter = { id: d.id };
+        const update = { $set: d };
+        log.log('DRY_RUN upsert:', { filter, update, upsert: true });
+      }
+      if (!dryRunAll && docs.length > dryRunPreview) {
+        log.log(`   ... and ${docs.length - dryRunPreview} more ops suppressed (use --dry-run-all or increase DRY_RUN_PREVIEW).`);
+      }
+      log.log('DRY_RUN upsert RESPONSE:', { filter: { response_id: responseDoc.response_id }, update: { $set: responseDoc }, upsert: true });
+    } else {
+      const result = await sink.upsertAnswers(docs, { writeMode });
+      await sink.upsertResponses([responseDoc], { writeMode });
+      formUpserts += result?.upserted ?? 0;
+      formMatched += result?.matched ?? 0;
+      formModified += result?.modified ?? 0;
+      // Verify one sample doc exists after write
+      if (docs[0] && sink.names.includes('mongo')) {
+        const sample = await collection.findOne({ id: docs[0].id });
+        if (!sample) {
+          log.warn('   ! Post-write verification failed for sample doc:', { id: docs[0].id });
+        }
+      }
+    }
+    formDocs += docs.length;
+  }
+  if (!dryRun) {
+    // Only advance the checkpoint once every response of this form has been written
+    await saveSyncState(syncStateCollection, formId, latestCheckpoint(responses, state));
+    try {
+      if (!sink.names.includes('mongo')) throw new Error('no MongoDB sink');
+      const count = await collection.countDocuments({ form_id: formId });
+      log.log(` - Form ${formId}: built ${formDocs} docs, upserted ${formUpserts}, matched ${formMatched}, modified ${formModified}, collection now has ${count} docs for this form.`);
+    } catch (e) {
+      log.log(` - Form ${formId}: built ${formDocs} docs, upserted ${formUpserts}, matched ${formMatched}, modified ${formModified}.`);
+    }
+  } else {
+    log.log(` - Form ${formId}: built ${formDocs} docs.`);
+  }
+  return { formId, fetched: responses.length, skipped, docs: formDocs, upserted: formUpserts, matched: formMatched, modified: formModified, ambiguous: formAmbiguous };
+}
+
+// ---- Run history and lock ----
+
+function syncLocked(running) {
+  const err = new Error(`A sync is already running (started ${running?.started_at?.toISOString?.() ?? 'earlier'} by ${running?.trigger ?? 'unknown'})`);
+  err.status = 409;
+  err.code = 'SYNC_RUNNING';
+  err.run = running;
+  return err;
+}
+
+async function acquireRunLock(syncRuns, doc, { staleMs = STALE_LOCK_MS } = {}) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const { insertedId } = await syncRuns.insertOne({ ...doc });
+      return insertedId;
+    } catch (e) {
+      if (e?.code !== 11000) throw e;
+      const running = await syncRuns.findOne({ status: 'running' });
+      if (!running) continue;
+      if (Date.now() - new Date(running.heartbeat_at).getTime() < staleMs) throw syncLocked(running);
+      // The process holding the lock stopped sending heartbeats
+      await syncRuns.updateOne({ _id: running._id, status: 'running' }, { $set: { status: 'abandoned', finished_at: new Date(), error: 'No heartbeat; process presumably ended' } });
+    }
+  }
+  throw syncLocked(await syncRuns.findOne({ status: 'running' }));
+}
+
+function runOptions(opts) {
+  // What is stored in sync_runs.options (Infinity -> null)
+  const finite = n => (Number.isFinite(n) ? n : null);
+  return {
+    form_ids: opts.formIds ?? opts.forms?.map(f => f.id) ?? null,
+    forms_limit: finite(opts.formsLimit),
+    responses_limit: finite(opts.responsesLimit),
+    full: !!opts.fullSync,
+    write_mode: opts.writeMode || 'bulk',
+    concurrency: opts.concurrency || 1,
+  };
+}
+
+function formEntry(r) {
+  if (r.cancelled) return { form_id: r.formId, status: 'cancelled' };
+  if (r.failed) return { form_id: r.formId, status: 'failed', error: r.error };
+  return {
+    form_id: r.formId,
+    status: 'ok',
+    fetched: r.fetched,
+    skipped: r.skipped,
+    built: r.docs,
+    upserted: r.upserted,
+    matched: r.matched,
+    modified: r.modified,
+    ambiguous: r.ambiguous,
+  };
+}
+
+function totalsOf(results) {
+  const ok = results.filter(r => !r.failed && !r.cancelled);
+  const sum = key => ok.reduce((n, r) => n + (r[key] || 0), 0);
+  return {
+    forms: results.length,
+    failed: results.filter(r => r.failed).length,
+    cancelled: results.filter(r => r.cancelled).length,
+    fetched: sum('fetched'),
+    built: sum('docs'),
+    upserted: sum('upserted'),
+    matched: sum('matched'),
+    modified: sum('modified'),
+    ambiguous: sum('ambiguous'),
+  };
+}
+
+// ---- A whole run ----
+
+// runSync({ typeform, collections: { answers, responses, syncState, forms?, syncRuns?, responseArchive?, formArchive?, erasedResponses? }, sink?, log }, opts)
+// sink (lib/sinks.js) receives forms, responses and answers; default: the MongoDB collections.
+// opts: { forms ([{ id, title }], else formIds or all forms), formIds, formsLimit, responsesLimit, fullSync, dryRun, dryRunAll, dryRunPreview, writeMode,
+//         concurrency, identityConfig, trigger, onStart(runId), signal }
+// signal (AbortSignal): once aborted, forms not yet started are skipped; forms in progress finish.
+// Returns { run_id, status, totals, forms: [per-form results] }. Throws (status 409) when another run holds the lock.
+async function runSync(ctx, opts) {
+  const { typeform, collections, log = console } = ctx;
+  const sink = ctx.sink ?? combineSinks([createMongoSink(collections)]);
+  const { syncRuns } = collections;
+  const { formIds = null, formsLimit = Infinity, concurrency = 1, dryRun = false, writeMode, dryRunAll, dryRunPreview = 3, fullSync } = opts;
+  const record = syncRuns && !dryRun;
+  const startedAt = new Date();
+  let runId = null;
+  let heartbeat = null;
+  if (record) {
+    runId = await acquireRunLock(syncRuns, {
+      status: 'running',
+      trigger: opts.trigger || 'cli',
+      host: os.hostname(),
+      pid: process.pid,
+      started_at: startedAt,
+      heartbeat_at: startedAt,
+      options: { ...runOptions(opts), sinks: sink.names },
+      forms: [],
+    });
+    heartbeat = setInterval(() => {
+      syncRuns.updateOne({ _id: runId }, { $set: { heartbeat_at: new Date() } }).catch(() => {});
+    }, HEARTBEAT_MS);
+    heartbeat.unref?.();
+  }
+  const finish = async (fields) => {
+    if (heartbeat) clearInterval(heartbeat);
+    if (!record) return;
+    const finishedAt = new Date();
+    await syncRuns.updateOne({ _id: runId }, { $set: { ...fields, finished_at: finishedAt, heartbeat_at: finishedAt, duration_ms: finishedAt - startedAt } });
+  };
+
+  try {
+    // Inside the try: whatever the callback throws still finishes the run and releases the lock
+    if (opts.onStart) opts.onStart(runId);
+    log.log('Fetching forms...');
+    const forms = opts.forms
+      ?? (formIds ? formIds.map(id => ({ id, title: undefined })) : await typeform.fetchAllForms({ limit: formsLimit }));
+    log.log(`Found ${forms.length} forms${Number.isFinite(formsLimit) ? ` (limit ${formsLimit})` : ''}.${concurrency > 1 ? ` Processing ${concurrency} at a time.` : ''}`);
+    // First step: upsert forms (form_id + title)
+    try {
+      const formDocs = buildFormDocs(forms);
+      if (dryRun) {
+        const show = dryRunAll ? formDocs : formDocs.slice(0, dryRunPreview);
+        for (const d of show) {
+          const filter = { form_id: d.form_id };
+          const update = { $set: d };
+          log.log('DRY_RUN upsert FORM:', { filter, update, upsert: true });
+        }
+        if (!dryRunAll && formDocs.length > dryRunPreview) {
+          log.log(`   ... and ${formDocs.length - dryRunPreview} more form ops suppressed (use --dry-run-all or increase DRY_RUN_PREVIEW).`);
+        }
+      } else {
+        const res = await sink.upsertForms(formDocs, { writeMode });
+        if (res.skipped) log.log('Forms collection not configured (MONGODB_COLLECTION_FORMS not set) — skipping form upserts.');
+        else log.log(`Upserted forms: ${res.upserted}, matched ${res.matched}, modified ${res.modified}.`);
+      }
+    } catch (e) {
+      log.warn('Form upserts failed:', e?.message || e);
+    }
+
+    const results = await mapWithConcurrency(forms, concurrency, async ({ id: formId }) => {
+      const formStarted = new Date();
+      let result;
+      try {
+        result = opts.signal?.aborted
+          ? { formId, cancelled: true }
+          : await processForm(formId, { typeform, collections, sink, log }, opts);
+      } catch (e) {
+        // Retries are exhausted at this point: report the form and let the others finish
+        const reason = e?.response ? `HTTP ${e.response.status}` : (e?.code || e?.message || String(e));
+        log.error(` ! Form ${formId} failed (${reason}); skipping.`);
+        result = { formId, failed: true, error: e?.message || String(e) };
+      }
+      if (record) {
+        await syncRuns.updateOne({ _id: runId }, {
+          $push: { forms: { ...formEntry(result), started_at: formStarted, finished_at: new Date() } },
+          $set: { heartbeat_at: new Date() },
+        });
+      }
+      return result;
+    });
+
+    const totals = totalsOf(results);
+    let status = !totals.failed ? 'succeeded' : (totals.failed === totals.forms ? 'failed' : 'partial');
+    if (totals.cancelled) status = 'cancelled';
+    const failures = results.filter(r => r.failed);
+    log.log(`Summary${fullSync ? ' (full sync)' : ''}:`);
+    for (const s of results.filter(r => !r.failed && !r.cancelled)) {
+      log.log(` - ${s.formId}: ${s.fetched} new responses fetched, ${s.skipped} skipped${s.ambiguous ? `, ${s.ambiguous} with ambiguous identity (see identity-report)` : ''}.`);
+    }
+    for (const f of failures) {
+      log.log(` - ${f.formId}: FAILED (${f.error})`);
+    }
+    if (totals.cancelled) log.log(` - ${totals.cancelled} forms not started (shutting down).`);
+    log.log(`Done. Built ${totals.built} docs in total${dryRun ? '' : `, upserted ${totals.upserted}`}.`);
+    if (failures.length) log.error(`${failures.length} of ${forms.length} forms failed.`);
+    await finish({ status, totals, errors: failures.map(f => ({ form_id: f.formId, error: f.error })) });
+    return { run_id: runId, status, totals, forms: results };
+  } catch (e) {
+    await finish({ status: 'failed', error: e?.message || String(e) }).catch(() => {});
+    throw e;
+  }
+}
+
+async function listSyncRuns(syncRuns, { limit = 20 } = {}) {
+  const runs = await syncRuns.find({}).sort({ started_at: -1 }).limit(limit).toArray();
+  return runs.map(({ _id, ...r }) => ({ id: String(_id), ...r }));
+}
+
+module.exports = {
+  ensureSyncIndexes,
+  loadSyncState,
+  saveSyncState,
+  isNewerThanCheckpoint,
+  latestCheckpoint,
+  processForm,
+  runSync,
+  listSyncRuns,
+};
@@ -0,0 +1,179 @@
+'use strict';
+
+// Thin Typeform API client: workspaces, forms list, form definitions and responses (all paginated).
+// Every request goes through a shared rate limiter and is retried on 429/5xx and network
+// errors with exponential backoff (full jitter), honouring Retry-After when Typeform sends it.
+
+const axios = require('axios');
+const { buildFieldMap } = require('./answers');
+
+const TYPEFORM_BASE = 'https://api.typeform.com';
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ECONNREFUSED']);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(err) {
+  const status = err?.response?.status;
+  if (status != null) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.has(err?.code);
+}
+
+function parseRetryAfter(value) {
+  // Either delta-seconds or an HTTP date
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+function createRateLimiter(requestsPerSecond) {
+  // Spaces request starts at least 1/rate seconds apart, shared by all callers of this client
+  if (!Number.isFinite(requestsPerSecond) || requestsPerSecond <= 0) return () => Promise.resolve();
+  const interval = 1000 / requestsPerSecond;
+  let next = 0;
+  return async () => {
+    const now = Date.now();
+    const at = Math.max(now, next);
+    next = at + interval;
+    if (at > now) await sleep(at - now);
+  };
+}
+
+function createTypeformReader(getData, { onPage = null } = {}) {
+  // Pagination over any page source: getData(path, params) resolves to the JSON body Typeform
+  // returns for GET <path>?<params> (the HTTP client below, or lib/sources.js for recorded dumps).
+  // onPage(path, params, data) sees every page, e.g. to record it.
+  async function fetchPage(url, params) {
+    const data = (await getData(url, params)) || {};
+    if (onPage) await onPage(url, params, data);
+    return data;
+  }
+
+  async function fetchAllWorkspaces() {
+    let page = 1;
+    const workspaces = [];
+    while (true) {
+      const data = await fetchPage(`/workspaces`, { page });
+      workspaces.push(...(data.items || []).map(w => ({ id: w.id, name: w.name })));
+      if (page >= (data.page_count || 1)) break;
+      page += 1;
+    }
+    return workspaces; // [{id, name}]
+  }
+
+  async function fetchAllForms({ limit = Infinity, workspaceId = null } = {}) {
+    // Handles pagination using page and total/page_count
+    let page = 1;
+    const forms = [];
+    while (true) {
+      const params = { page };
+      if (workspaceId) params.workspace_id = workspaceId;
+      const data = await fetchPage(`/forms`, params);
+      const items = data.items || [];
+      forms.push(...items.map(i => ({ id: i.id, title: i.title, ...(Array.isArray(i.tags) ? { tags: i.tags } : {}) })));
+      const pageCount = data.page_count || 1;
+      if (forms.length >= limit) {
+        return forms.slice(0, limit);
+      }
+      if (page >= pageCount) break;
+      page += 1;
+    }
+    return forms; // [{id}]
+  }
+
+  async function fetchRawFormDefinition(formId) {
+    return fetchPage(`/forms/${formId}`, {}); // the form JSON as Typeform returns it
+  }
+
+  async function fetchFormDefinition(formId) {
+    return buildFieldMap(await fetchRawFormDefinition(formId)); // Map(field_id -> {title, id, type, choices?})
+  }
+
+  async function fetchAllResponses(formId, { since, limit = Infinity } = {}) {
+    // Oldest first, so a limited run still leaves a consistent checkpoint behind
+    let page = 1;
+    const all = [];
+    while (true) {
+      const params = { page, sort: 'submitted_at,asc' };
+      if (since) params.since = since;
+      const data = await fetchPage(`/forms/${formId}/responses`, params);
+      const items = data.items || [];
+      all.push(...items);
+      const pageCount = data.page_count || 1;
+      if (all.length >= limit) {
+        return all.slice(0, limit);
+      }
+      if (page >= pageCount) break;
+      page += 1;
+    }
+    return all; // raw response items
+  }
+
+  return { fetchAllWorkspaces, fetchAllForms, fetchRawFormDefinition, fetchFormDefinition, fetchAllResponses };
+}
+
+function createTypeformClient({
+  token,
+  baseURL = TYPEFORM_BASE,
+  timeout = 30000,
+  maxRetries = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  requestsPerSecond = 2,
+  onRetry = null,
+  onPage = null,
+} = {}) {
+  const http = axios.create({
+    baseURL,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    timeout,
+  });
+  const throttle = createRateLimiter(requestsPerSecond);
+
+  async function request(config) {
+    for (let attempt = 0; ; attempt += 1) {
+      await throttle();
+      try {
+        return await http.request(config);
+      } catch (err) {
+        if (attempt >= maxRetries || !isRetryable(err)) throw err;
+        const retryAfter = parseRetryAfter(err?.response?.headers?.['retry-after']);
+        const delay = retryAfter != null
+          ? Math.min(retryAfter, maxDelayMs) + Math.round(Math.random() * baseDelayMs)
+          : backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+        if (onRetry) onRetry({ url: config.url, attempt: attempt + 1, status: err?.response?.status ?? err?.code, delay });
+        await sleep(delay);
+      }
+    }
+  }
+
+  function get(url, config) {
+    return request({ ...config, method: 'get', url });
+  }
+
+  const reader = createTypeformReader(async (url, params) => (await get(url, { params })).data, { onPage });
+
+  async function deleteResponses(formId, responseIds) {
+    // Typeform accepts up to 1000 ids per call
+    let deleted = 0;
+    for (let i = 0; i < responseIds.length; i += 1000) {
+      const chunk = responseIds.slice(i, i + 1000);
+      await request({ method: 'delete', url: `/forms/${formId}/responses`, params: { included_response_ids: chunk.join(',') } });
+      deleted += chunk.length;
+    }
+    return deleted;
+  }
+
+  return { http, request, get, ...reader, deleteResponses };
+}
+
+module.exports = { TYPEFORM_BASE, createTypeformReader, createTypeformClient };
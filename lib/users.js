@@ -0,0 +1,40 @@
+'use strict';
+
+// User accounts for the web UI (server.js), managed via `node index.js user ...`.
+// { username, role, password_hash, disabled, session_version, created_at, updated_at }
+// Session cookies carry session_version; bumping it (user add, logout) ends the user's sessions.
+
+const { ROLES, hashPassword } = require('./auth');
+
+async function ensureUserIndexes(users) {
+  await users.createIndex({ username: 1 }, { unique: true, name: 'uniq_username' });
+}
+
+async function setUser(users, { username, password, role }) {
+  if (!username) throw new Error('username is required');
+  if (!ROLES[role]) throw new Error(`role must be one of ${Object.keys(ROLES).join(', ')}`);
+  if (!password || String(password).length < 10) throw new Error('password must have at least 10 characters');
+  const now = new Date();
+  const res = await users.updateOne(
+    { username },
+    { $set: { username, role, password_hash: hashPassword(password), disabled: false, updated_at: now }, $inc: { session_version: 1 }, $setOnInsert: { created_at: now } },
+    { upsert: true }
+  );
+  return { created: Boolean(res.upsertedId) };
+}
+
+async function removeUser(users, username) {
+  const res = await users.deleteOne({ username });
+  return { removed: res.deletedCount === 1 };
+}
+
+async function revokeSessions(users, username) {
+  const res = await users.updateOne({ username }, { $inc: { session_version: 1 }, $set: { updated_at: new Date() } });
+  return { revoked: res.matchedCount === 1 };
+}
+
+async function listUsers(users) {
+  return users.find({}, { projection: { _id: 0, password_hash: 0 } }).sort({ username: 1 }).toArray();
+}
+
+module.exports = { ensureUserIndexes, setUser, removeUser, revokeSessions, listUsers };
@@ -0,0 +1,75 @@
+'use strict';
+
+// Typeform webhook helpers.
+// Typeform signs each delivery with HMAC-SHA256 over the raw request body using the webhook secret:
+//   Typeform-Signature: sha256=<base64 digest>
+// ingestDelivery stores a form_response delivery the way a sync stores a response (server.js).
+
+const crypto = require('crypto');
+const { buildFieldMap, buildAnswerDocs, buildResponseDoc } = require('./answers');
+const { buildFormDocs } = require('./mongo');
+const { withOrigin } = require('./accounts');
+const { archiveFormDefinition, archiveResponses } = require('./archive');
+const { withFormVersion } = require('./definitions');
+const { extractIdentity } = require('./identity');
+const { erasedResponseIds } = require('./gdpr');
+const { badRequest } = require('./query');
+
+function computeSignature(rawBody, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+  return `sha256=${digest}`;
+}
+
+function verifySignature(rawBody, header, secret) {
+  if (!rawBody || !header || !secret) return false;
+  const expected = Buffer.from(computeSignature(rawBody, secret));
+  const actual = Buffer.from(String(header).trim());
+  // timingSafeEqual throws on length mismatch
+  if (expected.length !== actual.length) return false;
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// ingestDelivery({ collections: { forms, webhookEvents, responseArchive?, formArchive?, erasedResponses? }, sink, definitionFor?, identityConfig }, body)
+// sink (lib/sinks.js) receives the answers, the response and the form title, like in a sync.
+// definitionFor(formId) -> { definition, fieldMap } from the Forms API, or null to map with the payload definition.
+// Idempotent: deliveries are tracked by event_id, and answers are upserted by the same stable id as a sync.
+async function ingestDelivery({ collections, sink, definitionFor = async () => null, identityConfig }, body) {
+  const { forms, webhookEvents, responseArchive = null, formArchive = null, erasedResponses = null } = collections;
+  const eventId = body?.event_id;
+  const formResponse = body?.form_response;
+  if (body?.event_type !== 'form_response' || !formResponse) return { ignored: true };
+  if (eventId && await webhookEvents.findOne({ event_id: eventId })) return { duplicate: true };
+
+  const formId = formResponse.form_id || formResponse.definition?.id;
+  if (!formId) throw badRequest('form_response without form_id');
+  // A redelivery of a response erased with `gdpr erase` stays erased
+  if ((await erasedResponseIds(erasedResponses, formId)).has(formResponse.token)) return { erased: true };
+  const fromApi = await definitionFor(formId);
+  const { definition, fieldMap } = fromApi
+    || { definition: formResponse.definition, fieldMap: buildFieldMap(formResponse.definition) };
+  // Account and workspace as recorded for the form by the last sync
+  const origin = await forms.findOne({ form_id: formId, account: { $ne: null } }, { projection: { _id: 0, account: 1, workspace_id: 1, workspace: 1 } });
+  // Versions are hashes of Forms API definitions; the payload definition has another shape and would hash
+  // differently for the same form, so payload-only deliveries get no form_version (rebuild maps them anyway)
+  const version = fromApi ? await archiveFormDefinition(formArchive, formId, definition) : null;
+  await archiveResponses(responseArchive, formId, version, [formResponse], { source: 'webhook', origin });
+  const identity = extractIdentity(formId, formResponse, identityConfig);
+  const docs = buildAnswerDocs(formId, fieldMap, formResponse, identity).map(d => withFormVersion(withOrigin(d, origin), version));
+  const result = await sink.upsertAnswers(docs);
+  await sink.upsertResponses([withOrigin(buildResponseDoc(formId, formResponse, identity), origin)]);
+  if (formResponse.definition?.title) {
+    await sink.upsertForms(buildFormDocs([{ id: formId, title: formResponse.definition.title }]));
+  }
+
+  if (eventId) {
+    try {
+      await webhookEvents.insertOne({ event_id: eventId, form_id: formId, response_id: formResponse.token ?? null, docs: docs.length, received_at: new Date() });
+    } catch (e) {
+      // A concurrent redelivery already recorded this event; the upserts above were idempotent
+      if (e?.code !== 11000) throw e;
+    }
+  }
+  return { form_id: formId, response_id: formResponse.token ?? null, ...result };
+}
+
+module.exports = { computeSignature, verifySignature, ingestDelivery };
@@ -8,6 +8,28 @@ const morgan = require('morgan');
 const path = require('path');
 const { MongoClient } = require('mongodb');
 require('dotenv').config();
+const { createTypeformClient } = require('./lib/typeform');
+const { loadAccountsConfig, createAccountSet } = require('./lib/accounts');
+const { buildFieldMap } = require('./lib/answers');
+const { verifySignature, ingestDelivery } = require('./lib/webhook');
+const { FORMATS, exportForm } = require('./lib/export');
+const { BUCKETS, otherBucketStages, formAnalytics } = require('./lib/analytics');
+const { revokeSessions } = require('./lib/users');
+const { createAuth, canSeePii, maskForRequest, maskEmail, isFreeText, MASK, FREE_TEXT_TYPES } = require('./lib/auth');
+const { ERASE_MODES, ensureErasureIndexes, subjectAccess, eraseSubject } = require('./lib/gdpr');
+const { badRequest, parseListQuery, decodeCursor, escapeRegex, responseListPipeline, responsePage, page } = require('./lib/query');
+const { ensureTextIndex, searchAnswers } = require('./lib/search');
+const { chiffreProfile } = require('./lib/profile');
+const { loadIdentityConfig } = require('./lib/identity');
+const { ensureSyncIndexes, runSync, listSyncRuns } = require('./lib/sync');
+const { ensureArchiveIndexes, listFormVersions } = require('./lib/archive');
+const { formSnapshot } = require('./lib/definitions');
+const { parseTolerance, qualityReport, qualityItems } = require('./lib/quality');
+const { openSinks, openOtherSinks } = require('./lib/sinks');
+const {
+  ensureQuestionIndexes, listFields, questionCatalog, findQuestion, questionForField, searchFields,
+  saveQuestion, deleteQuestion, questionDistribution, questionAnalytics,
+} = require('./lib/questions');
 
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || process.env.BIND_ADDR; // optional bind address (e.g., 127.0.0.1 or 0.0.0.0)
@@ -15,6 +37,38 @@ const MONGODB_URI = process.env.MONGODB_URI;
 const MONGODB_DB = process.env.MONGODB_DB || 'typeform';
 const MONGODB_COLLECTION = process.env.MONGODB_COLLECTION || 'answers';
 const MONGODB_COLLECTION_FORMS = process.env.MONGODB_COLLECTION_FORMS || 'forms';
+const MONGODB_COLLECTION_RESPONSES = process.env.MONGODB_COLLECTION_RESPONSES || 'responses';
+const MONGODB_COLLECTION_WEBHOOK_EVENTS = process.env.MONGODB_COLLECTION_WEBHOOK_EVENTS || 'webhook_events';
+// Raw payloads for `node index.js rebuild` (see lib/archive.js)
+const MONGODB_COLLECTION_RESPONSE_ARCHIVE = process.env.MONGODB_COLLECTION_RESPONSE_ARCHIVE || 'response_archive';
+const MONGODB_COLLECTION_FORM_ARCHIVE = process.env.MONGODB_COLLECTION_FORM_ARCHIVE || 'form_archive';
+// Responses erased via /api/gdpr/erase or `gdpr erase`: syncs and webhook deliveries skip them (see lib/gdpr.js)
+const MONGODB_COLLECTION_ERASED_RESPONSES = process.env.MONGODB_COLLECTION_ERASED_RESPONSES || 'erased_responses';
+// Question catalogue: fields matched across forms (see lib/questions.js)
+const MONGODB_COLLECTION_QUESTIONS = process.env.MONGODB_COLLECTION_QUESTIONS || 'questions';
+// Webhook receiver (optional): POST /webhooks/typeform
+const TYPEFORM_WEBHOOK_SECRET = process.env.TYPEFORM_WEBHOOK_SECRET;
+// With a token, field maps come from the Forms API exactly like in index.js;
+// without one, the definition embedded in the webhook payload is used.
+const TYPEFORM_TOKEN = process.env.TYPEFORM_TOKEN;
+// Several accounts: same config as index.js (see lib/accounts.js)
+const TYPEFORM_ACCOUNTS_CONFIG = process.env.TYPEFORM_ACCOUNTS_CONFIG || null;
+const FORM_DEFINITION_TTL_MS = 5 * 60 * 1000;
+const QUESTION_FIELDS_TTL_MS = 5 * 60 * 1000;
+// Same identity rules as the batch sync (see lib/identity.js)
+const identityConfig = loadIdentityConfig(process.env.IDENTITY_CONFIG);
+// Authentication (see README): API_TOKENS=role:token,..., user accounts in MONGODB_COLLECTION_USERS
+const MONGODB_COLLECTION_USERS = process.env.MONGODB_COLLECTION_USERS || 'users';
+const MONGODB_COLLECTION_AUDIT_LOG = process.env.MONGODB_COLLECTION_AUDIT_LOG || 'audit_log';
+// Sync control (POST /api/sync runs the same sync as index.js in this process)
+const MONGODB_COLLECTION_SYNC_STATE = process.env.MONGODB_COLLECTION_SYNC_STATE || 'sync_state';
+const MONGODB_COLLECTION_SYNC_RUNS = process.env.MONGODB_COLLECTION_SYNC_RUNS || 'sync_runs';
+// Sinks of index.js (SINKS=mongo,sqlite:...): webhook deliveries are written to all of them, GDPR erasure
+// applies to the other ones too
+const SINKS = (process.env.SINKS || '').split(',').map(s => s.trim()).filter(Boolean);
+const AUTH_DISABLED = /^(1|true|yes|on)$/i.test(String(process.env.AUTH_DISABLED || ''));
+// Comma-separated list of allowed origins, or * for any (API tokens only, no cookies); unset = same-origin only
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
 
 if (!MONGODB_URI) {
   console.error('Missing MONGODB_URI in .env');
@@ -22,12 +76,30 @@ if (!MONGODB_URI) {
 }
 
 const app = express();
-app.use(cors());
+if (CORS_ORIGINS.includes('*')) {
+  // Any origin may call the API with a token, but never with the session cookie of a logged-in user
+  if (CORS_ORIGINS.length > 1) console.warn('CORS_ORIGINS: * allows any origin without credentials, the other entries are ignored');
+  app.use(cors({ origin: '*', credentials: false }));
+} else if (CORS_ORIGINS.length) {
+  app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+}
 app.use(compression());
 app.use(morgan('dev'));
-app.use(express.json());
+// Keep the raw body around: the webhook signature is computed over the exact bytes Typeform sent
+app.use(express.json({ limit: '5mb', verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
-let client; let db; let answers; let forms;
+let client; let db; let answers; let forms; let responses; let webhookEvents; let users; let auditLog; let syncState; let syncRuns;
+let responseArchive; let formArchive; let erasedResponses; let questions; let webhookSink;
+let auth;
+const typeformAccounts = loadAccountsConfig(TYPEFORM_ACCOUNTS_CONFIG, { defaultToken: TYPEFORM_TOKEN }).filter(a => {
+  if (!a.token && TYPEFORM_ACCOUNTS_CONFIG) console.warn(`Typeform account ${a.name}: no token (${a.tokenSource}), its forms are not synced`);
+  return !!a.token;
+});
+const typeform = typeformAccounts.length
+  ? createAccountSet(typeformAccounts.map(a => ({ ...a, typeform: createTypeformClient({ token: a.token }) })))
+  : null;
+const definitionCache = new Map(); // form_id -> { definition, fieldMap, fetchedAt }
+const questionFieldsCache = new Map(); // visibility filter -> { fields, fetchedAt }
 
 async function init() {
   client = new MongoClient(MONGODB_URI);
@@ -35,20 +107,197 @@ async function init() {
   db = client.db(MONGODB_DB);
   answers = db.collection(MONGODB_COLLECTION);
   forms = db.collection(MONGODB_COLLECTION_FORMS);
-  // Read-only guard: no write routes
+  responses = db.collection(MONGODB_COLLECTION_RESPONSES);
+  webhookEvents = db.collection(MONGODB_COLLECTION_WEBHOOK_EVENTS);
+  users = db.collection(MONGODB_COLLECTION_USERS);
+  auditLog = db.collection(MONGODB_COLLECTION_AUDIT_LOG);
+  syncState = db.collection(MONGODB_COLLECTION_SYNC_STATE);
+  syncRuns = db.collection(MONGODB_COLLECTION_SYNC_RUNS);
+  responseArchive = db.collection(MONGODB_COLLECTION_RESPONSE_ARCHIVE);
+  formArchive = db.collection(MONGODB_COLLECTION_FORM_ARCHIVE);
+  erasedResponses = db.collection(MONGODB_COLLECTION_ERASED_RESPONSES);
+  questions = db.collection(MONGODB_COLLECTION_QUESTIONS);
+  // Write routes: the signed webhook receiver, admin-only GDPR and sync routes
+  await ensureErasureIndexes(erasedResponses);
+  if (TYPEFORM_WEBHOOK_SECRET) {
+    await webhookEvents.createIndex({ event_id: 1 }, { unique: true, name: 'uniq_event_id' });
+    await ensureArchiveIndexes({ responseArchive, formArchive });
+    // Like index.js, the forms collection only gets form titles when MONGODB_COLLECTION_FORMS is set
+    webhookSink = await openSinks(SINKS, { collections: { answers, responses, forms: process.env.MONGODB_COLLECTION_FORMS ? forms : null } });
+  }
+  try {
+    // /api/search needs it; index.js creates it too
+    await ensureTextIndex(answers);
+  } catch (e) {
+    console.warn('Text index creation warning:', e?.message || e);
+  }
+  try {
+    await ensureQuestionIndexes(questions);
+  } catch (e) {
+    console.warn('Question index creation warning:', e?.message || e);
+  }
+}
+
+async function cachedDefinition(formId) {
+  // Form definition from the Forms API (cached), or null without TYPEFORM_TOKEN
+  if (!typeform) return null;
+  const cached = definitionCache.get(formId);
+  if (cached && Date.now() - cached.fetchedAt < FORM_DEFINITION_TTL_MS) return cached;
+  const definition = await typeform.fetchRawFormDefinition(formId);
+  const entry = { definition, fieldMap: buildFieldMap(definition), fetchedAt: Date.now() };
+  definitionCache.set(formId, entry);
+  return entry;
 }
 
+// POST /webhooks/typeform — real-time ingestion of form_response deliveries (lib/webhook.js)
+// Written through the sinks in SINKS like a sync; idempotent per event_id and answer id.
+app.post('/webhooks/typeform', async (req, res) => {
+  if (!TYPEFORM_WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'Webhook receiver not configured (TYPEFORM_WEBHOOK_SECRET missing)' });
+  }
+  if (!verifySignature(req.rawBody, req.get('Typeform-Signature'), TYPEFORM_WEBHOOK_SECRET)) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  try {
+    const result = await ingestDelivery({
+      collections: { forms, webhookEvents, responseArchive, formArchive, erasedResponses },
+      sink: webhookSink,
+      // Forms outside the configured accounts/workspaces still get their answers, from the payload definition
+      definitionFor: formId => (typeform ? cachedDefinition(formId).catch(e => {
+        if (e?.code === 'FORM_NOT_CONFIGURED') return null;
+        throw e;
+      }) : null),
+      identityConfig,
+    }, req.body || {});
+    res.status(200).json(result);
+  } catch (e) {
+    if (!e.status) console.error('Webhook processing failed:', e?.message || e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// Auth: every /api route requires a token or a session; /webhooks authenticates via its HMAC signature
+auth = createAuth({
+  apiTokens: process.env.API_TOKENS,
+  findUser: username => users.findOne({ username }),
+  revokeSessions: username => revokeSessions(users, username),
+  sessionSecret: process.env.SESSION_SECRET,
+  disabled: AUTH_DISABLED,
+  secureCookie: /^(1|true|yes|on)$/i.test(String(process.env.SESSION_COOKIE_SECURE || '')),
+});
+if (AUTH_DISABLED) console.warn('AUTH_DISABLED=true: the API is open to anyone who can reach this port.');
+app.post('/auth/login', (req, res) => auth.login(req, res));
+app.post('/auth/logout', (req, res) => auth.logout(req, res));
+app.get('/auth/me', auth.authenticate, (req, res) => res.json({ name: req.user.name, role: req.user.role, pii: canSeePii(req) }));
+app.use('/api', auth.authenticate);
+
 // REST API (read-only)
-// GET /api/forms?q=
+// Answers soft-deleted by `npm start -- --reconcile` carry deleted_at and are hidden unless ?include_deleted=true
+function visibility(req) {
+  const v = (req.query.include_deleted || '').toString().toLowerCase();
+  return (v === '1' || v === 'true') ? {} : { deleted_at: null };
+}
+
+async function loadQuestionCatalog(req) {
+  // Listing the fields scans all answers: cached per visibility for a few minutes
+  const match = visibility(req);
+  const cacheKey = JSON.stringify(match);
+  let cached = questionFieldsCache.get(cacheKey);
+  if (!cached || Date.now() - cached.fetchedAt >= QUESTION_FIELDS_TTL_MS) {
+    cached = { fields: await listFields(answers, match), fetchedAt: Date.now() };
+    questionFieldsCache.set(cacheKey, cached);
+  }
+  return questionCatalog({ questions, forms }, cached.fields);
+}
+
+function maskDistribution(req, forms) {
+  // Viewers see counts of free-text answers, not the text
+  if (canSeePii(req)) return forms;
+  return forms.map(f => (isFreeText(f.answer_type)
+    ? { ...f, items: f.items.map(i => ({ ...i, antwort: i.antwort == null ? null : MASK })) }
+    : f));
+}
+
+// List routes accept ?limit= and ?next=<cursor> (see lib/query.js) and return { items, next };
+// response lists also accept ?from=&to= (datum, YYYY-MM-DD) and ?field=<field_id>&value=&op=eq|contains.
+
+// GET /api/forms?q=&account=&workspace=&limit=&next=
 app.get('/api/forms', async (req, res) => {
   try {
     const q = (req.query.q || '').toString().trim();
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 100, 1000));
+    const after = req.query.next ? decodeCursor(req.query.next) : null;
+    // Literal substring match (escaped): the forms collection is small
     const filter = q ? { $or: [
-      { form_id: { $regex: q, $options: 'i' } },
-      { title: { $regex: q, $options: 'i' } },
+      { form_id: q },
+      { title: { $regex: escapeRegex(q), $options: 'i' } },
     ] } : {};
-    const items = await forms.find(filter).project({ _id: 0 }).limit(100).toArray();
-    res.json({ items });
+    // account=<name>, workspace=<id or name> (see GET /api/accounts)
+    if (req.query.account) filter.account = String(req.query.account);
+    if (req.query.workspace) {
+      const ws = String(req.query.workspace);
+      filter.$and = [{ $or: [{ workspace_id: ws }, { workspace: ws }] }];
+    }
+    if (after) filter.form_id = { $gt: after.f };
+    // The definition snapshot is served by /api/forms/:formId/versions
+    const rows = await forms.find(filter).project({ _id: 0, definition: 0 }).sort({ form_id: 1 }).limit(limit + 1).toArray();
+    res.json(page(rows, limit, last => ({ f: last.form_id })));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// GET /api/accounts — Typeform accounts and their workspaces as recorded on the forms, for the forms filter
+app.get('/api/accounts', async (req, res) => {
+  try {
+    const rows = await forms.aggregate([
+      { $match: { account: { $ne: null } } },
+      { $group: { _id: { account: '$account', workspace_id: '$workspace_id' }, workspace: { $first: '$workspace' }, forms: { $sum: 1 } } },
+      { $sort: { '_id.account': 1, workspace: 1 } },
+    ]).toArray();
+    const byAccount = new Map();
+    for (const r of rows) {
+      if (!byAccount.has(r._id.account)) byAccount.set(r._id.account, { account: r._id.account, forms: 0, workspaces: [] });
+      const entry = byAccount.get(r._id.account);
+      entry.forms += r.forms;
+      entry.workspaces.push({ workspace_id: r._id.workspace_id ?? null, workspace: r.workspace ?? null, forms: r.forms });
+    }
+    res.json({ items: [...byAccount.values()] });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// GET /api/forms/:formId/versions — version history from form_archive, newest first, one entry per change (a
+// version the form changed back to appears again) with the field-level diff against the version before it
+// (lib/definitions.js); `current` is the version the last sync stored
+app.get('/api/forms/:formId/versions', async (req, res) => {
+  try {
+    const formId = req.params.formId;
+    const [items, form] = await Promise.all([
+      listFormVersions(formArchive, formId),
+      forms.findOne({ form_id: formId }, { projection: { _id: 0, version: 1 } }),
+    ]);
+    if (!items.length) return res.status(404).json({ error: 'No archived definition for this form' });
+    res.json({ form_id: formId, current: form?.version ?? items[0].version, items });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// GET /api/forms/:formId/versions/:version — the typed snapshot of one version
+app.get('/api/forms/:formId/versions/:version', async (req, res) => {
+  try {
+    const { formId, version } = req.params;
+    const doc = await formArchive.findOne({ form_id: formId, version });
+    if (!doc) return res.status(404).json({ error: 'Version not found' });
+    res.json({
+      form_id: formId,
+      version,
+      first_seen_at: doc.first_seen_at ?? null,
+      last_seen_at: doc.last_seen_at ?? null,
+      definition: formSnapshot(doc.definition),
+    });
   } catch (e) {
     res.status(500).json({ error: e.message || String(e) });
   }
@@ -58,15 +307,56 @@ app.get('/api/forms', async (req, res) => {
 app.get('/api/forms/:formId/responses', async (req, res) => {
   try {
     const formId = req.params.formId;
-    const cursor = answers.aggregate([
-      { $match: { form_id: formId } },
-      { $group: { _id: '$response_id', count: { $sum: 1 }, email: { $first: '$email' }, chiffre: { $first: '$chiffre' }, datum: { $first: '$datum' } } },
-      { $project: { _id: 0, response_id: '$_id', count: 1, email: 1, chiffre: 1, datum: 1 } },
-      { $sort: { datum: -1 } },
-      { $limit: 200 }
-    ]);
-    const items = await cursor.toArray();
-    res.json({ items });
+    const opts = parseListQuery(req.query);
+    const rows = await answers.aggregate(responseListPipeline({
+      match: { form_id: formId, ...visibility(req) },
+      group: { _id: '$response_id', count: { $sum: 1 }, email: { $first: '$email' }, chiffre: { $first: '$chiffre' }, datum: { $first: '$datum' } },
+      project: { _id: 0, response_id: '$_id', count: 1, email: 1, chiffre: 1, datum: 1 },
+    }, opts), { allowDiskUse: true }).toArray();
+    const { items, next } = responsePage(rows, opts.limit);
+    res.json({ items: maskForRequest(req, items), next });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// GET /api/forms/:formId/export?format=csv|xlsx|ndjson — one row per response, one column per question
+// Columns follow the form definition when TYPEFORM_TOKEN is set, else the answer position (idx).
+// Exports contain emails and free text unmasked: analysts only
+app.get('/api/forms/:formId/export', auth.requireRole('analyst'), async (req, res) => {
+  const formId = req.params.formId;
+  const format = (req.query.format || 'csv').toString().toLowerCase();
+  const spec = FORMATS[format];
+  if (!spec) return res.status(400).json({ error: `Unsupported format: ${format} (csv, xlsx, ndjson)` });
+  try {
+    let fieldMap = null;
+    try {
+      fieldMap = (await cachedDefinition(formId))?.fieldMap ?? null;
+    } catch (e) {
+      console.warn(`Export ${formId}: form definition unavailable (${e?.message || e}); ordering by answer position.`);
+    }
+    const form = await forms.findOne({ form_id: formId }, { projection: { _id: 0, title: 1 } });
+    res.setHeader('Content-Type', spec.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${formId}.${spec.extension}"`);
+    await exportForm(answers, { formId, match: { form_id: formId, ...visibility(req) }, fieldMap, format, title: form?.title }, res);
+  } catch (e) {
+    if (e?.code === 'EXPORT_ABORTED') return console.warn(`Export ${formId}: ${e.message}.`);
+    console.error(`Export ${formId} failed:`, e?.message || e);
+    // Once streaming has started the status line is gone; all we can do is cut the download short
+    if (res.headersSent) return res.destroy(e);
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// GET /api/forms/:formId/analytics?bucket=day|week|month — per-question distributions, stats, NPS, timeline
+app.get('/api/forms/:formId/analytics', async (req, res) => {
+  try {
+    const formId = req.params.formId;
+    const bucket = (req.query.bucket || 'week').toString().toLowerCase();
+    if (!BUCKETS.has(bucket)) return res.status(400).json({ error: `Unsupported bucket: ${bucket} (day, week, month)` });
+    // Viewers get "Other" texts counted as one "Sonstiges" entry
+    const result = await formAnalytics(answers, { form_id: formId, ...visibility(req) }, { bucket, bucketOther: !canSeePii(req) });
+    res.json({ form_id: formId, ...result });
   } catch (e) {
     res.status(500).json({ error: e.message || String(e) });
   }
@@ -76,8 +366,8 @@ app.get('/api/forms/:formId/responses', async (req, res) => {
 app.get('/api/responses/:responseId', async (req, res) => {
   try {
     const responseId = req.params.responseId;
-    const items = await answers.find({ response_id: responseId }).project({ _id: 0 }).sort({ idx: 1 }).toArray();
-    res.json({ items });
+    const items = await answers.find({ response_id: responseId, ...visibility(req) }).project({ _id: 0 }).sort({ idx: 1 }).toArray();
+    res.json({ items: maskForRequest(req, items) });
   } catch (e) {
     res.status(500).json({ error: e.message || String(e) });
   }
@@ -87,59 +377,96 @@ app.get('/api/responses/:responseId', async (req, res) => {
 app.get('/api/chiffre/:chiffre', async (req, res) => {
   try {
     const chiffre = req.params.chiffre;
-    const items = await answers.aggregate([
-      { $match: { chiffre } },
-      { $group: { _id: { form_id: '$form_id', response_id: '$response_id' }, email: { $first: '$email' }, datum: { $first: '$datum' } } },
-      { $project: { _id: 0, form_id: '$_id.form_id', response_id: '$_id.response_id', email: 1, datum: 1 } },
-      { $sort: { datum: -1 } },
-      { $limit: 200 }
-    ]).toArray();
-    res.json({ items });
+    const opts = parseListQuery(req.query);
+    const rows = await answers.aggregate(responseListPipeline({
+      match: { chiffre, ...visibility(req) },
+      group: { _id: { form_id: '$form_id', response_id: '$response_id' }, email: { $first: '$email' }, datum: { $first: '$datum' } },
+      project: { _id: 0, form_id: '$_id.form_id', response_id: '$_id.response_id', email: 1, datum: 1 },
+    }, opts), { allowDiskUse: true }).toArray();
+    const { items, next } = responsePage(rows, opts.limit);
+    res.json({ items: maskForRequest(req, items), next });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// GET /api/chiffre/:chiffre/profile — timeline, answer changes between submissions, inconsistencies
+app.get('/api/chiffre/:chiffre/profile', async (req, res) => {
+  try {
+    const profile = await chiffreProfile(answers, req.params.chiffre, { match: visibility(req) });
+    if (!canSeePii(req)) {
+      profile.timeline = maskForRequest(req, profile.timeline);
+      profile.fields = profile.fields.map(f => {
+        const history = maskForRequest(req, f.history);
+        // Changes of choice answers show the masked values of the history ("Other" texts as "Sonstiges")
+        const shown = new Map(history.map(h => [h.response_id, h.antwort]));
+        return {
+          ...f,
+          history,
+          changes: isFreeText(f.answer_type)
+            ? f.changes.map(c => ({ ...c, from: MASK, to: MASK }))
+            : f.changes.map(c => ({ ...c, from: shown.get(c.from_response_id) ?? null, to: shown.get(c.to_response_id) ?? null })),
+        };
+      });
+      profile.inconsistencies = profile.inconsistencies.map(i => (
+        i.type === 'multiple_emails' ? { ...i, values: i.values.map(v => ({ ...v, email: maskEmail(v.email) })) } : i
+      ));
+    }
+    res.json(profile);
   } catch (e) {
     res.status(500).json({ error: e.message || String(e) });
   }
 });
 
-// GET /api/search?q= (search by form_id, chiffre, email)
+// GET /api/search?q=&form=&from=&to=&limit=&next=
+// Full-text search over answers (antwort) and questions (frage), ranked by relevance and grouped by
+// response, with snippets; exact form_id / chiffre / email matches come first (see lib/search.js).
 app.get('/api/search', async (req, res) => {
   try {
     const q = (req.query.q || '').toString().trim();
-    if (!q) return res.json({ items: [] });
-    const items = await answers.aggregate([
-      { $match: { $or: [
-        { form_id: { $regex: q, $options: 'i' } },
-        { chiffre: { $regex: q, $options: 'i' } },
-        { email: { $regex: q, $options: 'i' } },
-      ] } },
-      { $group: { _id: { form_id: '$form_id', response_id: '$response_id' }, chiffre: { $first: '$chiffre' }, email: { $first: '$email' }, datum: { $first: '$datum' } } },
-      { $project: { _id: 0, form_id: '$_id.form_id', response_id: '$_id.response_id', chiffre: 1, email: 1, datum: 1 } },
-      { $sort: { datum: -1 } },
-      { $limit: 200 }
-    ]).toArray();
-    res.json({ items });
+    if (!q) return res.json({ items: [], next: null, terms: [] });
+    const { limit, after, from, to } = parseListQuery(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const match = { ...visibility(req) };
+    if (req.query.form) match.form_id = String(req.query.form);
+    const pii = canSeePii(req);
+    const { items, next, terms } = await searchAnswers(answers, {
+      q, match, from, to, limit, after,
+      // Viewers must not be able to probe for email addresses or search inside free text ("Other" texts included)
+      includeEmail: pii,
+      textMatch: pii ? null : { answer_type: { $nin: [...FREE_TEXT_TYPES, null] }, sonstiges: null },
+      maskHit: h => maskForRequest(req, [h])[0],
+    });
+    res.json({ items: maskForRequest(req, items), next, terms });
   } catch (e) {
-    res.status(500).json({ error: e.message || String(e) });
+    res.status(e.status || 500).json({ error: e.message || String(e) });
   }
 });
 
-// GET /api/chiffres?limit=200 — overview of all chiffres
+// GET /api/chiffres?limit=200&next= — overview of all chiffres
 app.get('/api/chiffres', async (req, res) => {
   try {
     const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 200, 2000));
-    const items = await answers.aggregate([
-      { $match: { chiffre: { $ne: null, $ne: '' } } },
+    const after = req.query.next ? decodeCursor(req.query.next) : null;
+    const afterMatch = !after ? [] : [{ $match: after.l == null
+      ? { latest: null, chiffre: { $lt: after.c } }
+      : { $or: [{ latest: { $lt: after.l } }, { latest: after.l, chiffre: { $lt: after.c } }, { latest: null }] } }];
+    const rows = await answers.aggregate([
+      { $match: { chiffre: { $ne: null, $ne: '' }, ...visibility(req) } },
       { $group: { _id: '$chiffre', responses: { $addToSet: '$response_id' }, forms: { $addToSet: '$form_id' }, latest: { $max: '$datum' }, earliest: { $min: '$datum' } } },
       { $project: { _id: 0, chiffre: '$_id', responsesCount: { $size: '$responses' }, formsCount: { $size: '$forms' }, latest: 1, earliest: 1 } },
-      { $sort: { latest: -1 } },
-      { $limit: limit }
-    ]).toArray();
-    res.json({ items });
+      ...afterMatch,
+      { $sort: { latest: -1, chiffre: -1 } },
+      { $limit: limit + 1 }
+    ], { allowDiskUse: true }).toArray();
+    res.json(page(rows, limit, last => ({ l: last.latest ?? null, c: last.chiffre })));
   } catch (e) {
-    res.status(500).json({ error: e.message || String(e) });
+    res.status(e.status || 500).json({ error: e.message || String(e) });
   }
 });
 
-// GET /api/answers/related?form_id=...&field_id=...&exclude_response_id=... (for showing "what others answered")
+// GET /api/answers/related?form_id=...&field_id=...&exclude_response_id=...&across_forms=true (for showing "what others answered")
+// across_forms=true adds the field's question from the catalogue (confirmed or suggested) and the answers
+// in every form that asks it: { items, question, forms: [{ form_id, field_id, title, frage, total, items }] }
 app.get('/api/answers/related', async (req, res) => {
   try {
     const form_id = req.query.form_id?.toString();
@@ -147,22 +474,264 @@ app.get('/api/answers/related', async (req, res) => {
     const exclude = req.query.exclude_response_id?.toString();
     if (!form_id || !field_id) return res.json({ items: [] });
 
-    const match = { form_id, field_id };
+    const match = { form_id, field_id, ...visibility(req) };
     if (exclude) match.response_id = { $ne: exclude };
 
-    const items = await answers.aggregate([
+    const pii = canSeePii(req);
+    let items = await answers.aggregate([
       { $match: match },
+      ...(pii ? [] : otherBucketStages()),
       { $group: { _id: '$antwort', count: { $sum: 1 } } },
       { $project: { _id: 0, antwort: '$_id', count: 1 } },
       { $sort: { count: -1 } },
       { $limit: 50 }
     ]).toArray();
-    res.json({ items });
+    if (!pii) {
+      const sample = await answers.findOne({ form_id, field_id }, { projection: { _id: 0, answer_type: 1 } });
+      if (isFreeText(sample?.answer_type)) items = items.map(i => ({ ...i, antwort: i.antwort == null ? null : MASK }));
+    }
+    if (!/^(1|true)$/i.test(String(req.query.across_forms || ''))) return res.json({ items });
+    const question = questionForField(await loadQuestionCatalog(req), form_id, field_id);
+    if (!question) return res.json({ items, question: null, forms: [] });
+    const distribution = await questionDistribution(answers, question, { match: visibility(req), excludeResponseId: exclude, bucketOther: !pii });
+    const { fields, ...summary } = question;
+    res.json({ items, question: summary, forms: maskDistribution(req, distribution) });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// GET /api/quality?form=&from=&to=&tolerance= — data-quality checks with counts per form (see lib/quality.js)
+app.get('/api/quality', async (req, res) => {
+  try {
+    const { from, to } = parseListQuery(req.query);
+    const report = await qualityReport({ answers, formArchive, forms }, {
+      formId: req.query.form ? String(req.query.form) : null,
+      match: visibility(req),
+      from,
+      to,
+      tolerance: parseTolerance(req.query.tolerance),
+    });
+    res.json(report);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// GET /api/quality/:check?form=&from=&to=&tolerance=&limit=&next= — drill-down list for one check
+app.get('/api/quality/:check', async (req, res) => {
+  try {
+    const data = await qualityItems({ answers, formArchive }, req.params.check, {
+      ...parseListQuery(req.query, { defaultLimit: 100 }),
+      formId: req.query.form ? String(req.query.form) : null,
+      match: visibility(req),
+      tolerance: parseTolerance(req.query.tolerance),
+    });
+    if (!canSeePii(req) && req.params.check === 'conflicting_emails') {
+      data.items = data.items.map(i => ({ ...i, emails: i.emails.map(maskEmail) }));
+    }
+    res.json({ check: req.params.check, ...data, items: maskForRequest(req, data.items) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// Question catalogue (lib/questions.js): GET /api/questions lists confirmed questions (`items`) and suggested
+// matches by normalized frage (`suggestions`); analysts confirm or correct them with PUT and remove them with DELETE.
+app.get('/api/questions', async (req, res) => {
+  try {
+    const { items, suggestions } = await loadQuestionCatalog(req);
+    res.json({ items, suggestions });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// GET /api/questions/fields?q=&limit= — fields by form_id, field_id or part of the frage, to add to a question by hand
+app.get('/api/questions/fields', async (req, res) => {
+  try {
+    const q = (req.query.q || '').toString().trim();
+    if (!q) return res.json({ items: [] });
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 50, 200));
+    res.json({ items: searchFields(await loadQuestionCatalog(req), q, { limit }) });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+app.get('/api/questions/:questionId', async (req, res) => {
+  try {
+    const question = findQuestion(await loadQuestionCatalog(req), req.params.questionId);
+    if (!question) return res.status(404).json({ error: 'Question not found' });
+    res.json(question);
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// PUT /api/questions/:questionId { label, key?, fields: [{ form_id, field_id }], excluded?: [...] }
+app.put('/api/questions/:questionId', auth.requireRole('analyst'), async (req, res) => {
+  try {
+    const doc = await saveQuestion(questions, req.params.questionId, req.body, { actor: req.user.name });
+    const { created, ...question } = doc;
+    res.status(created ? 201 : 200).json(question);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+app.delete('/api/questions/:questionId', auth.requireRole('analyst'), async (req, res) => {
+  try {
+    if (!await deleteQuestion(questions, req.params.questionId)) return res.status(404).json({ error: 'Question not found' });
+    res.status(204).end();
   } catch (e) {
     res.status(500).json({ error: e.message || String(e) });
   }
 });
 
+// GET /api/questions/:questionId/analytics?bucket= — the dashboard statistics of the question, side by side per form
+app.get('/api/questions/:questionId/analytics', async (req, res) => {
+  try {
+    const bucket = (req.query.bucket || 'week').toString().toLowerCase();
+    if (!BUCKETS.has(bucket)) return res.status(400).json({ error: `Unsupported bucket: ${bucket} (day, week, month)` });
+    const question = findQuestion(await loadQuestionCatalog(req), req.params.questionId);
+    if (!question) return res.status(404).json({ error: 'Question not found' });
+    res.json(await questionAnalytics(answers, question, { match: visibility(req), bucket, bucketOther: !canSeePii(req) }));
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// GET /api/forms/:formId/fields/:fieldId/question — the question a field belongs to (confirmed or suggested)
+app.get('/api/forms/:formId/fields/:fieldId/question', async (req, res) => {
+  try {
+    const question = questionForField(await loadQuestionCatalog(req), req.params.formId, req.params.fieldId);
+    if (!question) return res.status(404).json({ error: 'The field is not matched with other forms' });
+    res.json(question);
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// GDPR (admin only): POST /api/gdpr/export and /api/gdpr/erase with { email?, chiffre?, mode?, typeform?, dry_run? }
+function gdprSubject(body) {
+  const subject = {};
+  for (const key of ['email', 'chiffre']) {
+    const value = body?.[key];
+    if (value == null || value === '') continue;
+    if (typeof value !== 'string' || !value.trim()) throw badRequest(`${key} must be a non-empty string`);
+    subject[key] = value;
+  }
+  if (!subject.email && !subject.chiffre) throw badRequest('email or chiffre is required');
+  return subject;
+}
+
+function gdprFlag(value, name, fallback) {
+  // "false" must not count as true: erasure cannot be undone
+  if (value == null) return fallback;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw badRequest(`${name} must be true or false`);
+}
+
+app.post('/api/gdpr/export', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const subject = gdprSubject(req.body);
+    const data = await subjectAccess({ answers, responses, auditLog, responseArchive }, subject, { actor: req.user.name, via: 'api' });
+    res.json(data);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+app.post('/api/gdpr/erase', auth.requireRole('admin'), async (req, res) => {
+  let sink = null;
+  try {
+    const subject = gdprSubject(req.body);
+    const { mode = 'pseudonymise' } = req.body || {};
+    // Without dry_run: false nothing is erased
+    const dryRun = gdprFlag(req.body?.dry_run, 'dry_run', true);
+    const deleteInTypeform = gdprFlag(req.body?.typeform, 'typeform', false);
+    if (!ERASE_MODES.has(mode)) return res.status(400).json({ error: `mode must be one of ${[...ERASE_MODES].join(', ')}` });
+    if (deleteInTypeform && !typeform) return res.status(400).json({ error: 'Deleting in Typeform needs TYPEFORM_TOKEN' });
+    if (!dryRun) sink = await openOtherSinks(SINKS, { collections: { answers, responses, forms } });
+    const result = await eraseSubject({ answers, responses, auditLog, responseArchive, erasedResponses }, subject, {
+      mode,
+      typeform: deleteInTypeform ? typeform : null,
+      sink,
+      dryRun,
+      pseudonymSecret: process.env.PSEUDONYM_SECRET,
+      actor: req.user.name,
+      via: 'api',
+    });
+    res.status(result.typeform_errors.length ? 207 : 200).json(result);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  } finally {
+    if (sink) await sink.close().catch(() => {});
+  }
+});
+
+// Sync runs: GET /api/sync/runs?limit=20 (history, newest first), POST /api/sync (admin) starts a run
+// with { form_ids?, full?, max_responses? } and answers 202 as soon as the run holds the lock.
+let activeSync = null;
+
+app.get('/api/sync/runs', async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 20, 200));
+    res.json({ items: await listSyncRuns(syncRuns, { limit }), running_here: !!activeSync });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+app.post('/api/sync', auth.requireRole('admin'), async (req, res) => {
+  let current = null;
+  let handedOver = false;
+  try {
+    if (!typeform) return res.status(400).json({ error: 'Syncing needs TYPEFORM_TOKEN' });
+    if (activeSync) return res.status(409).json({ error: 'A sync is already running', run_id: activeSync.runId });
+    const { form_ids: formIds = null, full = false, max_responses: maxResponses = null } = req.body || {};
+    if (formIds != null && (!Array.isArray(formIds) || !formIds.every(id => typeof id === 'string' && id))) {
+      return res.status(400).json({ error: 'form_ids must be an array of form ids' });
+    }
+    // Reserved before the first await, so a concurrent request gets the 409 above
+    current = { runId: null };
+    activeSync = current;
+    const collections = {
+      answers,
+      responses,
+      syncState,
+      syncRuns,
+      responseArchive,
+      formArchive,
+      erasedResponses,
+      forms: process.env.MONGODB_COLLECTION_FORMS ? forms : null,
+    };
+    await ensureSyncIndexes(collections);
+    let started;
+    const startedRun = new Promise(resolve => { started = resolve; });
+    const run = runSync({ typeform, collections }, {
+      formIds: formIds?.length ? formIds : null,
+      responsesLimit: Number.isFinite(Number(maxResponses)) && maxResponses != null ? Number(maxResponses) : Infinity,
+      fullSync: Boolean(full),
+      identityConfig,
+      trigger: `api:${req.user.name}`,
+      onStart: id => { current.runId = id; started(id); },
+    });
+    handedOver = true; // the run releases the reservation when it ends
+    run.then(
+      r => console.log(`Sync run ${r.run_id} finished: ${r.status}.`),
+      e => { if (e?.code !== 'SYNC_RUNNING') console.error('Sync run failed:', e?.message || e); }
+    ).finally(() => { if (activeSync === current) activeSync = null; });
+    const runId = await Promise.race([startedRun, run.then(r => r.run_id)]);
+    res.status(202).json({ run_id: String(runId), status: 'running' });
+  } catch (e) {
+    if (!handedOver && current && activeSync === current) activeSync = null;
+    res.status(e.status || 500).json({ error: e.message || String(e), ...(e.run ? { run_id: String(e.run._id) } : {}) });
+  }
+});
+
 // Static frontend
 app.use('/', express.static(path.join(__dirname, 'web')));
 
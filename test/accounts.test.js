@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileAccounts, requireTokens, createAccountSet } = require('../lib/accounts');
+
+test('compileAccounts reads tokens from the environment and validates the config', () => {
+  const [a] = compileAccounts({ accounts: [{ name: 'forschung', token_env: 'TF_A', workspaces: ['Pilot'] }] }, { env: { TF_A: 'tok' } });
+  assert.deepEqual(a, { name: 'forschung', token: 'tok', tokenSource: '$TF_A', workspaces: ['Pilot'], tags: [] });
+  assert.throws(() => compileAccounts({ accounts: [] }), /non-empty array/);
+  assert.throws(() => compileAccounts({ accounts: [{ name: 'a b' }] }), /name must match/);
+  assert.throws(() => compileAccounts({ accounts: [{ name: 'a' }, { name: 'a' }] }), /duplicate account name "a"/);
+  assert.throws(() => compileAccounts({ accounts: [{ name: 'a', token_ev: 'X' }] }), /unknown key "token_ev"/);
+  assert.throws(() => compileAccounts({ accounts: [{ name: 'a', tags: 'x' }] }), /tags must be an array/);
+});
+
+test('requireTokens names every account without a token', () => {
+  const accounts = compileAccounts({ accounts: [{ name: 'a', token_env: 'TF_A' }, { name: 'b', token: 't' }] }, { env: {} });
+  assert.throws(() => requireTokens(accounts), /Missing Typeform token for a \(\$TF_A\)/);
+});
+
+function fakeTypeform(workspaces, forms) {
+  // forms: [{ id, title, workspace_id, tags }]
+  const calls = [];
+  return {
+    calls,
+    async fetchAllWorkspaces() {
+      calls.push('workspaces');
+      return workspaces;
+    },
+    async fetchAllForms({ workspaceId } = {}) {
+      calls.push(`forms ${workspaceId ?? '-'}`);
+      return forms.filter(f => !workspaceId || f.workspace_id === workspaceId).map(({ id, title, tags }) => ({ id, title, tags }));
+    },
+    async fetchRawFormDefinition(formId) {
+      calls.push(`definition ${formId}`);
+      const f = forms.find(x => x.id === formId);
+      if (!f) throw Object.assign(new Error('Not found'), { status: 404 });
+      return { id: f.id, title: f.title, tags: f.tags, workspace: { href: `https://api.typeform.com/workspaces/${f.workspace_id}` } };
+    },
+    async fetchAllResponses(formId) {
+      calls.push(`responses ${formId}`);
+      return [{ token: `${formId}-r1` }];
+    },
+  };
+}
+
+function twoAccounts() {
+  const forschung = fakeTypeform(
+    [{ id: 'ws1', name: 'Studien 2024' }, { id: 'ws2', name: 'Archiv' }],
+    [{ id: 'f1', title: 'Studie', workspace_id: 'ws1' }, { id: 'f2', title: 'Alt', workspace_id: 'ws2' }]
+  );
+  const lehre = fakeTypeform(null, [
+    { id: 'f3', title: 'Kurs', workspace_id: 'ws3', tags: ['auswertung'] },
+    { id: 'f4', title: 'Test', workspace_id: 'ws3', tags: [] },
+  ]);
+  const set = createAccountSet([
+    { name: 'forschung', workspaces: ['Studien 2024'], tags: [], typeform: forschung },
+    { name: 'lehre', workspaces: [], tags: ['auswertung'], typeform: lehre },
+  ]);
+  return { set, forschung, lehre };
+}
+
+test('forms are listed per account, filtered by workspace and tag and routed to their account', async () => {
+  const { set, forschung, lehre } = twoAccounts();
+  const forms = await set.fetchAllForms();
+  assert.deepEqual(forms.map(f => [f.id, f.account, f.workspace]), [['f1', 'forschung', 'Studien 2024'], ['f3', 'lehre', null]]);
+  // Workspaces are only listed for the account that filters by them
+  assert.ok(forschung.calls.includes('workspaces'));
+  assert.ok(!lehre.calls.includes('workspaces'));
+  assert.deepEqual(await set.formOrigin('f1'), { account: 'forschung', workspace_id: 'ws1', workspace: 'Studien 2024' });
+  await set.fetchAllResponses('f3');
+  assert.ok(lehre.calls.includes('responses f3'));
+  assert.ok(!forschung.calls.some(c => c.startsWith('responses')));
+});
+
+test('forms not listed yet are resolved by id, checking the account filters', async () => {
+  const { set, forschung, lehre } = twoAccounts();
+  assert.deepEqual(await set.formOrigin('f1'), { account: 'forschung', workspace_id: 'ws1', workspace: 'Studien 2024' });
+  assert.deepEqual(await set.formOrigin('f3'), { account: 'lehre', workspace_id: null, workspace: null });
+  assert.ok(!forschung.calls.some(c => c.startsWith('forms')));
+  // f2 is outside the workspace filter, f4 has no matching tag
+  await assert.rejects(set.fetchAllResponses('f2'), { status: 404, code: 'FORM_NOT_CONFIGURED' });
+  await assert.rejects(set.formOrigin('f4'), { code: 'FORM_NOT_CONFIGURED' });
+  assert.ok(!lehre.calls.some(c => c.startsWith('responses')));
+});
+
+test('forms found in no account are not looked up again right away', async () => {
+  const { set, forschung, lehre } = twoAccounts();
+  await assert.rejects(set.formOrigin('nope'), { code: 'FORM_NOT_CONFIGURED' });
+  const before = forschung.calls.length + lehre.calls.length;
+  await assert.rejects(set.formOrigin('nope'), { code: 'FORM_NOT_CONFIGURED' });
+  assert.equal(forschung.calls.length + lehre.calls.length, before);
+});
+
+test('a configured workspace that does not exist is an error', async () => {
+  const set = createAccountSet([{ name: 'a', workspaces: ['Fehlt'], tags: [], typeform: fakeTypeform([{ id: 'ws1', name: 'Da' }], []) }]);
+  await assert.rejects(set.fetchAllForms(), /Workspace "Fehlt" not found in account a/);
+});
+
+test('fetchAllForms stops at the limit', async () => {
+  const typeform = fakeTypeform(null, [{ id: 'f1', title: 'A' }, { id: 'f2', title: 'B' }]);
+  const set = createAccountSet([{ name: 'default', workspaces: [], tags: [], typeform }]);
+  assert.deepEqual(await set.fetchAllForms({ limit: 1 }), [{ id: 'f1', title: 'A', account: 'default', workspace_id: null, workspace: null }]);
+});
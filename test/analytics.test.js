@@ -0,0 +1,27 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { numericStats, npsBreakdown } = require('../lib/analytics');
+
+test('numeric statistics from a frequency table', () => {
+  const stats = numericStats([{ value: 5, count: 1 }, { value: 1, count: 2 }, { value: 3, count: 1 }]);
+  assert.deepEqual(stats, {
+    count: 4,
+    mean: 2.5,
+    min: 1,
+    max: 5,
+    median: 1,
+    p25: 1,
+    p75: 3,
+    p90: 5,
+    distribution: [{ value: 1, count: 2 }, { value: 3, count: 1 }, { value: 5, count: 1 }],
+  });
+  assert.equal(numericStats([]), null);
+});
+
+test('NPS groups 9-10, 7-8 and 0-6', () => {
+  const freq = [{ value: 10, count: 3 }, { value: 9, count: 2 }, { value: 8, count: 2 }, { value: 6, count: 2 }, { value: 0, count: 1 }];
+  assert.deepEqual(npsBreakdown(freq), { promoters: 5, passives: 2, detractors: 3, score: 20 });
+  assert.equal(npsBreakdown([]), null);
+});
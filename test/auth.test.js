@@ -0,0 +1,191 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDb } = require('./helpers/memory-db');
+const { MASK, parseApiTokens, createAuth, canSeePii, maskForRequest } = require('../lib/auth');
+const { setUser, removeUser, revokeSessions } = require('../lib/users');
+const { formAnalytics } = require('../lib/analytics');
+const { questionDistribution } = require('../lib/questions');
+
+// Minimal express request/response objects
+function request({ headers = {}, body } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { headers: lower, body, get: name => lower[name.toLowerCase()] };
+}
+
+function response() {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  return res;
+}
+
+async function authenticated(auth, req) {
+  const res = response();
+  let passed = false;
+  await auth.authenticate(req, res, () => { passed = true; });
+  return passed ? req.user : null;
+}
+
+async function setup() {
+  const users = createMemoryDb().collection('users');
+  await setUser(users, { username: 'vera', password: 'viewer-password', role: 'viewer' });
+  await setUser(users, { username: 'ana', password: 'analyst-password', role: 'analyst' });
+  const auth = createAuth({
+    apiTokens: 'analyst:tok-analyst,viewer:tok-viewer',
+    findUser: username => users.findOne({ username }),
+    revokeSessions: username => revokeSessions(users, username),
+    sessionSecret: 'test-secret',
+  });
+  return { users, auth };
+}
+
+async function login(auth, username, password) {
+  const res = response();
+  await auth.login(request({ body: { username, password } }), res);
+  const cookie = res.headers['set-cookie']?.split(';')[0] ?? null;
+  return { res, cookie };
+}
+
+const rows = [
+  { response_id: 'r1', email: 'anna@example.org', antwort: 'Ich heiße Anna', wert: 'Ich heiße Anna', answer_type: 'long_text' },
+  { response_id: 'r1', email: 'anna@example.org', antwort: 'Blau', wert: 'Blau', answer_type: 'multiple_choice' },
+  { response_id: 'r1', email: 'anna@example.org', antwort: '7', wert: 7, answer_type: 'opinion_scale' },
+];
+
+test('API_TOKENS entries need a known role', () => {
+  assert.deepEqual([...parseApiTokens('viewer:a, admin:b')], [['a', 'viewer'], ['b', 'admin']]);
+  assert.throws(() => parseApiTokens('owner:x'), /Invalid API_TOKENS entry/);
+  assert.throws(() => parseApiTokens('viewer:'), /Invalid API_TOKENS entry/);
+});
+
+test('requests need a token or a session', async () => {
+  const { auth } = await setup();
+  assert.equal(await authenticated(auth, request()), null);
+  assert.equal(await authenticated(auth, request({ headers: { Authorization: 'Bearer nope' } })), null);
+  assert.equal((await authenticated(auth, request({ headers: { Authorization: 'Bearer tok-analyst' } }))).role, 'analyst');
+  assert.equal((await authenticated(auth, request({ headers: { 'X-API-Token': 'tok-viewer' } }))).role, 'viewer');
+});
+
+test('a wrong password gets no session', async () => {
+  const { auth } = await setup();
+  const { res, cookie } = await login(auth, 'vera', 'wrong-password');
+  assert.equal(res.statusCode, 401);
+  assert.equal(cookie, null);
+});
+
+test('a viewer logged in via session sees masked emails and free text', async () => {
+  const { auth } = await setup();
+  const { res, cookie } = await login(auth, 'vera', 'viewer-password');
+  assert.deepEqual(res.body, { username: 'vera', role: 'viewer' });
+  assert.match(res.headers['set-cookie'], /HttpOnly; SameSite=Lax/);
+
+  const req = request({ headers: { Cookie: cookie } });
+  assert.equal((await authenticated(auth, req)).name, 'vera');
+  assert.equal(canSeePii(req), false);
+  const [text, choice, scale] = maskForRequest(req, rows);
+  assert.equal(text.email, `a${MASK}@example.org`);
+  assert.equal(text.antwort, MASK);
+  assert.equal(text.wert, MASK);
+  assert.equal(choice.antwort, 'Blau');
+  assert.equal(scale.wert, 7);
+});
+
+test('analysts see everything', async () => {
+  const { auth } = await setup();
+  const { cookie } = await login(auth, 'ana', 'analyst-password');
+  const req = request({ headers: { Cookie: cookie } });
+  await authenticated(auth, req);
+  assert.equal(canSeePii(req), true);
+  assert.deepEqual(maskForRequest(req, rows), rows);
+});
+
+test('viewers see the text typed into "Other" as Sonstiges, in lists and in statistics', async () => {
+  const { auth } = await setup();
+  const answers = createMemoryDb().collection('answers');
+  await answers.insertMany(require('./fixtures/frm1.answers.json'));
+  const question = { question_id: 'farbe', fields: [{ form_id: 'frm1', field_id: 'f_mc' }] };
+  const byLabel = (a, b) => (a.label ?? a.antwort).localeCompare(b.label ?? b.antwort);
+
+  async function seenBy(username, password) {
+    const req = request({ headers: { Cookie: (await login(auth, username, password)).cookie } });
+    await authenticated(auth, req);
+    // What server.js passes to the analytics and related-answers routes
+    const bucketOther = !canSeePii(req);
+    const analytics = await formAnalytics(answers, { form_id: 'frm1' }, { bucket: 'day', bucketOther });
+    const [distribution] = await questionDistribution(answers, question, { bucketOther });
+    const [listed] = maskForRequest(req, await answers.find({ id: 'frm1_r3_f_mc' }).toArray());
+    return {
+      choices: analytics.fields.find(f => f.field_id === 'f_mc').choices.sort(byLabel),
+      related: distribution.items.sort(byLabel),
+      listed: [listed.antwort, listed.wert, listed.sonstiges],
+    };
+  }
+
+  const viewer = await seenBy('vera', 'viewer-password');
+  assert.deepEqual(viewer.choices, [{ label: 'Blau', count: 2 }, { label: 'Rot', count: 2 }, { label: 'Sonstiges', count: 1 }]);
+  assert.deepEqual(viewer.related, [{ antwort: 'Blau, Rot', count: 1 }, { antwort: 'Blau, Sonstiges', count: 1 }, { antwort: 'Rot', count: 1 }]);
+  assert.deepEqual(viewer.listed, ['Blau, Sonstiges', ['Blau', 'Sonstiges'], MASK]);
+  assert.doesNotMatch(JSON.stringify(viewer), /Türkis/);
+
+  const analyst = await seenBy('ana', 'analyst-password');
+  assert.deepEqual(analyst.choices.map(c => c.label), ['Blau', 'Rot', 'Türkis wie mein Auto']);
+  assert.deepEqual(analyst.related.map(i => i.antwort), ['Blau, Rot', 'Blau, Türkis wie mein Auto', 'Rot']);
+  assert.equal(analyst.listed[2], 'Türkis wie mein Auto');
+});
+
+test('a tampered session cookie is rejected', async () => {
+  const { auth } = await setup();
+  const { cookie } = await login(auth, 'vera', 'viewer-password');
+  const [name, value] = cookie.split('=');
+  const [body, mac] = decodeURIComponent(value).split('.');
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, 'base64url')), r: 'admin' })).toString('base64url');
+  assert.equal(await authenticated(auth, request({ headers: { Cookie: `${name}=${forged}.${mac}` } })), null);
+});
+
+test('requireRole', async () => {
+  const { auth } = await setup();
+  const guard = auth.requireRole('analyst');
+  for (const [role, allowed] of [['viewer', false], ['analyst', true], ['admin', true]]) {
+    const res = response();
+    let passed = false;
+    guard({ user: { role } }, res, () => { passed = true; });
+    assert.equal(passed, allowed, role);
+    if (!allowed) assert.equal(res.statusCode, 403);
+  }
+});
+
+test('disabling, removing or changing a user ends its sessions', async () => {
+  const { users, auth } = await setup();
+  const session = async (username, password) => request({ headers: { Cookie: (await login(auth, username, password)).cookie } });
+
+  const vera = await session('vera', 'viewer-password');
+  await users.updateOne({ username: 'vera' }, { $set: { disabled: true } });
+  assert.equal(await authenticated(auth, vera), null);
+
+  const ana = await session('ana', 'analyst-password');
+  await setUser(users, { username: 'ana', password: 'analyst-password', role: 'viewer' });
+  assert.equal(await authenticated(auth, ana), null);
+  // A new login picks up the new role
+  assert.equal((await authenticated(auth, await session('ana', 'analyst-password'))).role, 'viewer');
+
+  const again = await session('ana', 'analyst-password');
+  await removeUser(users, 'ana');
+  assert.equal(await authenticated(auth, again), null);
+});
+
+test('logout revokes every session of the user', async () => {
+  const { auth } = await setup();
+  const { cookie } = await login(auth, 'vera', 'viewer-password');
+  const copy = request({ headers: { Cookie: cookie } });
+  const res = response();
+  await auth.logout(request({ headers: { Cookie: cookie } }), res);
+  assert.deepEqual(res.body, { ok: true });
+  assert.match(res.headers['set-cookie'], /Max-Age=0/);
+  assert.equal(await authenticated(auth, copy), null);
+  // Logging in again works
+  const { cookie: fresh } = await login(auth, 'vera', 'viewer-password');
+  assert.equal((await authenticated(auth, request({ headers: { Cookie: fresh } }))).name, 'vera');
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formSnapshot, diffSnapshots } = require('../lib/definitions');
+const { formVersion, archiveFormDefinition, listFormVersions } = require('../lib/archive');
+const { createMemoryDb } = require('./helpers/memory-db');
+const base = require('./fixtures/dump/forms/frm1/definition.json');
+
+const clone = value => JSON.parse(JSON.stringify(value));
+const field = (def, id) => {
+  const all = [...def.fields, ...def.fields.flatMap(f => f.properties?.fields || [])];
+  return all.find(f => f.id === id);
+};
+
+test('the first version has no diff', () => {
+  assert.equal(diffSnapshots(null, formSnapshot(base)), null);
+});
+
+test('snapshots flatten groups and keep choices, required and validations', () => {
+  const def = clone(base);
+  field(def, 'f_name').validations = { required: true, max_length: 40 };
+  const snapshot = formSnapshot(def);
+  assert.deepEqual(snapshot.fields.map(f => f.id), ['grp', 'f_name', 'f_mail', 'f_chiffre', 'f_mc', 'f_scale', 'f_yes', 'f_date']);
+  const name = snapshot.fields.find(f => f.id === 'f_name');
+  assert.equal(name.group_id, 'grp');
+  assert.equal(name.required, true);
+  assert.deepEqual(name.validations, { max_length: 40 });
+  assert.deepEqual(snapshot.fields.find(f => f.id === 'f_mc').choices.map(c => c.label), ['Rot', 'Blau']);
+});
+
+test('an unchanged definition yields an empty diff', () => {
+  const diff = diffSnapshots(formSnapshot(base), formSnapshot(clone(base)));
+  assert.deepEqual(diff, {
+    title: null,
+    added: [],
+    removed: [],
+    changed: [],
+    order_changed: false,
+    hidden: { added: [], removed: [] },
+    variables_changed: false,
+    logic_changed: false,
+    settings_changed: [],
+    screens_changed: false,
+  });
+});
+
+test('added, removed and changed fields', () => {
+  const def = clone(base);
+  def.title = 'Zufriedenheit 2025';
+  def.fields = def.fields.filter(f => f.id !== 'f_date');
+  def.fields.push({ id: 'f_new', type: 'long_text', title: 'Anmerkungen' });
+  field(def, 'f_scale').title = 'Wie zufrieden waren Sie?';
+  field(def, 'f_yes').validations = { required: true };
+  const choices = field(def, 'f_mc').properties.choices;
+  choices[1].label = 'Hellblau';
+  choices.push({ id: 'c3', label: 'Grün' });
+
+  const diff = diffSnapshots(formSnapshot(base), formSnapshot(def));
+  assert.deepEqual(diff.title, { from: 'Zufriedenheit 2024', to: 'Zufriedenheit 2025' });
+  assert.deepEqual(diff.added, [{ id: 'f_new', title: 'Anmerkungen', type: 'long_text' }]);
+  assert.deepEqual(diff.removed, [{ id: 'f_date', title: 'Datum des Termins', type: 'date' }]);
+  const changes = Object.fromEntries(diff.changed.map(c => [c.id, c.changes]));
+  assert.deepEqual(Object.keys(changes).sort(), ['f_mc', 'f_scale', 'f_yes']);
+  assert.deepEqual(changes.f_scale, { title: { from: 'Wie zufrieden sind Sie?', to: 'Wie zufrieden waren Sie?' } });
+  assert.deepEqual(changes.f_yes, { required: { from: false, to: true } });
+  assert.deepEqual(changes.f_mc.choices, { added: ['Grün'], removed: [], renamed: [{ id: 'c2', from: 'Blau', to: 'Hellblau' }], reordered: false });
+  assert.equal(diff.order_changed, false);
+});
+
+test('reordering, moves into groups, logic, settings and hidden fields', () => {
+  const def = clone(base);
+  const [scale, yes] = [field(def, 'f_scale'), field(def, 'f_yes')];
+  def.fields = def.fields.filter(f => f !== scale && f !== yes);
+  def.fields.splice(1, 0, yes, scale);
+  // f_chiffre moves into the group
+  def.fields = def.fields.filter(f => f.id !== 'f_chiffre');
+  def.fields[0].properties.fields.push({ id: 'f_chiffre', type: 'short_text', title: 'Chiffre' });
+  def.logic = [{ type: 'field', ref: 'f_yes', actions: [] }];
+  def.settings = { language: 'de', progress_bar: 'percentage' };
+  def.hidden = ['quelle'];
+
+  const diff = diffSnapshots(formSnapshot(base), formSnapshot(def));
+  assert.equal(diff.order_changed, true);
+  assert.deepEqual(diff.changed.map(c => [c.id, c.changes]), [['f_chiffre', { group_id: { from: null, to: 'grp' } }]]);
+  assert.equal(diff.logic_changed, true);
+  assert.deepEqual(diff.settings_changed, ['language', 'progress_bar']);
+  assert.deepEqual(diff.hidden, { added: ['quelle'], removed: [] });
+});
+
+test('changing a form back to an earlier version is recorded as a change', async () => {
+  const formArchive = createMemoryDb().collection('form_archive');
+  const a = clone(base);
+  const b = clone(base);
+  b.title = 'Zufriedenheit 2025';
+  // last_seen_at decides which version was seen last, so the syncs must not share a millisecond
+  const sync = async def => {
+    await new Promise(resolve => setTimeout(resolve, 2));
+    return archiveFormDefinition(formArchive, 'frm1', def);
+  };
+  for (const def of [a, a, b, a]) await sync(def);
+
+  const [docA, docB] = [await formArchive.findOne({ version: formVersion(a) }), await formArchive.findOne({ version: formVersion(b) })];
+  assert.equal(await formArchive.countDocuments({}), 2);
+  // The first sighting stays in previous_version/diff, every switch is in changes
+  assert.equal(docA.previous_version, null);
+  assert.deepEqual(docA.changes.map(c => c.previous_version), [null, docB.version]);
+  assert.deepEqual(docA.changes[1].diff.title, { from: 'Zufriedenheit 2025', to: base.title });
+  assert.deepEqual(docB.changes.map(c => c.previous_version), [docA.version]);
+
+  const history = await listFormVersions(formArchive, 'frm1');
+  assert.deepEqual(history.map(v => [v.version, v.previous_version]), [[docA.version, docB.version], [docB.version, docA.version], [docA.version, null]]);
+  assert.deepEqual(history[0].diff.title, { from: 'Zufriedenheit 2025', to: base.title });
+});
+
+test('versions archived before changes were recorded keep their history', async () => {
+  const formArchive = createMemoryDb().collection('form_archive');
+  const b = clone(base);
+  b.title = 'Zufriedenheit 2025';
+  await formArchive.insertMany([
+    { form_id: 'frm1', version: formVersion(base), definition: base, first_seen_at: new Date('2024-01-01'), last_seen_at: new Date('2024-02-01') },
+    { form_id: 'frm1', version: formVersion(b), definition: b, first_seen_at: new Date('2024-03-01'), last_seen_at: new Date('2024-03-01') },
+  ]);
+  await archiveFormDefinition(formArchive, 'frm1', base);
+  const history = await listFormVersions(formArchive, 'frm1');
+  assert.deepEqual(history.map(v => [v.version, v.previous_version]), [
+    [formVersion(base), formVersion(b)],
+    [formVersion(b), formVersion(base)],
+    [formVersion(base), null],
+  ]);
+  assert.deepEqual(history[1].diff.title, { from: base.title, to: 'Zufriedenheit 2025' });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { exportForm } = require('../lib/export');
+
+// answers.aggregate stand-in: the column pipeline groups by field, the row pipeline by response
+function fakeAnswers({ fields, responses }) {
+  const answers = {
+    closed: 0,
+    aggregate(pipeline) {
+      const byField = pipeline.some(s => s.$group?._id === '$field_id');
+      const items = byField ? fields : responses;
+      return {
+        toArray: async () => items,
+        close: async () => { answers.closed += 1; },
+        async *[Symbol.asyncIterator]() { yield* items; },
+      };
+    },
+  };
+  return answers;
+}
+
+const data = {
+  fields: [
+    { _id: 'f_extra', frage: 'Nachtrag', gruppe: null, pfad: ['Nachtrag'], pos: 0 },
+    { _id: 'f_name', frage: 'Name', gruppe: null, pfad: ['Name'], pos: 1 },
+    { _id: 'f_note', frage: 'Name', gruppe: null, pfad: ['Name'], pos: 2 },
+  ],
+  responses: [
+    { _id: 'r1', datum: '2024-03-01', email: 'a@example.org', chiffre: null, answers: [{ k: 'f_name', v: 'Meier, "Max"' }, { k: 'f_note', v: 'Zeile 1\nZeile 2' }] },
+    { _id: 'r2', datum: '2024-03-02', email: null, chiffre: '12345A12345678', answers: [{ k: 'f_extra', v: 'spät' }] },
+  ],
+};
+// Definition order: f_name, f_note; f_extra is not in the definition (any more)
+const fieldMap = new Map([
+  ['f_name', { title: 'Name', group: null, path: ['Name'] }],
+  ['f_note', { title: 'Name', group: null, path: ['Name'] }],
+]);
+
+async function run(format) {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', c => chunks.push(c));
+  const done = new Promise(resolve => out.on('end', resolve));
+  await exportForm(fakeAnswers(data), { formId: 'frm', match: { form_id: 'frm' }, fieldMap, format }, out);
+  await done;
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+test('csv: definition order, unique headers and quoting', async () => {
+  const csv = await run('csv');
+  assert.ok(csv.startsWith('\ufeff'));
+  assert.equal(csv.slice(1), [
+    'response_id,datum,email,chiffre,Name,Name [f_note],Nachtrag',
+    'r1,2024-03-01,a@example.org,,"Meier, ""Max""","Zeile 1\nZeile 2",',
+    'r2,2024-03-02,,12345A12345678,,,spät',
+    '',
+  ].join('\r\n'));
+});
+
+test('ndjson: one object per response with null for unanswered questions', async () => {
+  const lines = (await run('ndjson')).trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(lines[1], {
+    response_id: 'r2', datum: '2024-03-02', email: null, chiffre: '12345A12345678', Name: null, 'Name [f_note]': null, Nachtrag: 'spät',
+  });
+});
+
+test('unknown formats are rejected', async () => {
+  await assert.rejects(exportForm(fakeAnswers(data), { formId: 'frm', match: {}, fieldMap, format: 'pdf' }, new PassThrough()), /Unsupported export format/);
+});
+
+test('a download closed by the client ends the export and closes the cursor', async () => {
+  const answers = fakeAnswers(data);
+  // Nobody reads: the first write fills the buffer, then the client goes away
+  const out = new PassThrough({ highWaterMark: 1 });
+  const pending = exportForm(answers, { formId: 'frm', match: {}, fieldMap, format: 'csv' }, out);
+  setImmediate(() => out.destroy());
+  await assert.rejects(pending, { code: 'EXPORT_ABORTED' });
+  assert.equal(answers.closed, 1);
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryDb } = require('./helpers/memory-db');
+const { subjectAccess, eraseSubject } = require('../lib/gdpr');
+const { combineSinks } = require('../lib/sinks');
+const { createJsonlSink } = require('../lib/sink-jsonl');
+const { loadIdentityConfig } = require('../lib/identity');
+const { ensureSyncIndexes, runSync } = require('../lib/sync');
+const { createDirectorySource } = require('../lib/sources');
+const { ingestDelivery } = require('../lib/webhook');
+
+const CHIFFRE = '12345A12345678';
+
+async function setup() {
+  const db = createMemoryDb();
+  const collections = { answers: db.collection('answers'), responses: db.collection('responses'), auditLog: db.collection('audit_log') };
+  await collections.answers.insertMany([
+    // r1: identified by email (in another case), r2: by chiffre, r3: someone else
+    { id: 'a_r1_mail', form_id: 'a', response_id: 'r1', idx: 0, email: 'Anna@Example.org', chiffre: null, answer_type: 'email', antwort: 'Anna@Example.org' },
+    { id: 'a_r1_text', form_id: 'a', response_id: 'r1', idx: 1, email: 'Anna@Example.org', chiffre: null, answer_type: 'long_text', antwort: 'Ich wohne in Bern' },
+    { id: 'a_r1_mc', form_id: 'a', response_id: 'r1', idx: 2, email: 'Anna@Example.org', chiffre: null, answer_type: 'multiple_choice', antwort: 'Blau' },
+    { id: 'b_r2_text', form_id: 'b', response_id: 'r2', idx: 0, email: null, chiffre: CHIFFRE, answer_type: 'short_text', antwort: 'Anna' },
+    { id: 'a_r3_text', form_id: 'a', response_id: 'r3', idx: 0, email: 'anna.b@example.org', chiffre: null, answer_type: 'short_text', antwort: 'Berta' },
+  ]);
+  await collections.responses.insertMany([
+    { response_id: 'r1', form_id: 'a', email: 'Anna@Example.org', chiffre: null, hidden: { quelle: 'mail' }, metadata: { user_agent: 'x' } },
+    { response_id: 'r2', form_id: 'b', email: null, chiffre: CHIFFRE, hidden: {}, metadata: null },
+    { response_id: 'r3', form_id: 'a', email: 'anna.b@example.org', chiffre: null, hidden: {}, metadata: null },
+  ]);
+  return collections;
+}
+
+const subject = { email: 'anna@example.org', chiffre: CHIFFRE };
+const opts = { actor: 'admin', via: 'test', pseudonymSecret: 'pepper' };
+
+test('subject access returns every answer of the matching responses and is audited', async () => {
+  const collections = await setup();
+  const data = await subjectAccess(collections, subject, opts);
+  assert.deepEqual(data.answers.map(a => a.id), ['a_r1_mail', 'a_r1_text', 'a_r1_mc', 'b_r2_text']);
+  assert.deepEqual(data.responses.map(r => r.response_id).sort(), ['r1', 'r2']);
+  const [entry] = await collections.auditLog.find({}).toArray();
+  assert.equal(entry.action, 'subject_access');
+  assert.equal(entry.actor, 'admin');
+  // The audit log does not repeat the identifiers
+  assert.doesNotMatch(JSON.stringify(entry), /anna@example\.org|12345A12345678/i);
+});
+
+test('a dry run only counts', async () => {
+  const collections = await setup();
+  const result = await eraseSubject(collections, subject, { ...opts, mode: 'delete', dryRun: true });
+  assert.equal(result.responses, 2);
+  assert.equal(result.answers, 4);
+  assert.equal(await collections.answers.countDocuments(), 5);
+  assert.equal((await collections.auditLog.findOne({})).action, 'erasure_dry_run');
+});
+
+test('delete removes the answers and responses of the subject only', async () => {
+  const collections = await setup();
+  await eraseSubject(collections, subject, { ...opts, mode: 'delete' });
+  assert.deepEqual(await collections.answers.distinct('response_id'), ['r3']);
+  assert.deepEqual(await collections.responses.distinct('response_id'), ['r3']);
+  assert.equal((await collections.auditLog.findOne({})).action, 'erasure');
+});
+
+test('pseudonymise replaces identifiers and removes free text', async () => {
+  const collections = await setup();
+  await collections.answers.insertOne({
+    id: 'a_r1_other', form_id: 'a', response_id: 'r1', idx: 3, email: 'Anna@Example.org', chiffre: null, answer_type: 'multiple_choice',
+    antwort: 'Blau, Mein Hund Bello', wert: ['Blau', 'Mein Hund Bello'], sonstiges: 'Mein Hund Bello',
+  });
+  await eraseSubject(collections, subject, { ...opts, mode: 'pseudonymise' });
+  const byId = new Map((await collections.answers.find({}).toArray()).map(a => [a.id, a]));
+  const text = byId.get('a_r1_text');
+  assert.match(text.email, /^pseudo_[0-9a-f]{16}$/);
+  assert.equal(text.antwort, '[entfernt]');
+  assert.ok(text.pseudonymised_at instanceof Date);
+  assert.equal(byId.get('a_r1_mc').antwort, 'Blau');
+  // The text typed into "Other" goes, the chosen labels stay
+  assert.deepEqual([byId.get('a_r1_other').antwort, byId.get('a_r1_other').wert, byId.get('a_r1_other').sonstiges], ['Blau, [entfernt]', ['Blau', '[entfernt]'], null]);
+  // Stable pseudonyms: the same email gives the same value in every answer
+  assert.equal(byId.get('a_r1_mail').email, text.email);
+  assert.match(byId.get('b_r2_text').chiffre, /^pseudo_/);
+  assert.equal(byId.get('a_r3_text').antwort, 'Berta');
+  const r1 = await collections.responses.findOne({ response_id: 'r1' });
+  assert.deepEqual(r1.hidden, {});
+  assert.equal(r1.metadata, null);
+});
+
+test('pseudonymising needs a secret, and a subject is required', async () => {
+  const collections = await setup();
+  await assert.rejects(eraseSubject(collections, subject, { ...opts, pseudonymSecret: '' }), /PSEUDONYM_SECRET/);
+  await assert.rejects(subjectAccess(collections, {}, opts), /email or chiffre is required/);
+});
+
+test('responses are deleted in Typeform per form, failures are reported', async () => {
+  const collections = await setup();
+  const calls = [];
+  const typeform = {
+    async deleteResponses(formId, ids) {
+      calls.push([formId, ids]);
+      if (formId === 'b') throw Object.assign(new Error('forbidden'), { response: { status: 403 } });
+      return ids.length;
+    },
+  };
+  const result = await eraseSubject(collections, subject, { ...opts, mode: 'delete', typeform });
+  assert.deepEqual(calls, [['a', ['r1']], ['b', ['r2']]]);
+  assert.equal(result.typeform_deleted, 1);
+  assert.deepEqual(result.typeform_errors, [{ form_id: 'b', error: 'HTTP 403' }]);
+});
+
+test('erasure reaches the other sinks', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gdpr-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const lines = file => fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+
+  for (const mode of ['delete', 'pseudonymise']) {
+    const collections = await setup();
+    const sink = createJsonlSink(path.join(dir, mode));
+    await sink.upsertAnswers(await collections.answers.find({}, { projection: { _id: 0 } }).toArray());
+    await sink.upsertResponses(await collections.responses.find({}, { projection: { _id: 0 } }).toArray());
+
+    const result = await eraseSubject(collections, subject, { ...opts, mode, sink: combineSinks([sink]) });
+    assert.deepEqual(result.sinks, ['jsonl']);
+    const answers = lines(`${mode}/answers.jsonl`);
+    const text = JSON.stringify([answers, lines(`${mode}/responses.jsonl`)]);
+    assert.doesNotMatch(text, /anna@example\.org|12345A12345678|Ich wohne in Bern/i, mode);
+    if (mode === 'delete') {
+      assert.deepEqual(answers.map(a => a.response_id), ['r3']);
+    } else {
+      // The pseudonymised copies replace the original lines
+      assert.deepEqual(answers.map(a => a.id).sort(), ['a_r1_mail', 'a_r1_mc', 'a_r1_text', 'a_r3_text', 'b_r2_text']);
+      assert.equal(answers.find(a => a.id === 'a_r1_mc').antwort, 'Blau');
+    }
+  }
+});
+
+test('erased responses stay erased through a full sync and webhook redeliveries', async () => {
+  const db = createMemoryDb();
+  const collections = Object.fromEntries(['answers', 'responses', 'syncState', 'responseArchive', 'erasedResponses', 'auditLog', 'webhookEvents', 'forms']
+    .map(name => [name, db.collection(name)]));
+  const quiet = { log() {}, warn() {}, error() {} };
+  await ensureSyncIndexes(collections, quiet);
+  const typeform = createDirectorySource(path.join(__dirname, 'fixtures', 'dump'));
+  const identityConfig = loadIdentityConfig();
+  const sync = () => runSync({ typeform, collections, log: quiet }, { formIds: ['frm1'], fullSync: true, identityConfig });
+  await sync();
+
+  const max = { chiffre: '12345A12345678' };
+  await eraseSubject(collections, max, { ...opts, mode: 'delete', dryRun: true });
+  assert.equal(await collections.erasedResponses.countDocuments({}), 0);
+  await eraseSubject(collections, max, { ...opts, mode: 'delete' });
+  const [erased] = await collections.erasedResponses.find({}, { projection: { _id: 0, erased_at: 0 } }).toArray();
+  assert.deepEqual(erased, { response_id: 'r1', form_id: 'frm1', mode: 'delete' });
+
+  await sync();
+  assert.deepEqual((await collections.answers.distinct('response_id')).sort(), ['r2', 'r3']);
+  assert.deepEqual((await collections.responses.distinct('response_id')).sort(), ['r2', 'r3']);
+  assert.equal(await collections.responseArchive.countDocuments({ response_id: 'r1' }), 0);
+
+  const [r1] = require('./fixtures/dump/forms/frm1/responses/page-1.json').items;
+  const delivery = { event_id: 'e1', event_type: 'form_response', form_response: { ...r1, form_id: 'frm1', definition: { id: 'frm1', fields: [] } } };
+  assert.deepEqual(await ingestDelivery({ collections, sink: { upsertAnswers: assert.fail }, identityConfig }, delivery), { erased: true });
+  assert.equal(await collections.answers.countDocuments({ response_id: 'r1' }), 0);
+});
@@ -0,0 +1,508 @@
+'use strict';
+
+// In-memory stand-in for the part of the MongoDB driver the lib/ modules use (queries, updates, bulkWrite,
+// unique and partial indexes), so their tests run without a database. aggregate covers the stages and
+// expressions of the analytics pipelines; anything else throws.
+
+const { isDeepStrictEqual } = require('util');
+
+let counter = 0;
+const newId = () => String(++counter).padStart(24, '0');
+const clone = value => structuredClone(value);
+const isOperatorObject = v => v && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date) && !(v instanceof RegExp)
+  && Object.keys(v).length > 0 && Object.keys(v).every(k => k.startsWith('$'));
+
+function getPath(doc, path) {
+  return path.split('.').reduce((v, k) => (v == null ? undefined : v[k]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  let target = doc;
+  for (const k of keys.slice(0, -1)) {
+    if (target[k] == null || typeof target[k] !== 'object') target[k] = {};
+    target = target[k];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+}
+
+function equals(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  if (a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  return isDeepStrictEqual(a, b);
+}
+
+function typeRank(v) {
+  if (v == null) return 0;
+  if (typeof v === 'number') return 1;
+  if (typeof v === 'string') return 2;
+  if (Array.isArray(v)) return 4;
+  if (typeof v === 'object' && !(v instanceof Date)) return 3;
+  if (typeof v === 'boolean') return 5;
+  return 6; // Date
+}
+
+function compare(a, b) {
+  const ra = typeRank(a);
+  const rb = typeRank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 0) return 0;
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+  if (ra === 3 || ra === 4) return JSON.stringify(x) < JSON.stringify(y) ? -1 : JSON.stringify(x) > JSON.stringify(y) ? 1 : 0;
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function sameType(a, b) {
+  return a != null && b != null && typeRank(a) === typeRank(b);
+}
+
+function matchesCondition(value, cond) {
+  const candidates = Array.isArray(value) ? [value, ...value] : [value];
+  if (!isOperatorObject(cond)) {
+    if (cond instanceof RegExp) return candidates.some(v => typeof v === 'string' && cond.test(v));
+    return candidates.some(v => equals(v, cond));
+  }
+  return Object.entries(cond).every(([op, arg]) => {
+    switch (op) {
+      case '$eq': return matchesCondition(value, arg);
+      case '$ne': return !matchesCondition(value, arg);
+      case '$in': return arg.some(a => matchesCondition(value, a));
+      case '$nin': return !arg.some(a => matchesCondition(value, a));
+      case '$gt': return candidates.some(v => sameType(v, arg) && compare(v, arg) > 0);
+      case '$gte': return candidates.some(v => sameType(v, arg) && compare(v, arg) >= 0);
+      case '$lt': return candidates.some(v => sameType(v, arg) && compare(v, arg) < 0);
+      case '$lte': return candidates.some(v => sameType(v, arg) && compare(v, arg) <= 0);
+      case '$exists': return (value !== undefined) === Boolean(arg);
+      case '$not': return !matchesCondition(value, arg);
+      case '$type': return arg === 'array' ? Array.isArray(value) : typeof value === arg;
+      case '$regex': {
+        const re = arg instanceof RegExp ? arg : new RegExp(arg, cond.$options || '');
+        return candidates.some(v => typeof v === 'string' && re.test(v));
+      }
+      case '$options': return true;
+      default: throw new Error(`Query operator ${op} is not supported by the in-memory collection`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some(f => matches(doc, f));
+    if (key === '$and') return cond.every(f => matches(doc, f));
+    if (key === '$nor') return !cond.some(f => matches(doc, f));
+    return matchesCondition(getPath(doc, key), cond);
+  });
+}
+
+function project(doc, projection) {
+  if (!projection || !Object.keys(projection).length) return doc;
+  const entries = Object.entries(projection);
+  const inclusive = entries.some(([k, v]) => k !== '_id' && v);
+  if (!inclusive) {
+    const out = clone(doc);
+    for (const [k] of entries) unsetPath(out, k);
+    return out;
+  }
+  const out = {};
+  if (projection._id !== 0 && projection._id !== false && doc._id !== undefined) out._id = doc._id;
+  for (const [k, v] of entries) {
+    if (k === '_id' || !v) continue;
+    const value = getPath(doc, k);
+    if (value !== undefined) setPath(out, k, clone(value));
+  }
+  return out;
+}
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  if (!isOperatorObject(update)) throw new Error('Update documents need operators ($set, ...)');
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (op) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$setOnInsert': if (inserting) setPath(doc, path, clone(value)); break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (getPath(doc, path) || 0) + value); break;
+        case '$push': setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]); break;
+        default: throw new Error(`Update operator ${op} is not supported by the in-memory collection`);
+      }
+    }
+  }
+  return doc;
+}
+
+function seedFromFilter(filter) {
+  // Equality conditions of an upsert filter become fields of the inserted document
+  const doc = {};
+  for (const [key, cond] of Object.entries(filter || {})) {
+    if (key.startsWith('$') || isOperatorObject(cond)) continue;
+    setPath(doc, key, clone(cond));
+  }
+  return doc;
+}
+
+class MemoryCursor {
+  constructor(load, { projection = null, sort = null } = {}) {
+    this.load = load;
+    this.projection = projection;
+    this.sortSpec = sort;
+    this.skipCount = 0;
+    this.limitCount = 0;
+    this.buffer = null;
+    this.closed = false;
+  }
+
+  sort(spec) { this.sortSpec = spec; return this; }
+  skip(n) { this.skipCount = n; return this; }
+  limit(n) { this.limitCount = n; return this; }
+  project(p) { this.projection = p; return this; }
+  allowDiskUse() { return this; }
+  batchSize() { return this; }
+
+  results() {
+    if (this.buffer) return this.buffer;
+    let docs = this.load();
+    if (this.sortSpec) docs = sortDocs(docs, this.sortSpec);
+    docs = docs.slice(this.skipCount, this.limitCount ? this.skipCount + this.limitCount : undefined);
+    this.buffer = docs.map(d => project(clone(d), this.projection));
+    return this.buffer;
+  }
+
+  async toArray() { const docs = this.results(); this.buffer = []; return docs; }
+  async next() { return this.results().shift() ?? null; }
+  async hasNext() { return this.results().length > 0; }
+  async close() { this.closed = true; this.buffer = []; }
+  async *[Symbol.asyncIterator]() {
+    while (!this.closed && this.results().length) yield this.results().shift();
+  }
+}
+
+// ---- Aggregation ----
+
+function evalExpr(expr, doc, vars = {}) {
+  if (typeof expr === 'string' && expr.startsWith('$$')) {
+    const [name, ...rest] = expr.slice(2).split('.');
+    return rest.length ? getPath(vars[name], rest.join('.')) : vars[name];
+  }
+  if (typeof expr === 'string' && expr.startsWith('$')) return getPath(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map(e => evalExpr(e, doc, vars));
+  if (!expr || typeof expr !== 'object' || expr instanceof Date || expr instanceof RegExp) return expr;
+  const [op] = Object.keys(expr);
+  if (!op?.startsWith('$')) return Object.fromEntries(Object.entries(expr).map(([k, v]) => [k, evalExpr(v, doc, vars)]));
+  const arg = expr[op];
+  const args = () => (Array.isArray(arg) ? arg : [arg]).map(e => evalExpr(e, doc, vars));
+  switch (op) {
+    case '$cond': {
+      const [cond, then, otherwise] = Array.isArray(arg) ? arg : [arg.if, arg.then, arg.else];
+      return evalExpr(evalExpr(cond, doc, vars) ? then : otherwise, doc, vars);
+    }
+    case '$ifNull': return args().find(v => v != null) ?? null;
+    case '$eq': { const [a, b] = args(); return a === undefined ? b === undefined : b !== undefined && equals(a, b); }
+    case '$ne': { const [a, b] = args(); return !(a === undefined ? b === undefined : b !== undefined && equals(a, b)); }
+    case '$and': return args().every(Boolean);
+    case '$or': return args().some(Boolean);
+    case '$isArray': return Array.isArray(args()[0]);
+    case '$isNumber': return typeof args()[0] === 'number';
+    case '$add': return args().reduce((n, v) => n + v, 0);
+    case '$concat': { const parts = args(); return parts.some(v => v == null) ? null : parts.join(''); }
+    case '$slice': { const [list, n] = args(); return list == null ? null : list.slice(0, n); }
+    case '$substrCP': { const [s, start, len] = args(); return s == null ? '' : String(s).slice(start, start + len); }
+    case '$map': {
+      const input = evalExpr(arg.input, doc, vars);
+      return input == null ? null : input.map(item => evalExpr(arg.in, doc, { ...vars, [arg.as || 'this']: item }));
+    }
+    case '$reduce': {
+      const input = evalExpr(arg.input, doc, vars);
+      if (input == null) return null;
+      return input.reduce((value, item) => evalExpr(arg.in, doc, { ...vars, value, this: item }), evalExpr(arg.initialValue, doc, vars));
+    }
+    case '$convert': {
+      const input = evalExpr(arg.input, doc, vars);
+      if (input == null) return evalExpr(arg.onNull ?? null, doc, vars);
+      const n = Number(input);
+      return Number.isFinite(n) ? n : evalExpr(arg.onError ?? null, doc, vars);
+    }
+    default: throw new Error(`Expression operator ${op} is not supported by the in-memory collection`);
+  }
+}
+
+const ACCUMULATORS = {
+  $sum: (values) => values.reduce((n, v) => n + (typeof v === 'number' ? v : 0), 0),
+  $avg: (values) => {
+    const numbers = values.filter(v => typeof v === 'number');
+    return numbers.length ? numbers.reduce((n, v) => n + v, 0) / numbers.length : null;
+  },
+  $first: (values) => values[0] ?? null,
+  $last: (values) => values[values.length - 1] ?? null,
+  $min: (values) => values.filter(v => v != null).sort(compare)[0] ?? null,
+  $max: (values) => values.filter(v => v != null).sort(compare).pop() ?? null,
+  $push: (values) => values,
+};
+
+function groupStage(docs, { _id: idExpr, ...fields }) {
+  const groups = new Map();
+  for (const doc of docs) {
+    const id = evalExpr(idExpr, doc) ?? null;
+    const key = JSON.stringify(id);
+    if (!groups.has(key)) groups.set(key, { id, docs: [] });
+    groups.get(key).docs.push(doc);
+  }
+  return [...groups.values()].map(({ id, docs: members }) => {
+    const out = { _id: id };
+    for (const [name, spec] of Object.entries(fields)) {
+      const [op, expr] = Object.entries(spec)[0];
+      if (!ACCUMULATORS[op]) throw new Error(`Accumulator ${op} is not supported by the in-memory collection`);
+      out[name] = ACCUMULATORS[op](members.map(d => evalExpr(expr, d)));
+    }
+    return out;
+  });
+}
+
+function projectStage(doc, spec) {
+  const entries = Object.entries(spec);
+  if (entries.every(([, v]) => v === 0 || v === false)) return project(doc, spec);
+  const out = {};
+  if (spec._id !== 0 && spec._id !== false && doc._id !== undefined) out._id = doc._id;
+  for (const [k, v] of entries) {
+    if (k === '_id' && (v === 0 || v === false)) continue;
+    const value = v === 1 || v === true ? getPath(doc, k) : evalExpr(v, doc);
+    if (value !== undefined) setPath(out, k, value);
+  }
+  return out;
+}
+
+function unwindStage(docs, spec) {
+  const { path, includeArrayIndex = null } = typeof spec === 'string' ? { path: spec } : spec;
+  const field = path.slice(1);
+  return docs.flatMap(doc => {
+    const value = getPath(doc, field);
+    if (!Array.isArray(value)) return value == null ? [] : [{ ...doc, ...(includeArrayIndex ? { [includeArrayIndex]: null } : {}) }];
+    return value.map((item, i) => {
+      const out = clone(doc);
+      setPath(out, field, item);
+      if (includeArrayIndex) out[includeArrayIndex] = i;
+      return out;
+    });
+  });
+}
+
+function sortDocs(docs, spec) {
+  const keys = Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [k, dir] of keys) {
+      const c = compare(getPath(a, k), getPath(b, k));
+      if (c) return c * (dir < 0 ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+function runPipeline(docs, pipeline) {
+  return pipeline.reduce((current, stage) => {
+    const [name, spec] = Object.entries(stage)[0];
+    switch (name) {
+      case '$match': return current.filter(d => matches(d, spec));
+      case '$addFields':
+      case '$set': return current.map(d => {
+        const out = clone(d);
+        for (const [k, v] of Object.entries(spec)) setPath(out, k, evalExpr(v, d));
+        return out;
+      });
+      case '$project': return current.map(d => projectStage(d, spec));
+      case '$unwind': return unwindStage(current, spec);
+      case '$group': return groupStage(current, spec);
+      case '$sort': return sortDocs(current, spec);
+      case '$skip': return current.slice(spec);
+      case '$limit': return current.slice(0, spec);
+      case '$count': return current.length ? [{ [spec]: current.length }] : [];
+      default: throw new Error(`Pipeline stage ${name} is not supported by the in-memory collection`);
+    }
+  }, docs.map(clone));
+}
+
+function duplicateKeyError(index) {
+  const err = new Error(`E11000 duplicate key error index: ${index.name}`);
+  err.code = 11000;
+  return err;
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+    this.indexList = [];
+  }
+
+  checkUnique(doc, ignore = null) {
+    for (const index of this.indexList) {
+      if (!index.unique) continue;
+      if (index.partialFilterExpression && !matches(doc, index.partialFilterExpression)) continue;
+      const keys = Object.keys(index.key);
+      const clash = this.docs.some(other => other !== ignore && other !== doc
+        && (!index.partialFilterExpression || matches(other, index.partialFilterExpression))
+        && keys.every(k => equals(getPath(other, k), getPath(doc, k))));
+      if (clash) throw duplicateKeyError(index);
+    }
+    if (doc._id !== undefined && this.docs.some(o => o !== ignore && o !== doc && equals(o._id, doc._id))) throw duplicateKeyError({ name: '_id_' });
+  }
+
+  // ---- Reads ----
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor(() => this.docs.filter(d => matches(d, filter)), options);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    return this.find(filter, options).limit(1).next();
+  }
+
+  async countDocuments(filter = {}) {
+    return this.docs.filter(d => matches(d, filter)).length;
+  }
+
+  async distinct(key, filter = {}) {
+    const values = [];
+    for (const d of this.docs.filter(doc => matches(doc, filter))) {
+      const v = getPath(d, key);
+      for (const item of Array.isArray(v) ? v : [v]) {
+        if (item !== undefined && !values.some(x => equals(x, item))) values.push(item);
+      }
+    }
+    return values;
+  }
+
+  aggregate(pipeline = []) {
+    return new MemoryCursor(() => runPipeline(this.docs, pipeline));
+  }
+
+  // ---- Writes ----
+
+  async insertOne(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = newId();
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) insertedIds[i] = (await this.insertOne(doc)).insertedId;
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  writeDoc(existing, next) {
+    this.checkUnique(next, existing);
+    this.docs[this.docs.indexOf(existing)] = next;
+    return !equals(existing, next);
+  }
+
+  async updateOne(filter, update, { upsert = false } = {}) {
+    const existing = this.docs.find(d => matches(d, filter));
+    if (existing) {
+      const modified = this.writeDoc(existing, applyUpdate(clone(existing), update));
+      return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+    }
+    if (!upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    const { insertedId } = await this.insertOne(applyUpdate(seedFromFilter(filter), update, { inserting: true }));
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: insertedId };
+  }
+
+  async updateMany(filter, update) {
+    let matchedCount = 0;
+    let modifiedCount = 0;
+    for (const existing of this.docs.filter(d => matches(d, filter))) {
+      matchedCount += 1;
+      if (this.writeDoc(existing, applyUpdate(clone(existing), update))) modifiedCount += 1;
+    }
+    return { acknowledged: true, matchedCount, modifiedCount };
+  }
+
+  async replaceOne(filter, replacement, { upsert = false } = {}) {
+    const existing = this.docs.find(d => matches(d, filter));
+    if (existing) {
+      const modified = this.writeDoc(existing, { ...clone(replacement), _id: existing._id });
+      return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0 };
+    }
+    if (!upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    await this.insertOne({ ...seedFromFilter(filter), ...replacement });
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+  }
+
+  async deleteOne(filter) {
+    const i = this.docs.findIndex(d => matches(d, filter));
+    if (i >= 0) this.docs.splice(i, 1);
+    return { acknowledged: true, deletedCount: i >= 0 ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(d => !matches(d, filter));
+    return { acknowledged: true, deletedCount: before - this.docs.length };
+  }
+
+  async bulkWrite(ops) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, deletedCount: 0 };
+    const add = r => {
+      for (const k of Object.keys(result)) result[k] += r[k] || 0;
+    };
+    for (const op of ops) {
+      const [type, args] = Object.entries(op)[0];
+      if (type === 'insertOne') add({ insertedCount: (await this.insertOne(args.document)) ? 1 : 0 });
+      else if (type === 'updateOne') add(await this.updateOne(args.filter, args.update, args));
+      else if (type === 'updateMany') add(await this.updateMany(args.filter, args.update));
+      else if (type === 'replaceOne') add(await this.replaceOne(args.filter, args.replacement, args));
+      else if (type === 'deleteOne') add(await this.deleteOne(args.filter));
+      else if (type === 'deleteMany') add(await this.deleteMany(args.filter));
+      else throw new Error(`bulkWrite ${type} is not supported by the in-memory collection`);
+    }
+    return result;
+  }
+
+  // ---- Indexes ----
+
+  async createIndex(key, options = {}) {
+    const name = options.name || Object.entries(key).map(([k, v]) => `${k}_${v}`).join('_');
+    if (!this.indexList.some(i => i.name === name)) {
+      const index = { name, key, unique: !!options.unique, partialFilterExpression: options.partialFilterExpression || null };
+      for (const doc of this.docs) {
+        this.indexList.push(index);
+        try {
+          this.checkUnique(doc);
+        } finally {
+          this.indexList.pop();
+        }
+      }
+      this.indexList.push(index);
+    }
+    return name;
+  }
+
+  async indexes() {
+    return [{ name: '_id_', key: { _id: 1 } }, ...this.indexList.map(i => ({ ...i }))];
+  }
+
+  async dropIndex(name) {
+    const i = this.indexList.findIndex(x => x.name === name);
+    if (i < 0) throw new Error(`index not found with name [${name}]`);
+    this.indexList.splice(i, 1);
+  }
+}
+
+function createMemoryDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new MemoryCollection(name));
+      return collections.get(name);
+    },
+  };
+}
+
+module.exports = { createMemoryDb, MemoryCollection };
@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { compileIdentityConfig, loadIdentityConfig, extractIdentity } = require('../lib/identity');
+
+const example = loadIdentityConfig(path.join(__dirname, '..', 'identity.example.json'));
+
+const item = (answers, hidden = {}) => ({ token: 'r1', hidden, answers });
+const text = (id, value) => ({ field: { id, type: 'short_text' }, type: 'text', text: value });
+const mail = (id, value) => ({ field: { id, type: 'email' }, type: 'email', email: value });
+
+test('without a config the built-in heuristic applies', () => {
+  const identity = extractIdentity('frm', item([text('f1', 'hallo'), text('f2', '12345A12345678'), mail('f3', 'Anna@Example.org')]), compileIdentityConfig({}));
+  assert.equal(identity.chiffre, '12345A12345678');
+  assert.equal(identity.email, 'Anna@Example.org');
+  assert.equal(identity.details.chiffre_source, 'heuristic:f2');
+  assert.equal(identity.details.ambiguous, false);
+});
+
+test('hidden fields and normalization from the default scope', () => {
+  const identity = extractIdentity('frm', item([mail('f3', 'other@example.org')], { chiffre: ' 12345a12345678 ', email: ' Anna@Example.org ' }), example);
+  assert.equal(identity.chiffre, '12345A12345678');
+  assert.equal(identity.email, 'anna@example.org');
+  assert.equal(identity.details.chiffre_source, 'hidden:chiffre');
+  assert.equal(identity.details.chiffre_pattern, 'chiffre');
+});
+
+test('per-form fields override the default, mismatches and conflicts are reported', () => {
+  const identity = extractIdentity('abc123', item([text('xyzFieldId', 'keine chiffre'), text('f2', '12345A12345678'), text('f4', '54321B87654321')]), example);
+  // The declared field does not match the pattern: the heuristic finds two different chiffres
+  assert.equal(identity.chiffre, '12345A12345678');
+  assert.equal(identity.details.ambiguous, true);
+  assert.deepEqual(identity.details.issues.map(i => i.reason), ['pattern_mismatch', 'multiple_values']);
+});
+
+test('fallback: false keeps the heuristic out', () => {
+  const config = compileIdentityConfig({ default: { identifier: { fields: ['f9'] }, fallback: false } });
+  assert.equal(extractIdentity('frm', item([text('f2', '12345A12345678')]), config).chiffre, null);
+});
+
+test('invalid configs are rejected with the location of the problem', () => {
+  assert.throws(() => compileIdentityConfig({ default: { identifier: { field: ['x'] } } }), /default\.identifier: unknown key "field"/);
+  assert.throws(() => compileIdentityConfig({ default: { email: { normalize: ['rot13'] } } }), /default\.email\.normalize: unknown "rot13"/);
+  assert.throws(() => compileIdentityConfig({ forms: { f: { identifier: { patterns: ['nope'] } } } }), /forms\.f\.identifier\.patterns: unknown pattern "nope"/);
+  assert.throws(() => compileIdentityConfig({ patterns: { bad: '(' } }), /patterns\.bad/);
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDb } = require('./helpers/memory-db');
+const { LEGACY_INDEX, migrateAnswerIds, hasLegacyIndex } = require('../lib/migrate');
+
+async function legacyCollection() {
+  const answers = createMemoryDb().collection('answers');
+  await answers.createIndex({ id: 1, idx: 1 }, { unique: true, name: LEGACY_INDEX });
+  await answers.insertMany([
+    // The chiffre was found later: the same answer was stored twice under different legacy ids
+    { id: 'frm_a@example.org_r1_a@example.org', idx: 0, form_id: 'frm', response_id: 'r1', field_id: 'f1', antwort: 'Ja', chiffre: null },
+    { id: 'frm_12345A12345678_r1_a@example.org', idx: 0, form_id: 'frm', response_id: 'r1', field_id: 'f1', antwort: 'Ja', chiffre: '12345A12345678' },
+    { id: 'frm_12345A12345678_r1_a@example.org', idx: 1, form_id: 'frm', response_id: 'r1', field_id: null, antwort: 'x' },
+    { id: 'frm_r2_f1', idx: 0, form_id: 'frm', response_id: 'r2', field_id: 'f1', antwort: 'Nein' },
+  ]);
+  return answers;
+}
+
+test('a dry run reports the rewrite without touching the collection', async () => {
+  const answers = await legacyCollection();
+  const report = await migrateAnswerIds(answers, { dryRun: true, log: () => {} });
+  assert.equal(report.scanned, 4);
+  assert.equal(report.changed, 2);
+  assert.equal(report.unchanged, 1);
+  assert.equal(report.duplicate_groups, 1);
+  assert.equal(report.removed, 1);
+  assert.equal(await answers.countDocuments(), 4);
+  assert.equal(await hasLegacyIndex(answers), true);
+});
+
+test('duplicates are merged under the stable id and the legacy index is replaced', async () => {
+  const answers = await legacyCollection();
+  const report = await migrateAnswerIds(answers, { dryRun: false, log: () => {} });
+  const docs = await answers.find({}, { projection: { _id: 0 } }).sort({ id: 1 }).toArray();
+  assert.deepEqual(docs.map(d => d.id), ['frm_r1_f1', 'frm_r1_idx1', 'frm_r2_f1']);
+  // The later document wins for the fields it carries
+  assert.equal(docs[0].chiffre, '12345A12345678');
+  assert.deepEqual(report.indexes, { dropped: [LEGACY_INDEX], created: ['uniq_id', 'form_response'] });
+  assert.equal(await hasLegacyIndex(answers), false);
+  await assert.rejects(answers.insertOne({ id: 'frm_r2_f1' }), err => err.code === 11000);
+});
+
+test('documents without response_id keep their id and are counted', async () => {
+  const answers = await legacyCollection();
+  await answers.insertMany([
+    { id: 'frm_a@example.org__a@example.org', idx: 0, form_id: 'frm', response_id: null, field_id: 'f1', antwort: 'Ja' },
+    { id: 'frm_b@example.org__b@example.org', idx: 0, form_id: 'frm', field_id: 'f1', antwort: 'Nein' },
+  ]);
+  const report = await migrateAnswerIds(answers, { dryRun: false, log: () => {} });
+  assert.equal(report.without_response_id, 2);
+  assert.equal(report.scanned, 4);
+  assert.deepEqual((await answers.find({ response_id: null }).sort({ id: 1 }).toArray()).map(d => d.id), ['frm_a@example.org__a@example.org', 'frm_b@example.org__b@example.org']);
+});
+
+test('large forms are written in batches', async () => {
+  const answers = createMemoryDb().collection('answers');
+  await answers.createIndex({ id: 1, idx: 1 }, { unique: true, name: LEGACY_INDEX });
+  const docs = [];
+  for (let i = 0; i < 700; i++) {
+    const rid = `r${String(i).padStart(3, '0')}`;
+    docs.push({ id: `frm_x_${rid}_x`, idx: 0, form_id: 'frm', response_id: rid, field_id: 'f1', antwort: 'a' });
+    if (i % 2) docs.push({ id: `frm_y_${rid}_y`, idx: 0, form_id: 'frm', response_id: rid, field_id: 'f1', antwort: 'b' });
+  }
+  await answers.insertMany(docs);
+  const report = await migrateAnswerIds(answers, { dryRun: false, log: () => {} });
+  assert.equal(report.scanned, 1050);
+  assert.equal(report.removed, 350);
+  assert.equal(await answers.countDocuments(), 700);
+  assert.equal((await answers.findOne({ id: 'frm_r001_f1' })).antwort, 'b');
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDb } = require('./helpers/memory-db');
+const { chiffreProfile } = require('../lib/profile');
+
+const C = '12345A12345678';
+const answer = (response_id, form_id, datum, email, field_id, wert) => ({
+  id: `${form_id}_${response_id}_${field_id}`, response_id, form_id, datum, email, chiffre: C, field_id,
+  frage: 'Zufriedenheit', answer_type: 'opinion_scale', wert, antwort: String(wert), idx: 0,
+});
+
+test('timeline, answer changes and inconsistencies of one chiffre', async () => {
+  const answers = createMemoryDb().collection('answers');
+  await answers.insertMany([
+    answer('r3', 'b', '2024-06-01', 'anna@example.org', 'f_scale', 8),
+    answer('r1', 'a', '2024-01-10', 'Anna@Example.org', 'f_scale', 5),
+    answer('r2', 'a', '2024-01-10', 'anna@work.example', 'f_scale', 8),
+    { ...answer('r4', 'b', null, null, 'f_scale', 8), deleted_at: new Date() },
+    { ...answer('rx', 'a', '2024-01-10', 'x@example.org', 'f_scale', 1), chiffre: '99999Z99999999' },
+  ]);
+  const profile = await chiffreProfile(answers, C, { match: { deleted_at: null } });
+  assert.equal(profile.responses, 3);
+  assert.equal(profile.forms, 2);
+  assert.deepEqual([profile.first, profile.last], ['2024-01-10', '2024-06-01']);
+  assert.deepEqual(profile.timeline.map(r => r.response_id), ['r1', 'r2', 'r3']);
+
+  const [scale] = profile.fields;
+  assert.deepEqual(scale.history.map(h => h.wert), [5, 8, 8]);
+  assert.equal(scale.changes.length, 1);
+  assert.equal(scale.changes[0].delta, 3);
+  assert.equal(scale.changes[0].to_response_id, 'r2');
+
+  const types = profile.inconsistencies.map(i => i.type);
+  assert.deepEqual(types, ['multiple_emails', 'same_day_resubmission']);
+  // Emails that only differ in case are the same
+  assert.equal(profile.inconsistencies[0].values.length, 2);
+  assert.deepEqual(profile.inconsistencies[1].response_ids, ['r1', 'r2']);
+});
@@ -0,0 +1,19 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_TOLERANCE, parseTolerance, qualityItems } = require('../lib/quality');
+
+test('parseTolerance', () => {
+  assert.equal(parseTolerance(undefined), DEFAULT_TOLERANCE);
+  assert.equal(parseTolerance(''), DEFAULT_TOLERANCE);
+  assert.equal(parseTolerance('0.25'), 0.25);
+  for (const bad of ['0', '-1', '11', 'abc']) {
+    assert.throws(() => parseTolerance(bad), err => err.status === 400, bad);
+  }
+});
+
+test('unknown checks and answer_count without a form are rejected', async () => {
+  await assert.rejects(qualityItems({ answers: null }, 'nope', {}), { status: 400, message: /Unknown check: nope/ });
+  await assert.rejects(qualityItems({ answers: null }, 'answer_count', {}), { status: 400, message: /needs form/ });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, parseListQuery, responseListPipeline, responsePage } = require('../lib/query');
+
+const raw = value => Buffer.from(value).toString('base64url');
+const isBadRequest = err => err.status === 400;
+
+test('cursors round-trip', () => {
+  for (const cursor of [{ d: '2024-03-01', r: 'abc' }, { d: null, r: 'abc' }, { l: null, c: '12345A12345678' }, { f: 'frm1' }]) {
+    assert.deepEqual(decodeCursor(encodeCursor(cursor)), cursor);
+  }
+});
+
+test('cursor fields must be plain values', () => {
+  for (const cursor of [{ d: { $gt: '' }, r: 'x' }, { r: ['a'] }, { f: true }, [1, 2], 'abc', 42, null]) {
+    assert.throws(() => decodeCursor(encodeCursor(cursor)), isBadRequest, JSON.stringify(cursor));
+  }
+  // An operator cursor never reaches the list query
+  assert.throws(() => parseListQuery({ next: encodeCursor({ d: { $ne: null } }) }), isBadRequest);
+});
+
+test('undecodable cursors are a bad request', () => {
+  for (const value of [raw('{not json'), raw(''), '%%%']) {
+    assert.throws(() => decodeCursor(value), err => isBadRequest(err) && err.message === 'Invalid cursor');
+  }
+});
+
+test('list query: limit, date range and field filter', () => {
+  assert.equal(parseListQuery({}).limit, 200);
+  assert.equal(parseListQuery({ limit: '5000' }).limit, 1000);
+  assert.equal(parseListQuery({ limit: '0' }, { defaultLimit: 50 }).limit, 50);
+  assert.deepEqual(parseListQuery({ from: '2024-01-01', to: '2024-01-31' }).from, '2024-01-01');
+  assert.throws(() => parseListQuery({ from: '01.01.2024' }), isBadRequest);
+  assert.deepEqual(parseListQuery({ field: 'f1', value: 'Ja' }).fieldFilter, { field_id: 'f1', value: 'Ja', op: 'eq' });
+  assert.throws(() => parseListQuery({ field: 'f1', value: 'Ja', op: 'regex' }), isBadRequest);
+  assert.throws(() => parseListQuery({ field: 'f1' }), isBadRequest);
+  assert.deepEqual(parseListQuery({ next: encodeCursor({ d: '2024-01-01', r: 'r1' }) }).after, { d: '2024-01-01', r: 'r1' });
+});
+
+test('pages continue strictly after the cursor, responses without datum last', () => {
+  const rows = [{ datum: '2024-03-02', response_id: 'b' }, { datum: '2024-03-01', response_id: 'a' }, { datum: null, response_id: 'z' }];
+  const { items, next } = responsePage(rows, 2);
+  assert.equal(items.length, 2);
+  const after = decodeCursor(next);
+  assert.deepEqual(after, { d: '2024-03-01', r: 'a' });
+  const pipeline = responseListPipeline({ match: { form_id: 'f' }, group: { _id: '$response_id' }, project: { _id: 0 } }, { ...parseListQuery({}), after });
+  assert.deepEqual(pipeline.find(s => s.$match?.$or).$match.$or, [
+    { datum: { $lt: '2024-03-01' } },
+    { datum: '2024-03-01', response_id: { $lt: 'a' } },
+    { datum: null },
+  ]);
+  assert.equal(responsePage(rows, 3).next, null);
+});
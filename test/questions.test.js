@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeQuestion, findQuestion, questionForField, searchFields, saveQuestion, questionDistribution } = require('../lib/questions');
+
+test('normalizeQuestion ignores case, punctuation, markup and piping', () => {
+  assert.equal(normalizeQuestion('Was bereitet Ihnen *aktuell* am meisten Freude im Leben?'), 'was bereitet ihnen aktuell am meisten freude im leben');
+  assert.equal(normalizeQuestion('Wie geht es Ihnen, {{field:abc}}?'), 'wie geht es ihnen');
+  assert.equal(normalizeQuestion('  ?! '), null);
+  assert.equal(normalizeQuestion(null), null);
+});
+
+const catalog = {
+  items: [{ question_id: 'q_freude', status: 'confirmed', fields: [{ form_id: 'f1', field_id: 'a' }] }],
+  suggestions: [{ question_id: 'q_freude', status: 'suggested', fields: [{ form_id: 'f2', field_id: 'b' }] }],
+  fields: [
+    { form_id: 'f1', field_id: 'a', frage: 'Was macht Ihnen Freude?' },
+    { form_id: 'f2', field_id: 'b', frage: 'Was macht Ihnen *Freude*?' },
+    { form_id: 'f2', field_id: 'c', frage: 'Alter' },
+  ],
+};
+
+test('confirmed questions win over suggestions with the same id', () => {
+  assert.equal(findQuestion(catalog, 'q_freude').status, 'confirmed');
+  assert.equal(questionForField(catalog, 'f2', 'b').status, 'suggested');
+  assert.equal(questionForField(catalog, 'f2', 'c'), null);
+});
+
+test('searchFields matches ids exactly and the wording in part', () => {
+  assert.deepEqual(searchFields(catalog, 'FREUDE').map(f => f.field_id), ['a', 'b']);
+  assert.deepEqual(searchFields(catalog, 'f2').map(f => f.field_id), ['b', 'c']);
+  assert.deepEqual(searchFields(catalog, 'freude', { limit: 1 }).map(f => f.field_id), ['a']);
+});
+
+test('saveQuestion validates before writing', async () => {
+  const questions = { findOne() { throw new Error('no write expected'); } };
+  const fields = [{ form_id: 'f1', field_id: 'a' }];
+  await assert.rejects(saveQuestion(questions, 'bad id', { label: 'x', fields }), { status: 400 });
+  await assert.rejects(saveQuestion(questions, 'q1', { label: ' ', fields }), { status: 400, message: 'label is required' });
+  await assert.rejects(saveQuestion(questions, 'q1', { label: 'x', fields: [] }), { status: 400, message: 'fields must not be empty' });
+  await assert.rejects(saveQuestion(questions, 'q1', { label: 'x', fields: [{ form_id: 'f1' }] }), { status: 400, message: /form_id and field_id/ });
+});
+
+test('questionDistribution groups the answers per field of the question', async () => {
+  let pipeline;
+  const answers = {
+    aggregate(p) {
+      pipeline = p;
+      return { toArray: async () => [
+        { _id: { form_id: 'f1', field_id: 'a', antwort: 'Familie' }, count: 3 },
+        { _id: { form_id: 'f2', field_id: 'b', antwort: 'Arbeit' }, count: 2 },
+        { _id: { form_id: 'f1', field_id: 'a', antwort: 'Sport' }, count: 1 },
+      ] };
+    },
+  };
+  const question = { question_id: 'q_freude', fields: [{ form_id: 'f1', field_id: 'a' }, { form_id: 'f2', field_id: 'b' }] };
+  const result = await questionDistribution(answers, question, { excludeResponseId: 'r1', limit: 1 });
+  assert.deepEqual(pipeline[0].$match.response_id, { $ne: 'r1' });
+  assert.deepEqual(result, [
+    { form_id: 'f1', field_id: 'a', total: 4, items: [{ antwort: 'Familie', count: 3 }] },
+    { form_id: 'f2', field_id: 'b', total: 2, items: [{ antwort: 'Arbeit', count: 2 }] },
+  ]);
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createDirectorySource } = require('../lib/sources');
+const { loadIdentityConfig } = require('../lib/identity');
+const { ensureSyncIndexes, runSync } = require('../lib/sync');
+const { formVersion, archiveFormDefinition, archiveResponses, loadFormVersions } = require('../lib/archive');
+const { rebuildAnswers } = require('../lib/rebuild');
+const { createMemoryDb } = require('./helpers/memory-db');
+
+const quiet = { log() {}, warn() {}, error() {} };
+const identityConfig = loadIdentityConfig();
+
+async function syncedDump() {
+  const db = createMemoryDb();
+  const collections = {
+    answers: db.collection('answers'),
+    responses: db.collection('responses'),
+    syncState: db.collection('sync_state'),
+    responseArchive: db.collection('response_archive'),
+    formArchive: db.collection('form_archive'),
+  };
+  await ensureSyncIndexes(collections, quiet);
+  const typeform = createDirectorySource(path.join(__dirname, 'fixtures', 'dump'));
+  await runSync({ typeform, collections, log: quiet }, { formIds: ['frm1'], identityConfig });
+  return collections;
+}
+
+test('the form version is a hash of the definition that ignores key order and _links', () => {
+  const a = { id: 'frm', title: 'T', fields: [{ id: 'f1', type: 'short_text' }] };
+  const b = { fields: [{ type: 'short_text', id: 'f1' }], title: 'T', id: 'frm', _links: { display: 'https://example.org' } };
+  assert.equal(formVersion(a), formVersion(b));
+  assert.notEqual(formVersion(a), formVersion({ ...a, title: 'T2' }));
+});
+
+test('a sync archives the raw responses and the form definition', async () => {
+  const { responseArchive, formArchive } = await syncedDump();
+  const archived = await responseArchive.find({}).toArray();
+  assert.ok(archived.length > 0);
+  const [form] = await formArchive.find({}).toArray();
+  assert.equal(form.form_id, 'frm1');
+  assert.ok(archived.every(a => a.form_version === form.version && a.raw.answers));
+  // Seeing the same definition again does not add a version
+  await archiveFormDefinition(formArchive, 'frm1', form.definition);
+  assert.equal(await formArchive.countDocuments({}), 1);
+  const { versions, latest } = await loadFormVersions(formArchive, 'frm1');
+  assert.deepEqual([...versions.keys()], [form.version]);
+  assert.equal(latest.id, 'frm1');
+});
+
+test('rebuilding an unchanged mapping changes nothing', async () => {
+  const collections = await syncedDump();
+  const before = await collections.answers.find({}, { projection: { _id: 0 } }).toArray();
+  const { totals } = await rebuildAnswers(collections, { identityConfig, log: quiet });
+  assert.equal(totals.changed + totals.added + totals.removed, 0);
+  assert.equal(totals.unchanged, before.length);
+});
+
+test('rebuild restores mapped values, removes stale documents and keeps soft deletes', async () => {
+  const collections = await syncedDump();
+  const { answers } = collections;
+  const { _id, ...doc } = await answers.findOne({ response_id: 'r1', field_id: 'f_name' });
+  const other = await answers.findOne({ response_id: { $ne: 'r1' } });
+  await answers.updateOne({ id: doc.id }, { $set: { antwort: 'alt' } });
+  await answers.insertOne({ ...doc, id: 'frm1_r1_removed', field_id: 'removed' });
+  await answers.updateMany({ response_id: other.response_id }, { $set: { deleted_at: new Date('2024-05-01T00:00:00Z') } });
+
+  const dry = await rebuildAnswers(collections, { identityConfig, dryRun: true, log: quiet });
+  assert.equal(dry.totals.changed, 1);
+  assert.equal(dry.totals.removed, 1);
+  assert.deepEqual(dry.totals.changed_keys, { antwort: 1 });
+  assert.deepEqual(dry.forms[0].samples[0].changes, [{ key: 'antwort', before: 'alt', after: doc.antwort }]);
+  assert.equal((await answers.findOne({ id: doc.id })).antwort, 'alt');
+
+  await rebuildAnswers(collections, { identityConfig, log: quiet });
+  assert.equal((await answers.findOne({ id: doc.id })).antwort, doc.antwort);
+  assert.equal(await answers.countDocuments({ field_id: 'removed' }), 0);
+  assert.ok((await answers.find({ response_id: other.response_id }).toArray()).every(d => d.deleted_at instanceof Date));
+});
+
+test('webhook deliveries of forms never synced are rebuilt from the payload definition', async () => {
+  const db = createMemoryDb();
+  const collections = { answers: db.collection('answers'), responses: db.collection('responses'), responseArchive: db.collection('response_archive'), formArchive: db.collection('form_archive') };
+  const delivery = {
+    token: 'w1',
+    submitted_at: '2024-04-01T10:00:00Z',
+    definition: { id: 'frm9', fields: [{ id: 'f_farbe', type: 'multiple_choice', title: 'Farbe', choices: [{ id: 'c1', label: 'Rot' }] }] },
+    answers: [{ field: { id: 'f_farbe', type: 'multiple_choice' }, type: 'choice', choice: { id: 'c1' } }],
+  };
+  await archiveResponses(collections.responseArchive, 'frm9', null, [delivery], { source: 'webhook' });
+
+  const { totals } = await rebuildAnswers(collections, { identityConfig, log: quiet });
+  assert.equal(totals.without_definition, 0);
+  assert.equal(totals.added, 1);
+  const doc = await collections.answers.findOne({ response_id: 'w1' });
+  assert.equal(doc.frage, 'Farbe');
+  assert.equal(doc.antwort, 'Rot');
+  assert.equal(doc.form_version ?? null, null);
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSchedule } = require('../lib/schedule');
+
+// Cron schedules use local time: build the dates the same way
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+test('intervals', () => {
+  const start = at(2024, 3, 1, 10, 0);
+  for (const [text, ms] of [['every 15m', 15 * 60e3], ['2h', 2 * 3600e3], ['every 30s', 30e3], ['1d', 86400e3], ['EVERY 5M', 5 * 60e3]]) {
+    const s = parseSchedule(text);
+    assert.equal(s.interval, true, text);
+    assert.equal(s.next(start).getTime() - start.getTime(), ms, text);
+  }
+});
+
+test('cron: next matching minute strictly after the given time', () => {
+  const s = parseSchedule('*/15 * * * *');
+  assert.equal(s.interval, false);
+  assert.deepEqual(s.next(at(2024, 3, 1, 10, 0)), at(2024, 3, 1, 10, 15));
+  assert.deepEqual(s.next(at(2024, 3, 1, 10, 7)), at(2024, 3, 1, 10, 15));
+  assert.deepEqual(s.next(at(2024, 3, 1, 23, 50)), at(2024, 3, 2, 0, 0));
+});
+
+test('cron: fixed time, ranges and lists', () => {
+  assert.deepEqual(parseSchedule('0 3 * * *').next(at(2024, 3, 1, 3, 0)), at(2024, 3, 2, 3, 0));
+  // Weekdays only: Friday 2024-03-01 18:00 -> Monday 2024-03-04 08:30
+  assert.deepEqual(parseSchedule('30 8 * * 1-5').next(at(2024, 3, 1, 18, 0)), at(2024, 3, 4, 8, 30));
+  assert.deepEqual(parseSchedule('0 9,17 * * *').next(at(2024, 3, 1, 10, 0)), at(2024, 3, 1, 17, 0));
+  // Sunday as 7
+  assert.deepEqual(parseSchedule('0 0 * * 7').next(at(2024, 3, 1)), at(2024, 3, 3));
+});
+
+test('cron: day of month and day of week restricted means either matches', () => {
+  // 2024-03-01 is a Friday: the 15th or the next Monday, whichever comes first
+  assert.deepEqual(parseSchedule('0 0 15 * 1').next(at(2024, 3, 1)), at(2024, 3, 4));
+});
+
+test('cron: months without the day are skipped', () => {
+  assert.deepEqual(parseSchedule('0 0 31 * *').next(at(2024, 4, 1)), at(2024, 5, 31));
+  assert.deepEqual(parseSchedule('0 12 29 2 *').next(at(2024, 3, 1)), at(2028, 2, 29, 12, 0));
+});
+
+test('invalid schedules are rejected', () => {
+  for (const text of ['', 'every', '0m', '* * * *', '60 * * * *', '* 24 * * *', '5-1 * * * *', '*/0 * * * *', 'a b c d e']) {
+    assert.throws(() => parseSchedule(text), Error, text);
+  }
+  assert.throws(() => parseSchedule('0 0 30 2 *').next(at(2024, 1, 1)), /never matches/);
+});
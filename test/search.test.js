@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { searchTerms, snippet, searchAnswers } = require('../lib/search');
+const { decodeCursor, escapeRegex } = require('../lib/query');
+const { createMemoryDb } = require('./helpers/memory-db');
+
+function searchable(collection) {
+  // The in-memory collection has no text index: $text becomes a case-insensitive match on antwort, each hit scores 1
+  return {
+    aggregate(pipeline, options) {
+      const [first, ...rest] = pipeline;
+      if (!first.$match.$text) return collection.aggregate(pipeline, options);
+      const { $text, ...match } = first.$match;
+      return collection.aggregate([
+        { $match: { ...match, antwort: { $regex: escapeRegex($text.$search), $options: 'i' } } },
+        ...rest.map(stage => (stage.$addFields?._score ? { $addFields: { _score: 1 } } : stage)),
+      ], options);
+    },
+  };
+}
+
+test('search terms: phrases stay together, negated words are dropped', () => {
+  assert.deepEqual(searchTerms('Service "sehr freundlich" -Preis  Wartezeit'), ['Service', 'sehr freundlich', 'Wartezeit']);
+  assert.deepEqual(searchTerms('   '), []);
+});
+
+test('snippets are a window around the first term', () => {
+  const text = `${'a'.repeat(100)} Wartezeit war zu lang ${'b'.repeat(100)}`;
+  const s = snippet(text, ['wartezeit'], 10);
+  assert.equal(s, '…aaaaaaaaa Wartezeit …');
+  assert.equal(snippet('kurz', ['nichts']), 'kurz');
+  assert.equal(snippet('x'.repeat(30), ['y'], 10), `${'x'.repeat(20)}…`);
+  assert.equal(snippet(null, ['x']), null);
+  // Terms are matched literally
+  assert.equal(snippet('Preis (CHF) inkl.', ['(chf)'], 3), '…is (CH…');
+});
+
+test('identifier matches count against the limit and the cursor continues with the text hits', async () => {
+  const q = '12345A12345678';
+  const collection = createMemoryDb().collection('answers');
+  await collection.insertMany([
+    // r1-r3 have the chiffre (their chiffre answer also contains it), r4-r6 only mention it
+    ...['r1', 'r2', 'r3'].map((r, i) => ({ form_id: 'frm', response_id: r, datum: `2024-03-0${i + 1}`, chiffre: q, antwort: q })),
+    ...['r4', 'r5', 'r6'].map(r => ({ form_id: 'frm', response_id: r, datum: '2024-03-01', chiffre: null, antwort: `Meine Chiffre ist ${q}` })),
+    { form_id: 'frm', response_id: 'r7', datum: '2024-03-01', chiffre: null, antwort: 'Nichts' },
+  ]);
+  const answers = searchable(collection);
+  const pages = async limit => {
+    const out = [];
+    let after = null;
+    do {
+      const { items, next } = await searchAnswers(answers, { q, limit, after });
+      assert.ok(items.length <= limit);
+      out.push(items.map(i => `${i.match}:${i.response_id}`));
+      after = next ? decodeCursor(next) : null;
+    } while (after);
+    return out;
+  };
+
+  assert.deepEqual(await pages(2), [
+    ['identifier:r3', 'identifier:r2'],
+    ['identifier:r1', 'text:r6'],
+    ['text:r5', 'text:r4'],
+  ]);
+  // A page filled by identifier matches exactly
+  assert.deepEqual(await pages(3), [
+    ['identifier:r3', 'identifier:r2', 'identifier:r1'],
+    ['text:r6', 'text:r5', 'text:r4'],
+  ]);
+  assert.deepEqual(await pages(10), [['identifier:r3', 'identifier:r2', 'identifier:r1', 'text:r6', 'text:r5', 'text:r4']]);
+});
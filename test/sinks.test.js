@@ -0,0 +1,182 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSinkSpec, describeSink, createMongoSink, combineSinks, openSinks, openOtherSinks } = require('../lib/sinks');
+const { createJsonlSink } = require('../lib/sink-jsonl');
+const { loadIdentityConfig } = require('../lib/identity');
+const { runSync } = require('../lib/sync');
+const { createDirectorySource } = require('../lib/sources');
+const { createMemoryDb } = require('./helpers/memory-db');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+function installed(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sinks-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function readJsonl(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+function recordingSink(name, result = { upserted: 1, matched: 0, modified: 0 }) {
+  const calls = [];
+  const sink = { name, calls, closed: false, async close() { sink.closed = true; } };
+  for (const method of ['upsertForms', 'upsertResponses', 'upsertAnswers']) {
+    sink[method] = async docs => {
+      calls.push([method, docs.length]);
+      return typeof result === 'function' ? result(method) : result;
+    };
+  }
+  return sink;
+}
+
+test('parseSinkSpec', () => {
+  assert.deepEqual(parseSinkSpec('mongo'), { type: 'mongo', target: null });
+  assert.deepEqual(parseSinkSpec(' SQLite:./out.db '), { type: 'sqlite', target: './out.db' });
+  assert.deepEqual(parseSinkSpec('postgres:postgres://u:p@db:5432/x'), { type: 'postgres', target: 'postgres://u:p@db:5432/x' });
+  assert.deepEqual(parseSinkSpec('postgres', { env: { DATABASE_URL: 'postgres://db/x' } }), { type: 'postgres', target: 'postgres://db/x' });
+  assert.throws(() => parseSinkSpec('postgres', { env: {} }), /needs a URL/);
+  assert.throws(() => parseSinkSpec('jsonl'), /jsonl sink needs a path/);
+  assert.throws(() => parseSinkSpec('csv:x'), /Unknown sink "csv"/);
+});
+
+test('describeSink hides postgres credentials', () => {
+  assert.equal(describeSink({ type: 'postgres', target: 'postgres://user:secret@db:5432/x' }), 'postgres:postgres://***@db:5432/x');
+  assert.equal(describeSink({ type: 'mongo', target: null }), 'mongo');
+});
+
+test('the jsonl sink appends one line per document', async t => {
+  const dir = path.join(tmpDir(t), 'out');
+  const sink = createJsonlSink(dir);
+  assert.deepEqual(await sink.upsertAnswers([{ id: 'a1', wert: 1 }, { id: 'a2', datum: new Date('2024-03-01T00:00:00Z') }]), { upserted: 2, matched: 0, modified: 0 });
+  await sink.upsertAnswers([{ id: 'a1', wert: 2 }]);
+  await sink.upsertForms([]);
+  const lines = readJsonl(path.join(dir, 'answers.jsonl'));
+  assert.deepEqual(lines.map(l => [l.id, l.wert ?? null]), [['a1', 1], ['a2', null], ['a1', 2]]);
+  assert.equal(lines[1].datum, '2024-03-01T00:00:00.000Z');
+  assert.ok(lines.every(l => typeof l._synced_at === 'string'));
+  assert.equal(fs.existsSync(path.join(dir, 'forms.jsonl')), false);
+});
+
+test('the mongo sink upserts with $set and skips forms without a collection', async () => {
+  const db = createMemoryDb();
+  const sink = createMongoSink({ answers: db.collection('answers'), responses: db.collection('responses') });
+  await sink.upsertAnswers([{ id: 'a1', antwort: 'x' }]);
+  await db.collection('answers').updateOne({ id: 'a1' }, { $set: { deleted_at: new Date() } });
+  await sink.upsertAnswers([{ id: 'a1', antwort: 'y' }]);
+  const stored = await db.collection('answers').findOne({ id: 'a1' });
+  assert.equal(stored.antwort, 'y');
+  assert.ok(stored.deleted_at instanceof Date);
+  assert.equal((await sink.upsertForms([{ form_id: 'f' }])).skipped, true);
+});
+
+test('combineSinks writes to every sink and reports the first one that wrote', async () => {
+  const skipping = recordingSink('mongo', { upserted: 0, matched: 0, modified: 0, skipped: true });
+  const other = recordingSink('jsonl', { upserted: 2, matched: 0, modified: 0 });
+  const sink = combineSinks([skipping, other]);
+  assert.equal(sink.name, 'mongo+jsonl');
+  assert.deepEqual(sink.names, ['mongo', 'jsonl']);
+  assert.deepEqual(await sink.upsertForms([{}, {}]), { upserted: 2, matched: 0, modified: 0 });
+  await sink.upsertAnswers([{}]);
+  assert.deepEqual(skipping.calls, [['upsertForms', 2], ['upsertAnswers', 1]]);
+  assert.deepEqual(other.calls, skipping.calls);
+  await sink.close();
+  assert.ok(skipping.closed && other.closed);
+});
+
+test('a failing sink fails the write', async () => {
+  const failing = recordingSink('sqlite', () => { throw new Error('disk full'); });
+  const sink = combineSinks([recordingSink('mongo'), failing]);
+  await assert.rejects(sink.upsertAnswers([{}]), /disk full/);
+});
+
+test('openSinks defaults to mongo and combines several specs', async t => {
+  const db = createMemoryDb();
+  const collections = { answers: db.collection('answers'), responses: db.collection('responses') };
+  assert.deepEqual((await openSinks([], { collections, log: quiet })).names, ['mongo']);
+  const dir = tmpDir(t);
+  const sink = await openSinks(['mongo', `jsonl:${dir}`], { collections, log: quiet });
+  assert.deepEqual(sink.names, ['mongo', 'jsonl']);
+  await assert.rejects(openSinks(['mongo', 'nope'], { collections, log: quiet }), /Unknown sink "nope"/);
+});
+
+test('a sync writes the same documents to every sink', async t => {
+  const db = createMemoryDb();
+  const collections = { answers: db.collection('answers'), responses: db.collection('responses'), syncState: db.collection('sync_state') };
+  const dir = tmpDir(t);
+  const sink = await openSinks(['mongo', `jsonl:${dir}`], { collections, log: quiet });
+  const typeform = createDirectorySource(path.join(__dirname, 'fixtures', 'dump'));
+  await runSync({ typeform, collections, sink, log: quiet }, { formIds: ['frm1'], identityConfig: loadIdentityConfig() });
+  await sink.close();
+
+  const mongoIds = (await collections.answers.find({}).toArray()).map(d => d.id).sort();
+  const jsonlIds = readJsonl(path.join(dir, 'answers.jsonl')).map(d => d.id).sort();
+  assert.ok(mongoIds.length > 0);
+  assert.deepEqual(jsonlIds, mongoIds);
+  assert.equal(readJsonl(path.join(dir, 'responses.jsonl')).length, await collections.responses.countDocuments({}));
+});
+
+test('the jsonl sink rewrites only the lines of deleted or soft-deleted responses', async t => {
+  const dir = tmpDir(t);
+  const sink = createJsonlSink(dir);
+  await sink.upsertAnswers([{ id: 'a1', response_id: 'r1' }, { id: 'a2', response_id: 'r2' }, { id: 'a3', response_id: 'r3' }]);
+  await sink.upsertResponses([{ response_id: 'r1' }, { response_id: 'r2' }, { response_id: 'r3' }]);
+
+  assert.deepEqual(await sink.deleteResponses(['r1']), { deleted: 1 });
+  assert.deepEqual(readJsonl(path.join(dir, 'answers.jsonl')).map(l => l.id), ['a2', 'a3']);
+  assert.deepEqual(readJsonl(path.join(dir, 'responses.jsonl')).map(l => l.response_id), ['r2', 'r3']);
+
+  await sink.setDeletedAt(['r2'], new Date('2024-05-01T00:00:00Z'));
+  // A second soft delete keeps the first time
+  await sink.setDeletedAt(['r2'], new Date('2024-06-01T00:00:00Z'));
+  assert.deepEqual(readJsonl(path.join(dir, 'answers.jsonl')).map(l => l.deleted_at ?? null), ['2024-05-01T00:00:00.000Z', null]);
+  await sink.setDeletedAt(['r2'], null);
+  assert.deepEqual(readJsonl(path.join(dir, 'answers.jsonl')).map(l => l.deleted_at ?? null), [null, null]);
+  assert.equal(fs.existsSync(path.join(dir, 'answers.jsonl.tmp')), false);
+});
+
+test('the mongo sink soft-deletes, keeps the first time and restores', async () => {
+  const db = createMemoryDb();
+  const answers = db.collection('answers');
+  const responses = db.collection('responses');
+  const sink = createMongoSink({ answers, responses });
+  await sink.upsertAnswers([{ id: 'a1', response_id: 'r1' }, { id: 'a2', response_id: 'r2' }]);
+  await sink.upsertResponses([{ response_id: 'r1' }, { response_id: 'r2' }]);
+  const first = new Date('2024-05-01T00:00:00Z');
+  await sink.setDeletedAt(['r1'], first);
+  await sink.setDeletedAt(['r1'], new Date('2024-06-01T00:00:00Z'));
+  assert.deepEqual((await answers.findOne({ id: 'a1' })).deleted_at, first);
+  assert.deepEqual((await responses.findOne({ response_id: 'r1' })).deleted_at, first);
+  await sink.setDeletedAt(['r1'], null);
+  assert.equal('deleted_at' in (await answers.findOne({ id: 'a1' })), false);
+  assert.deepEqual(await sink.deleteResponses(['r2']), { deleted: 1 });
+  assert.equal(await responses.countDocuments({}), 1);
+});
+
+test('openOtherSinks leaves MongoDB out', async t => {
+  const collections = {};
+  assert.equal(await openOtherSinks(['mongo'], { collections, log: quiet }), null);
+  assert.equal(await openOtherSinks(undefined, { collections, log: quiet }), null);
+  const sink = await openOtherSinks(['mongo', `jsonl:${tmpDir(t)}`], { collections, log: quiet });
+  assert.deepEqual(sink.names, ['jsonl']);
+});
+
+test('a missing SQL driver is named with its install command', { skip: installed('better-sqlite3') && 'better-sqlite3 is installed' }, async t => {
+  const file = path.join(tmpDir(t), 'out.db');
+  await assert.rejects(openSinks([`sqlite:${file}`], { collections: {}, log: quiet }), /The better-sqlite3 package is not installed \(npm install better-sqlite3\)/);
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFieldMap } = require('../lib/answers');
+const { loadIdentityConfig } = require('../lib/identity');
+const { ensureSyncIndexes, runSync, listSyncRuns } = require('../lib/sync');
+const { createMemoryDb } = require('./helpers/memory-db');
+
+const quiet = { log() {}, warn() {}, error() {} };
+const identityConfig = loadIdentityConfig();
+
+const definition = {
+  id: 'frm1',
+  title: 'Umfrage',
+  fields: [{ id: 'f_name', type: 'short_text', title: 'Name' }],
+};
+
+function response(token, submittedAt, text) {
+  return { token, response_id: token, submitted_at: submittedAt, answers: [{ field: { id: 'f_name', type: 'short_text' }, type: 'text', text }] };
+}
+
+function fakeTypeform(responses) {
+  const calls = [];
+  return {
+    calls,
+    async fetchAllForms() {
+      calls.push('forms');
+      return [{ id: 'frm1', title: 'Umfrage' }];
+    },
+    async fetchFormDefinition() {
+      return buildFieldMap(definition);
+    },
+    async fetchRawFormDefinition() {
+      return definition;
+    },
+    async fetchAllResponses(formId, { since } = {}) {
+      calls.push(`responses ${formId} since ${since ?? '-'}`);
+      return responses.filter(r => !since || new Date(r.submitted_at) >= new Date(since));
+    },
+  };
+}
+
+async function setup() {
+  const db = createMemoryDb();
+  const collections = {
+    answers: db.collection('answers'),
+    responses: db.collection('responses'),
+    syncState: db.collection('sync_state'),
+    forms: db.collection('forms'),
+    syncRuns: db.collection('sync_runs'),
+  };
+  await ensureSyncIndexes(collections, quiet);
+  return collections;
+}
+
+test('a run writes answers, advances the checkpoint and is recorded in sync_runs', async () => {
+  const collections = await setup();
+  const typeform = fakeTypeform([
+    response('r1', '2024-03-01T10:00:00Z', 'Anna'),
+    response('r2', '2024-03-02T10:00:00Z', 'Ben'),
+  ]);
+
+  const first = await runSync({ typeform, collections, log: quiet }, { trigger: 'test', identityConfig });
+  assert.equal(first.status, 'succeeded');
+  assert.equal(first.totals.fetched, 2);
+  assert.equal(await collections.answers.countDocuments({ form_id: 'frm1' }), 2);
+  assert.equal((await collections.syncState.findOne({ form_id: 'frm1' })).last_token, 'r2');
+
+  // The second run only sees the boundary response again and skips it
+  const second = await runSync({ typeform, collections, log: quiet }, { trigger: 'test', identityConfig });
+  assert.equal(second.totals.fetched, 0);
+  assert.ok(typeform.calls.includes('responses frm1 since 2024-03-02T10:00:00Z'));
+
+  const runs = await listSyncRuns(collections.syncRuns);
+  assert.equal(runs.length, 2);
+  assert.deepEqual(runs.map(r => r.status), ['succeeded', 'succeeded']);
+  assert.equal(runs[0].trigger, 'test');
+  assert.equal(runs[0].forms[0].form_id, 'frm1');
+  assert.ok(runs[0].finished_at instanceof Date);
+  assert.equal(await collections.syncRuns.countDocuments({ status: 'running' }), 0);
+});
+
+test('a second run is refused with 409 while another one holds the lock', async () => {
+  const collections = await setup();
+  await collections.syncRuns.insertOne({ status: 'running', trigger: 'daemon', started_at: new Date(), heartbeat_at: new Date(), forms: [] });
+  const typeform = fakeTypeform([response('r1', '2024-03-01T10:00:00Z', 'Anna')]);
+
+  await assert.rejects(runSync({ typeform, collections, log: quiet }, { trigger: 'api', identityConfig }), err => {
+    assert.equal(err.status, 409);
+    assert.equal(err.code, 'SYNC_RUNNING');
+    assert.equal(err.run.trigger, 'daemon');
+    return true;
+  });
+  assert.deepEqual(typeform.calls, []);
+  assert.equal(await collections.answers.countDocuments({}), 0);
+});
+
+test('of two runs started together only one gets the lock', async () => {
+  const collections = await setup();
+  const typeform = fakeTypeform([response('r1', '2024-03-01T10:00:00Z', 'Anna')]);
+
+  const outcomes = await Promise.allSettled([
+    runSync({ typeform, collections, log: quiet }, { trigger: 'cli', identityConfig }),
+    runSync({ typeform, collections, log: quiet }, { trigger: 'api', identityConfig }),
+  ]);
+  assert.equal(outcomes.filter(o => o.status === 'fulfilled').length, 1);
+  const refused = outcomes.find(o => o.status === 'rejected');
+  assert.equal(refused.reason.code, 'SYNC_RUNNING');
+  assert.equal(await collections.syncRuns.countDocuments({}), 1);
+});
+
+test('a run whose heartbeat stopped is marked abandoned and the new run takes over', async () => {
+  const collections = await setup();
+  const longAgo = new Date(Date.now() - 60 * 60 * 1000);
+  const { insertedId } = await collections.syncRuns.insertOne({ status: 'running', trigger: 'cli', started_at: longAgo, heartbeat_at: longAgo, forms: [] });
+  const typeform = fakeTypeform([response('r1', '2024-03-01T10:00:00Z', 'Anna')]);
+
+  const result = await runSync({ typeform, collections, log: quiet }, { trigger: 'api', identityConfig });
+  assert.equal(result.status, 'succeeded');
+  const stale = await collections.syncRuns.findOne({ _id: insertedId });
+  assert.equal(stale.status, 'abandoned');
+  assert.ok(stale.finished_at instanceof Date);
+});
+
+test('dry runs neither take the lock nor write', async () => {
+  const collections = await setup();
+  await collections.syncRuns.insertOne({ status: 'running', trigger: 'daemon', started_at: new Date(), heartbeat_at: new Date(), forms: [] });
+  const typeform = fakeTypeform([response('r1', '2024-03-01T10:00:00Z', 'Anna')]);
+
+  const result = await runSync({ typeform, collections, log: quiet }, { dryRun: true, identityConfig });
+  assert.equal(result.run_id, null);
+  assert.equal(result.totals.built, 1);
+  assert.equal(await collections.answers.countDocuments({}), 0);
+  assert.equal(await collections.syncState.countDocuments({}), 0);
+});
+
+test('a throwing onStart callback still finishes the run and releases the lock', async () => {
+  const collections = await setup();
+  const typeform = fakeTypeform([response('r1', '2024-03-01T10:00:00Z', 'Anna')]);
+  let started = null;
+
+  await assert.rejects(runSync({ typeform, collections, log: quiet }, {
+    identityConfig,
+    onStart(runId) {
+      started = runId;
+      throw new Error('response already sent');
+    },
+  }), /response already sent/);
+  const run = await collections.syncRuns.findOne({ _id: started });
+  assert.equal(run.status, 'failed');
+  assert.equal(run.error, 'response already sent');
+  assert.equal((await runSync({ typeform, collections, log: quiet }, { identityConfig })).status, 'succeeded');
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isNewerThanCheckpoint, latestCheckpoint } = require('../lib/sync');
+
+const state = { last_submitted_at: '2024-03-01T10:00:00Z', last_token: 'r1' };
+
+test('without a checkpoint every response is new', () => {
+  assert.equal(isNewerThanCheckpoint({ token: 'r1', submitted_at: '2020-01-01T00:00:00Z' }, null), true);
+  assert.equal(isNewerThanCheckpoint({ token: 'r1', submitted_at: '2020-01-01T00:00:00Z' }, {}), true);
+});
+
+test('responses are compared with the checkpoint by submitted_at', () => {
+  assert.equal(isNewerThanCheckpoint({ token: 'r2', submitted_at: '2024-03-01T10:00:01Z' }, state), true);
+  assert.equal(isNewerThanCheckpoint({ token: 'r0', submitted_at: '2024-03-01T09:59:59Z' }, state), false);
+  // The checkpoint response, its time written with an offset
+  assert.equal(isNewerThanCheckpoint({ token: 'r1', submitted_at: '2024-03-01T11:00:00+01:00' }, state), false);
+});
+
+test('the boundary response Typeform returns again is skipped, others at the same time are not', () => {
+  assert.equal(isNewerThanCheckpoint({ token: 'r1', submitted_at: '2024-03-01T10:00:00Z' }, state), false);
+  assert.equal(isNewerThanCheckpoint({ response_id: 'r1', submitted_at: '2024-03-01T10:00:00Z' }, state), false);
+  assert.equal(isNewerThanCheckpoint({ token: 'r5', submitted_at: '2024-03-01T10:00:00Z' }, state), true);
+});
+
+test('responses without submitted_at are always processed', () => {
+  assert.equal(isNewerThanCheckpoint({ token: 'r9' }, state), true);
+});
+
+test('latestCheckpoint keeps the newest submitted response', () => {
+  const responses = [
+    { token: 'a', submitted_at: '2024-03-02T00:00:00Z' },
+    { token: 'b', submitted_at: '2024-03-03T00:00:00Z' },
+    { token: 'c' },
+    { token: 'd', submitted_at: '2024-02-01T00:00:00Z' },
+  ];
+  assert.deepEqual(latestCheckpoint(responses, state), { submitted_at: '2024-03-03T00:00:00Z', token: 'b' });
+});
+
+test('latestCheckpoint does not move backwards', () => {
+  const older = [{ token: 'x', submitted_at: '2024-01-01T00:00:00Z' }];
+  assert.deepEqual(latestCheckpoint(older, state), { submitted_at: state.last_submitted_at, token: 'r1' });
+  assert.equal(latestCheckpoint([], null), null);
+  assert.equal(latestCheckpoint([{ token: 'c' }], null), null);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createTypeformClient } = require('../lib/typeform');
+const { mapWithConcurrency } = require('../lib/pool');
+
+// A local stand-in for the Typeform API: `replies` is consumed one entry per request
+async function fakeApi(t, replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const { status = 200, headers = {}, body = {} } = replies.shift() || {};
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { baseURL: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+const fast = { token: 't', baseDelayMs: 1, maxDelayMs: 5, requestsPerSecond: 0 };
+
+test('429 and 5xx responses are retried', async t => {
+  const api = await fakeApi(t, [
+    { status: 429, headers: { 'Retry-After': '0' } },
+    { status: 503 },
+    { body: { items: [{ id: 'a', title: 'A' }], page_count: 1 } },
+  ]);
+  const retries = [];
+  const typeform = createTypeformClient({ ...fast, baseURL: api.baseURL, onRetry: r => retries.push(r.status) });
+  assert.deepEqual(await typeform.fetchAllForms(), [{ id: 'a', title: 'A' }]);
+  assert.deepEqual(retries, [429, 503]);
+  assert.equal(api.requests.length, 3);
+});
+
+test('client errors are not retried and retries are bounded', async t => {
+  const api = await fakeApi(t, [{ status: 404 }, { status: 500 }, { status: 500 }, { status: 500 }]);
+  const typeform = createTypeformClient({ ...fast, baseURL: api.baseURL, maxRetries: 2 });
+  await assert.rejects(typeform.fetchAllForms(), err => err.response.status === 404);
+  assert.equal(api.requests.length, 1);
+  await assert.rejects(typeform.fetchAllForms(), err => err.response.status === 500);
+  assert.equal(api.requests.length, 4);
+});
+
+test('responses are paged oldest first and stop at the limit', async t => {
+  const api = await fakeApi(t, [
+    { body: { items: [{ token: 'r1' }, { token: 'r2' }], page_count: 3 } },
+    { body: { items: [{ token: 'r3' }, { token: 'r4' }], page_count: 3 } },
+  ]);
+  const typeform = createTypeformClient({ ...fast, baseURL: api.baseURL });
+  const items = await typeform.fetchAllResponses('frm', { since: '2024-01-01T00:00:00Z', limit: 3 });
+  assert.deepEqual(items.map(r => r.token), ['r1', 'r2', 'r3']);
+  assert.equal(api.requests.length, 2);
+  const first = new URL(api.requests[0], api.baseURL).searchParams;
+  assert.equal(first.get('sort'), 'submitted_at,asc');
+  assert.equal(first.get('since'), '2024-01-01T00:00:00Z');
+});
+
+test('mapWithConcurrency keeps the input order and the concurrency cap', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    running -= 1;
+    return i;
+  });
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(peak, 2);
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { computeSignature, verifySignature, ingestDelivery } = require('../lib/webhook');
+const { buildFieldMap, buildAnswerDocs } = require('../lib/answers');
+const { openSinks } = require('../lib/sinks');
+const { loadIdentityConfig } = require('../lib/identity');
+const { createMemoryDb } = require('./helpers/memory-db');
+
+const secret = 'whsec';
+const body = Buffer.from('{"event_id":"e1","event_type":"form_response"}');
+
+test('deliveries are verified against the raw body', () => {
+  const header = computeSignature(body, secret);
+  assert.match(header, /^sha256=/);
+  assert.equal(verifySignature(body, header, secret), true);
+  assert.equal(verifySignature(body, ` ${header} `, secret), true);
+  // Re-serialized JSON is not what Typeform signed
+  assert.equal(verifySignature(Buffer.from('{"event_id": "e1", "event_type": "form_response"}'), header, secret), false);
+  assert.equal(verifySignature(body, header, 'other'), false);
+});
+
+test('missing or malformed signatures are rejected', () => {
+  assert.equal(verifySignature(body, undefined, secret), false);
+  assert.equal(verifySignature(body, 'sha256=abc', secret), false);
+  assert.equal(verifySignature(body, computeSignature(body, secret), ''), false);
+  assert.equal(verifySignature(null, computeSignature(body, secret), secret), false);
+});
+
+test('a delivery maps to the same documents as the Responses API item', () => {
+  const fields = [
+    { id: 'f_mc', type: 'multiple_choice', title: 'Lieblingsfarbe', choices: [{ id: 'c1', label: 'Rot' }, { id: 'c2', label: 'Blau' }] },
+    { id: 'f_mail', type: 'email', title: 'E-Mail' },
+  ];
+  // The Forms API nests choices in properties, webhook payloads carry them on the field
+  const apiDefinition = { id: 'frm', fields: fields.map(({ choices, ...f }) => (choices ? { ...f, properties: { choices } } : f)) };
+  const answers = [
+    { field: { id: 'f_mc', type: 'multiple_choice' }, type: 'choice', choice: { id: 'c2' } },
+    { field: { id: 'f_mail', type: 'email' }, type: 'email', email: 'anna@example.org' },
+  ];
+  const item = { token: 'r1', submitted_at: '2024-05-02T08:00:00Z', answers };
+  const formResponse = { form_id: 'frm', ...item, definition: { id: 'frm', fields } };
+
+  const fromApi = buildAnswerDocs('frm', buildFieldMap(apiDefinition), item);
+  const fromWebhook = buildAnswerDocs('frm', buildFieldMap(formResponse.definition), formResponse);
+  assert.deepEqual(fromWebhook, fromApi);
+  assert.equal(fromWebhook[0].antwort, 'Blau');
+  assert.equal(fromWebhook[0].frage, 'Lieblingsfarbe');
+});
+
+test('deliveries are written through every sink and archived once per event', async t => {
+  const db = createMemoryDb();
+  const collections = {
+    answers: db.collection('answers'),
+    responses: db.collection('responses'),
+    forms: db.collection('forms'),
+    webhookEvents: db.collection('webhook_events'),
+    responseArchive: db.collection('response_archive'),
+  };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const sink = await openSinks(['mongo', `jsonl:${dir}`], { collections, log: { log() {} } });
+  const ctx = { collections, sink, identityConfig: loadIdentityConfig() };
+  const delivery = {
+    event_id: 'e1',
+    event_type: 'form_response',
+    form_response: {
+      form_id: 'frm',
+      token: 'r1',
+      submitted_at: '2024-05-02T08:00:00Z',
+      definition: { id: 'frm', title: 'Umfrage', fields: [{ id: 'f_name', type: 'short_text', title: 'Name' }] },
+      answers: [{ field: { id: 'f_name', type: 'short_text' }, type: 'text', text: 'Anna' }],
+    },
+  };
+
+  const result = await ingestDelivery(ctx, delivery);
+  assert.equal(result.form_id, 'frm');
+  assert.equal(result.response_id, 'r1');
+  assert.deepEqual(await ingestDelivery(ctx, delivery), { duplicate: true });
+  assert.deepEqual(await ingestDelivery(ctx, { event_type: 'form_ping' }), { ignored: true });
+  await assert.rejects(ingestDelivery(ctx, { event_id: 'e2', event_type: 'form_response', form_response: { token: 'r2' } }), { status: 400 });
+  await sink.close();
+
+  const read = file => fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual((await collections.answers.find({}).toArray()).map(d => [d.id, d.antwort]), [['frm_r1_f_name', 'Anna']]);
+  assert.deepEqual(read('answers.jsonl').map(d => [d.id, d.antwort]), [['frm_r1_f_name', 'Anna']]);
+  assert.deepEqual(read('responses.jsonl').map(d => d.response_id), ['r1']);
+  assert.deepEqual(read('forms.jsonl').map(d => [d.form_id, d.title]), [['frm', 'Umfrage']]);
+  // The mongo sink got the forms collection, as server.js does with MONGODB_COLLECTION_FORMS set
+  assert.equal(await collections.forms.countDocuments({}), 1);
+  assert.equal(await collections.responseArchive.countDocuments({}), 1);
+  assert.equal(await collections.webhookEvents.countDocuments({ event_id: 'e1' }), 1);
+});
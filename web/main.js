@@ -1,37 +1,137 @@
 async function api(path){
   const res = await fetch(path);
+  if(res.status === 401){ location.href = '/login.html'; throw new Error('Authentication required'); }
   if(!res.ok) throw new Error(await res.text());
   return res.json();
 }
 
+async function loadWhoami(){
+  const me = await api('/auth/me');
+  document.getElementById('whoami').textContent = `${me.name} (${me.role})${me.pii ? '' : ' • Emails und Freitexte maskiert'}`;
+  myRole = me.role;
+  if (me.role === 'admin') document.getElementById('startSync').classList.remove('hidden');
+}
+document.getElementById('logout').addEventListener('click', async ()=>{
+  await fetch('/auth/logout', { method: 'POST' });
+  location.href = '/login.html';
+});
+
 const formsList = document.getElementById('formsList');
 const respDiv = document.getElementById('responses');
 const ansDiv = document.getElementById('answers');
 const relDiv = document.getElementById('related');
 const formTitleById = {};
 const chiffresDiv = document.getElementById('chiffres');
+const dashDiv = document.getElementById('dashboard');
+let dashboardFormId = null;
+let dashboardQuestionId = null; // set while the dashboard compares one question across forms
+let myRole = null; // from /auth/me; analysts and admins may edit the question catalogue
+let reloadResponses = null; // re-runs the current Responses list when the date range changes
+
+// Renders a cursor-paginated list: fetches url, appends items, offers "Mehr laden" while the API returns next
+async function pagedList(container, url, renderItem){
+  container.innerHTML = '';
+  const list = document.createElement('ul');
+  const more = document.createElement('button'); more.textContent = 'Mehr laden'; more.className = 'small';
+  container.appendChild(list);
+  async function load(next){
+    const sep = url.includes('?') ? '&' : '?';
+    const data = await api(url + (next ? `${sep}next=${encodeURIComponent(next)}` : ''));
+    data.items.forEach(item=> list.appendChild(renderItem(item, data)));
+    if (data.next) { more.onclick = ()=> load(data.next); container.appendChild(more); }
+    else more.remove();
+  }
+  await load(null);
+}
+
+// from/to date pickers of the Responses column as query string (starting with & or empty)
+function dateRangeParams(){
+  const params = new URLSearchParams();
+  const from = document.getElementById('fromDate').value;
+  const to = document.getElementById('toDate').value;
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  const qs = params.toString();
+  return qs ? `&${qs}` : '';
+}
 
 async function loadForms(q=''){
-  const data = await api('/api/forms'+(q?`?q=${encodeURIComponent(q)}`:''));
-  formsList.innerHTML = '';
-  data.items.forEach(f=>{
-  if (f.form_id) formTitleById[f.form_id] = f.title || f.form_id;
+  const params = new URLSearchParams();
+  if (q) params.set('q', q);
+  if (accountFilter.value) params.set('account', accountFilter.value);
+  if (workspaceFilter.value) params.set('workspace', workspaceFilter.value);
+  const qs = params.toString();
+  await pagedList(formsList, '/api/forms'+(qs?`?${qs}`:''), f=>{
+    if (f.form_id) formTitleById[f.form_id] = f.title || f.form_id;
+    addSearchFormOption(f.form_id);
     const li = document.createElement('li');
     const a = document.createElement('a');
     a.href = '#';
     a.textContent = `${f.form_id} — ${f.title ?? ''}`;
     a.onclick = (e)=>{e.preventDefault(); loadResponses(f.form_id)};
+    const exp = document.createElement('button'); exp.textContent = 'Export'; exp.className = 'small';
+    exp.title = 'Eine Zeile pro Response, eine Spalte pro Frage';
+    exp.onclick = ()=> exportForm(f.form_id);
+    const dash = document.createElement('button'); dash.textContent = 'Dashboard'; dash.className = 'small';
+    dash.onclick = ()=> loadDashboard(f.form_id);
+    const vers = document.createElement('button'); vers.textContent = 'Versionen'; vers.className = 'small';
+    vers.title = 'Änderungen an Fragen, Optionen, Logik und Einstellungen';
+    vers.onclick = ()=> openVersionsModal(f.form_id);
     li.appendChild(a);
-    formsList.appendChild(li);
+    if (f.account) {
+      const origin = document.createElement('span'); origin.className = 'pill';
+      origin.textContent = f.workspace ? `${f.account} / ${f.workspace}` : f.account;
+      li.appendChild(origin);
+    }
+    li.appendChild(exp); li.appendChild(dash); li.appendChild(vers);
+    return li;
   });
 }
 
+// Konto/Workspace filters of the forms list; only shown once forms carry an account (see GET /api/accounts)
+const accountFilter = document.getElementById('accountFilter');
+const workspaceFilter = document.getElementById('workspaceFilter');
+let accountsData = [];
+
+function fillWorkspaces(){
+  const selected = accountsData.filter(a=> !accountFilter.value || a.account === accountFilter.value);
+  workspaceFilter.innerHTML = '<option value="">Alle Workspaces</option>';
+  selected.forEach(a=> a.workspaces.forEach(w=>{
+    if (!w.workspace_id) return;
+    const opt = document.createElement('option');
+    opt.value = w.workspace_id;
+    opt.textContent = `${w.workspace || w.workspace_id}${accountFilter.value ? '' : ` (${a.account})`} • ${w.forms}`;
+    workspaceFilter.appendChild(opt);
+  }));
+}
+
+async function loadAccounts(){
+  accountsData = (await api('/api/accounts')).items;
+  if (!accountsData.length) return;
+  accountsData.forEach(a=>{
+    const opt = document.createElement('option');
+    opt.value = a.account; opt.textContent = `${a.account} • ${a.forms}`;
+    accountFilter.appendChild(opt);
+  });
+  fillWorkspaces();
+  document.getElementById('accountFilters').classList.remove('hidden');
+}
+accountFilter.addEventListener('change', ()=>{ fillWorkspaces(); loadForms(formFilter.value.trim()); });
+workspaceFilter.addEventListener('change', ()=> loadForms(formFilter.value.trim()));
+
+// Download via a plain link: the server streams the file, so nothing is buffered in the browser
+function exportForm(formId){
+  const format = document.getElementById('exportFormat').value;
+  const link = document.createElement('a');
+  link.href = `/api/forms/${encodeURIComponent(formId)}/export?format=${encodeURIComponent(format)}`;
+  link.download = `${formId}.${format}`;
+  document.body.appendChild(link); link.click(); link.remove();
+}
+
 async function loadResponses(formId){
-  const data = await api(`/api/forms/${encodeURIComponent(formId)}/responses`);
-  respDiv.innerHTML = '';
-  const list = document.createElement('ul');
+  reloadResponses = ()=> loadResponses(formId);
   const formTitle = formTitleById[formId] || formId;
-  data.items.forEach(r=>{
+  await pagedList(respDiv, `/api/forms/${encodeURIComponent(formId)}/responses?limit=100${dateRangeParams()}`, r=>{
     const li = document.createElement('li');
     const a = document.createElement('a'); a.href='#';
     const displayChiffre = r.chiffre || r.email || '—';
@@ -41,9 +141,8 @@ async function loadResponses(formId){
     meta.className = 'muted';
     meta.textContent = ` • ${r.datum || ''} • ${r.email || ''} • ${r.count} Antworten`;
     li.appendChild(a); li.appendChild(meta);
-    list.appendChild(li);
+    return li;
   });
-  respDiv.appendChild(list);
 }
 
 async function loadResponse(responseId){
@@ -55,7 +154,7 @@ async function loadResponse(responseId){
     const card = document.createElement('div');
     card.className = 'card';
     const row = document.createElement('div'); row.className = 'row';
-    const q = document.createElement('div'); q.innerHTML = `<strong>${escapeHtml(a.frage||'')}</strong>`;
+    const q = document.createElement('div'); q.innerHTML = `<strong>${escapeHtml(questionLabel(a))}</strong>`;
     const btn = document.createElement('button'); btn.textContent = 'Andere Antworten';
     btn.onclick = ()=> openRelatedModal(a);
     row.appendChild(q); row.appendChild(btn);
@@ -67,12 +166,12 @@ async function loadResponse(responseId){
 }
 
 async function openRelatedModal(original){
-  const data = await api(`/api/answers/related?form_id=${encodeURIComponent(original.form_id)}&field_id=${encodeURIComponent(original.field_id)}&exclude_response_id=${encodeURIComponent(original.response_id)}`);
+  const data = await api(`/api/answers/related?form_id=${encodeURIComponent(original.form_id)}&field_id=${encodeURIComponent(original.field_id)}&exclude_response_id=${encodeURIComponent(original.response_id)}&across_forms=true`);
   const modal = document.getElementById('modal');
   const content = document.getElementById('modalContent');
   content.innerHTML = '';
   const title = document.createElement('div');
-  title.innerHTML = `<h3>${escapeHtml(original.frage||'')}</h3>`;
+  title.innerHTML = `<h3>${escapeHtml(questionLabel(original))}</h3>`;
   const orig = document.createElement('div');
   orig.className = 'original';
   orig.textContent = original.antwort ?? '—';
@@ -87,9 +186,105 @@ async function openRelatedModal(original){
   content.appendChild(title);
   content.appendChild(orig);
   content.appendChild(list);
+  // Same question in other forms (question catalogue): one column per form
+  if (data.question && data.forms.length > 1) {
+    const h4 = document.createElement('h4');
+    h4.textContent = `In ${data.forms.length} Formularen gefragt${data.question.status === 'suggested' ? ' (Vorschlag)' : ''}`;
+    const grid = document.createElement('div'); grid.className = 'compare';
+    data.forms.forEach(f=>{
+      const col = document.createElement('div');
+      col.className = f.form_id === original.form_id && f.field_id === original.field_id ? 'card original' : 'card';
+      col.innerHTML = `<strong>${escapeHtml(f.title || formTitleById[f.form_id] || f.form_id)}</strong><div class="muted">${escapeHtml(f.frage || f.field_id)} • ${f.total} Antworten</div>`;
+      const ul = document.createElement('ul');
+      f.items.slice(0, 10).forEach(x=>{
+        const li = document.createElement('li');
+        li.textContent = `${x.antwort ?? '—'} `;
+        const pill = document.createElement('span'); pill.className='pill'; pill.textContent = `${x.count}`; li.appendChild(pill);
+        ul.appendChild(li);
+      });
+      col.appendChild(ul);
+      grid.appendChild(col);
+    });
+    content.appendChild(h4);
+    content.appendChild(grid);
+  }
   showModal();
 }
 
+// Form versions: when the definition changed and what changed, newest first
+async function openVersionsModal(formId){
+  const content = document.getElementById('modalContent');
+  content.innerHTML = '<p class="muted">Lade…</p>';
+  showModal();
+  let data;
+  try {
+    data = await api(`/api/forms/${encodeURIComponent(formId)}/versions`);
+  } catch (_) {
+    content.innerHTML = '<p class="muted">Für dieses Formular ist noch keine Version archiviert.</p>';
+    return;
+  }
+  content.innerHTML = `<h3>${escapeHtml(formTitleById[formId] || formId)} — Versionen</h3>`;
+  // A form changed back to an earlier version lists that version again; the newest entry is the current one
+  const currentIndex = data.items.findIndex(v=> v.version === data.current);
+  data.items.forEach((v, i)=>{
+    const current = i === currentIndex;
+    const card = document.createElement('div'); card.className = current ? 'card original' : 'card';
+    const seen = d=> d ? new Date(d).toLocaleString('de-DE') : '?';
+    const head = document.createElement('div');
+    head.innerHTML = `<strong>${escapeHtml(v.version)}</strong> <span class="muted">• ab ${escapeHtml(seen(v.changed_at))} • zuletzt gesehen ${escapeHtml(seen(v.last_seen_at))} • ${v.fields} Felder${current ? ' • aktuell' : ''}</span>`;
+    card.appendChild(head);
+    const lines = v.diff ? describeDiff(v.diff) : ['Erste archivierte Version'];
+    if (v.diff && v.changed_at && v.first_seen_at && new Date(v.changed_at) > new Date(v.first_seen_at)) lines.unshift('Zurück zu einer früheren Version');
+    if (!lines.length) lines.push('Keine Änderung an Fragen, Logik oder Einstellungen');
+    lines.forEach(text=>{
+      const row = document.createElement('div'); row.className = 'muted';
+      row.textContent = text;
+      card.appendChild(row);
+    });
+    content.appendChild(card);
+  });
+}
+
+function describeDiff(d){
+  const lines = [];
+  const name = f=> f.title || f.id;
+  if (d.title) lines.push(`Titel: „${d.title.from}“ → „${d.title.to}“`);
+  d.added.forEach(f=> lines.push(`+ ${name(f)} (${f.type})`));
+  d.removed.forEach(f=> lines.push(`− ${name(f)} (${f.type})`));
+  d.changed.forEach(f=>{
+    const c = f.changes;
+    const parts = [];
+    if (c.title) parts.push(`Text „${c.title.from}“ → „${c.title.to}“`);
+    if (c.type) parts.push(`Typ ${c.type.from} → ${c.type.to}`);
+    if (c.required) parts.push(c.required.to ? 'jetzt Pflichtfeld' : 'kein Pflichtfeld mehr');
+    if (c.ref) parts.push('ref geändert');
+    if (c.group_id) parts.push('in andere Gruppe verschoben');
+    if (c.choices) {
+      if (c.choices.added.length) parts.push(`neue Optionen: ${c.choices.added.join(', ')}`);
+      if (c.choices.removed.length) parts.push(`entfernte Optionen: ${c.choices.removed.join(', ')}`);
+      c.choices.renamed.forEach(r=> parts.push(`Option „${r.from}“ → „${r.to}“`));
+      if (c.choices.reordered) parts.push('Reihenfolge der Optionen');
+    }
+    if (c.properties) parts.push(`Eigenschaften: ${c.properties.join(', ')}`);
+    if (c.validations) parts.push(`Validierung: ${c.validations.join(', ')}`);
+    lines.push(`~ ${name(f)}: ${parts.join('; ')}`);
+  });
+  if (d.order_changed) lines.push('Reihenfolge der Fragen geändert');
+  const hidden = [...d.hidden.added.map(h=> `+${h}`), ...d.hidden.removed.map(h=> `−${h}`)];
+  if (hidden.length) lines.push(`Hidden Fields: ${hidden.join(', ')}`);
+  if (d.variables_changed) lines.push('Variablen geändert');
+  if (d.logic_changed) lines.push('Logik geändert');
+  if (d.settings_changed.length) lines.push(`Einstellungen: ${d.settings_changed.join(', ')}`);
+  if (d.screens_changed) lines.push('Start- oder Endseiten geändert');
+  return lines;
+}
+
+// "Group › Question" for answers inside question groups and matrices
+function questionLabel(a){
+  if (a.gruppe && Array.isArray(a.pfad)) return a.pfad.filter(Boolean).join(' › ');
+  return a.frage || '';
+}
+
 function escapeHtml(text){
   const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
   return String(text).replace(/[&<>"']/g, m => map[m]);
@@ -101,24 +296,67 @@ searchForm.addEventListener('submit', async (e)=>{
   e.preventDefault();
   const q = document.getElementById('q').value.trim();
   if(!q){ loadForms(''); respDiv.innerHTML=''; ansDiv.innerHTML=''; relDiv.innerHTML=''; return; }
-  const data = await api(`/api/search?q=${encodeURIComponent(q)}`);
-  respDiv.innerHTML=''; ansDiv.innerHTML=''; relDiv.innerHTML='';
-  const list = document.createElement('ul');
-  data.items.forEach(r=>{
+  ansDiv.innerHTML=''; relDiv.innerHTML='';
+  await searchResponses(q);
+});
+
+const searchFormId = document.getElementById('searchFormId');
+function addSearchFormOption(formId){
+  if (!formId || [...searchFormId.options].some(o=> o.value === formId)) return;
+  const opt = document.createElement('option');
+  opt.value = formId; opt.textContent = formTitleById[formId] || formId;
+  searchFormId.appendChild(opt);
+}
+
+// Appends text to el with every occurrence of the search terms wrapped in <mark> (no innerHTML)
+function appendHighlighted(el, text, terms){
+  const escaped = (terms || []).map(t=> t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).filter(Boolean);
+  if (!escaped.length) { el.appendChild(document.createTextNode(text)); return; }
+  const re = new RegExp(`(${escaped.join('|')})`, 'gi');
+  String(text).split(re).forEach((part, i)=>{
+    if (i % 2) { const m = document.createElement('mark'); m.textContent = part; el.appendChild(m); }
+    else if (part) el.appendChild(document.createTextNode(part));
+  });
+}
+
+async function searchResponses(q){
+  reloadResponses = ()=> searchResponses(q);
+  const form = searchFormId.value ? `&form=${encodeURIComponent(searchFormId.value)}` : '';
+  await pagedList(respDiv, `/api/search?q=${encodeURIComponent(q)}&limit=50${form}${dateRangeParams()}`, (r, data)=>{
     const li = document.createElement('li');
     const a = document.createElement('a'); a.href='#';
-    a.textContent = `${r.form_id} - ${r.response_id}`;
+    a.textContent = `${formTitleById[r.form_id] || r.form_id} - ${r.response_id}`;
     a.onclick = (e)=>{e.preventDefault(); loadResponse(r.response_id)};
     const meta = document.createElement('span'); meta.className='muted'; meta.textContent = ` • ${r.datum||''} • ${r.email||''} ${r.chiffre?`• ${r.chiffre}`:''}`;
     li.appendChild(a); li.appendChild(meta);
-    list.appendChild(li);
+    if (r.match === 'identifier') {
+      const pill = document.createElement('span'); pill.className = 'pill'; pill.textContent = 'Treffer: ID/Chiffre/Email';
+      li.appendChild(pill);
+    }
+    (r.snippets || []).forEach(s=>{
+      const div = document.createElement('div'); div.className = 'snippet';
+      const frage = document.createElement('div'); frage.className = 'muted';
+      appendHighlighted(frage, s.frage || s.field_id || '', data.terms);
+      const antwort = document.createElement('div');
+      appendHighlighted(antwort, s.antwort ?? '', data.terms);
+      div.appendChild(frage); div.appendChild(antwort);
+      li.appendChild(div);
+    });
+    return li;
   });
-  respDiv.appendChild(list);
+}
+searchFormId.addEventListener('change', ()=>{
+  const q = document.getElementById('q').value.trim();
+  if (q) searchResponses(q);
 });
 
+['fromDate','toDate'].forEach(id=> document.getElementById(id).addEventListener('change', ()=>{ if (reloadResponses) reloadResponses(); }));
+
 const formFilter = document.getElementById('formFilter');
 formFilter.addEventListener('input', ()=> loadForms(formFilter.value.trim()));
 
+loadWhoami();
+loadAccounts();
 loadForms('');
 
 // modal helpers
@@ -137,37 +375,488 @@ document.addEventListener('click', (e)=>{
   if(e.target.classList.contains('modal-close') || e.target === modal){ hideModal(); }
 });
 
+// Dashboard: per-question charts (plain HTML/SVG, no chart library)
+async function loadDashboard(formId){
+  dashboardFormId = formId;
+  dashboardQuestionId = null;
+  const bucket = document.getElementById('dashboardBucket').value;
+  dashDiv.innerHTML = '<p class="muted">Lade…</p>';
+  const data = await api(`/api/forms/${encodeURIComponent(formId)}/analytics?bucket=${encodeURIComponent(bucket)}`);
+  dashDiv.innerHTML = '';
+  const head = document.createElement('div');
+  head.innerHTML = `<strong>${escapeHtml(formTitleById[formId] || formId)}</strong> <span class="muted">• ${data.responses} Responses</span>`;
+  dashDiv.appendChild(head);
+  dashDiv.appendChild(renderTimeline(data.timeline));
+  data.fields.forEach(f=>{
+    const card = document.createElement('div'); card.className = 'card';
+    const row = document.createElement('div'); row.className = 'row';
+    const title = document.createElement('div');
+    title.innerHTML = `<strong>${escapeHtml(questionLabel(f))}</strong> <span class="muted">• ${escapeHtml(f.answer_type || '')} • ${f.count} Antworten</span>`;
+    const other = document.createElement('button'); other.textContent = 'Andere Formulare'; other.className = 'small';
+    other.onclick = ()=> compareField(formId, f.field_id, card);
+    row.appendChild(title); row.appendChild(other);
+    card.appendChild(row);
+    renderFieldStats(card, f);
+    dashDiv.appendChild(card);
+  });
+}
+
+// Statistics of one field (lib/analytics.js): NPS, numeric stats, choices, ranking
+function renderFieldStats(card, f){
+  if (f.nps) {
+    const n = document.createElement('div');
+    n.textContent = `NPS ${f.nps.score} (Promotoren ${f.nps.promoters}, Passive ${f.nps.passives}, Kritiker ${f.nps.detractors})`;
+    card.appendChild(n);
+  }
+  if (f.stats) {
+    const st = document.createElement('div'); st.className = 'muted';
+    st.textContent = `Ø ${f.stats.mean.toFixed(2)} • Median ${f.stats.median} • P25 ${f.stats.p25} • P75 ${f.stats.p75} • P90 ${f.stats.p90} • Min ${f.stats.min} • Max ${f.stats.max}`;
+    card.appendChild(st);
+    card.appendChild(renderBars(f.stats.distribution.map(d=>({ label: String(d.value), count: d.count }))));
+  }
+  if (f.choices) card.appendChild(renderBars(f.choices));
+  if (f.ranking) {
+    card.appendChild(renderBars(f.ranking.map(r=>({ label: `${r.label} (Ø Rang ${r.avg_rank.toFixed(1)})`, count: r.count }))));
+  }
+}
+
+function renderBars(items){
+  const max = Math.max(1, ...items.map(i=>i.count));
+  const list = document.createElement('div'); list.className = 'bars';
+  items.forEach(i=>{
+    const row = document.createElement('div'); row.className = 'bar-row';
+    const label = document.createElement('span'); label.className = 'bar-label'; label.textContent = i.label ?? '—';
+    const bar = document.createElement('span'); bar.className = 'bar'; bar.style.width = `${Math.round(i.count / max * 100)}%`;
+    const count = document.createElement('span'); count.className = 'pill'; count.textContent = `${i.count}`;
+    row.appendChild(label); row.appendChild(bar); row.appendChild(count);
+    list.appendChild(row);
+  });
+  return list;
+}
+
+function renderTimeline(points){
+  const wrap = document.createElement('div'); wrap.className = 'card';
+  if (!points.length) { wrap.textContent = 'Keine Responses im Zeitraum.'; return wrap; }
+  const w = 300, h = 80, max = Math.max(1, ...points.map(p=>p.count));
+  const step = w / points.length;
+  const bars = points.map((p,i)=>{
+    const bh = Math.round(p.count / max * (h - 4));
+    return `<rect x="${(i*step).toFixed(1)}" y="${h-bh}" width="${Math.max(1, step-1).toFixed(1)}" height="${bh}"><title>${escapeHtml(p.bucket)}: ${p.count}</title></rect>`;
+  }).join('');
+  wrap.innerHTML = `<div class="muted">Responses pro ${escapeHtml(document.getElementById('dashboardBucket').selectedOptions[0].textContent)}: ${escapeHtml(points[0].bucket)} – ${escapeHtml(points[points.length-1].bucket)}</div><svg class="timeline" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none">${bars}</svg>`;
+  return wrap;
+}
+document.getElementById('dashboardBucket').addEventListener('change', ()=>{
+  if (dashboardQuestionId) loadQuestionComparison(dashboardQuestionId);
+  else if (dashboardFormId) loadDashboard(dashboardFormId);
+});
+
+// Question catalogue: the same question in several forms (lib/questions.js), compared side by side
+async function compareField(formId, fieldId, card){
+  let q;
+  try {
+    q = await api(`/api/forms/${encodeURIComponent(formId)}/fields/${encodeURIComponent(fieldId)}/question`);
+  } catch (_) {
+    const note = document.createElement('div'); note.className = 'muted';
+    note.textContent = 'Diese Frage ist keinem anderen Formular zugeordnet.';
+    card.appendChild(note);
+    return;
+  }
+  await loadQuestionComparison(q.question_id);
+}
+
+async function loadQuestionComparison(questionId){
+  dashboardQuestionId = questionId;
+  const bucket = document.getElementById('dashboardBucket').value;
+  dashDiv.innerHTML = '<p class="muted">Lade…</p>';
+  const data = await api(`/api/questions/${encodeURIComponent(questionId)}/analytics?bucket=${encodeURIComponent(bucket)}`);
+  dashDiv.innerHTML = '';
+  const head = document.createElement('div');
+  head.innerHTML = `<strong>${escapeHtml(data.label || questionId)}</strong> <span class="muted">• ${data.forms.length} Formulare${data.status === 'suggested' ? ' • Vorschlag' : ''}</span>`;
+  dashDiv.appendChild(head);
+  const grid = document.createElement('div'); grid.className = 'compare';
+  data.forms.forEach(f=>{
+    const card = document.createElement('div'); card.className = 'card';
+    card.innerHTML = `<strong>${escapeHtml(f.title || formTitleById[f.form_id] || f.form_id)}</strong><div class="muted">${escapeHtml(f.frage || f.field_id)} • ${f.responses} Responses</div>`;
+    if (f.field) renderFieldStats(card, f.field);
+    grid.appendChild(card);
+  });
+  dashDiv.appendChild(grid);
+}
+
+const questionsDiv = document.getElementById('questions');
+const canEditQuestions = ()=> myRole === 'analyst' || myRole === 'admin';
+const fieldRef = f=> ({ form_id: f.form_id, field_id: f.field_id });
+
+function fieldLabel(f){
+  return `${formTitleById[f.form_id] || f.title || f.form_id} — ${f.frage || f.field_id}${f.answers != null ? ` (${f.answers} Antworten)` : ''}`;
+}
+
+async function loadQuestions(){
+  questionsDiv.innerHTML = '<p class="muted">Lade…</p>';
+  const data = await api('/api/questions');
+  questionsDiv.innerHTML = '';
+  const h3c = document.createElement('h3'); h3c.textContent = 'Bestätigte Fragen';
+  questionsDiv.appendChild(h3c);
+  if (!data.items.length) {
+    const none = document.createElement('p'); none.className = 'muted'; none.textContent = 'Noch keine Frage bestätigt.';
+    questionsDiv.appendChild(none);
+  }
+  data.items.forEach(q=> questionsDiv.appendChild(questionCard(q, null)));
+  const h3s = document.createElement('h3'); h3s.textContent = `Vorschläge (${data.suggestions.length})`;
+  questionsDiv.appendChild(h3s);
+  data.suggestions.forEach(s=> questionsDiv.appendChild(questionCard(s, data.items.find(q=> q.question_id === s.question_id) || null)));
+}
+
+// confirmed: the confirmed question a suggestion would extend (same wording, new fields)
+function questionCard(q, confirmed){
+  const card = document.createElement('div'); card.className = q.status === 'suggested' ? 'card warning' : 'card';
+  const title = document.createElement('div');
+  const what = q.extends ? `${q.fields.length} weitere(s) Feld(er)` : `${new Set(q.fields.map(f=> f.form_id)).size} Formulare`;
+  title.innerHTML = `<strong>${escapeHtml(q.label || q.question_id)}</strong> <span class="muted">• ${what}</span>`;
+  const fields = document.createElement('div'); fields.className = 'muted';
+  fields.textContent = q.fields.map(fieldLabel).join(' • ');
+  const row = document.createElement('div');
+  const cmp = document.createElement('button'); cmp.textContent = 'Vergleich'; cmp.className = 'small';
+  cmp.onclick = ()=> loadQuestionComparison(q.question_id);
+  row.appendChild(cmp);
+  if (canEditQuestions()) {
+    if (q.status === 'suggested') {
+      const ok = document.createElement('button'); ok.textContent = 'Bestätigen'; ok.className = 'small';
+      ok.onclick = ()=> saveQuestionEdit(q.question_id, {
+        label: q.label,
+        key: q.key,
+        fields: [...(confirmed?.fields || []), ...q.fields].map(fieldRef),
+        excluded: confirmed?.excluded || [],
+      }).catch(e=> showCardError(card, e));
+      row.appendChild(ok);
+    }
+    const edit = document.createElement('button'); edit.textContent = 'Bearbeiten'; edit.className = 'small';
+    edit.onclick = ()=> openQuestionEditor(q, confirmed);
+    row.appendChild(edit);
+    if (q.status === 'confirmed') {
+      const del = document.createElement('button'); del.textContent = 'Auflösen'; del.className = 'small';
+      del.onclick = async ()=>{
+        if (!confirm(`Zuordnung „${q.label}“ auflösen?`)) return;
+        const res = await fetch(`/api/questions/${encodeURIComponent(q.question_id)}`, { method: 'DELETE' });
+        if (!res.ok) return showCardError(card, new Error(`Auflösen fehlgeschlagen (${res.status})`));
+        await loadQuestions();
+      };
+      row.appendChild(del);
+    }
+  }
+  card.appendChild(title); card.appendChild(fields); card.appendChild(row);
+  return card;
+}
+
+function showCardError(card, e){
+  const err = document.createElement('div'); err.className = 'error';
+  err.textContent = e.message || String(e);
+  card.appendChild(err);
+}
+
+async function saveQuestionEdit(questionId, body){
+  const res = await fetch(`/api/questions/${encodeURIComponent(questionId)}`, {
+    method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(()=> ({}));
+  if (!res.ok) throw new Error(data.error || `Speichern fehlgeschlagen (${res.status})`);
+  await loadQuestions();
+}
+
+// Editor: choose the fields that ask this question; unticked fields are not suggested for it again
+function openQuestionEditor(q, confirmed){
+  const content = document.getElementById('modalContent');
+  content.innerHTML = '<h3>Frage zuordnen</h3>';
+  const label = document.createElement('input'); label.type = 'search'; label.value = q.label || '';
+  const list = document.createElement('ul'); list.className = 'related-list';
+  const boxes = new Map(); // JSON [form_id, field_id] -> { field, input, initial }
+  function addField(f, checked){
+    const id = JSON.stringify([f.form_id, f.field_id]);
+    if (boxes.has(id)) return;
+    const li = document.createElement('li');
+    const lbl = document.createElement('label');
+    const input = document.createElement('input'); input.type = 'checkbox'; input.checked = checked;
+    lbl.appendChild(input); lbl.appendChild(document.createTextNode(` ${fieldLabel(f)}`));
+    li.appendChild(lbl); list.appendChild(li);
+    boxes.set(id, { field: f, input, initial: checked });
+  }
+  [...(confirmed?.fields || []), ...q.fields].forEach(f=> addField(f, true));
+
+  const search = document.createElement('form'); search.className = 'row';
+  const sq = document.createElement('input'); sq.type = 'search'; sq.placeholder = 'Weitere Felder: Frage, form_id oder field_id';
+  const sb = document.createElement('button'); sb.type = 'submit'; sb.textContent = 'Suchen';
+  search.appendChild(sq); search.appendChild(sb);
+  search.onsubmit = async (e)=>{
+    e.preventDefault();
+    const data = await api(`/api/questions/fields?q=${encodeURIComponent(sq.value.trim())}`);
+    data.items.forEach(f=> addField(f, false));
+  };
+
+  const err = document.createElement('p'); err.className = 'error';
+  const save = document.createElement('button'); save.textContent = 'Speichern';
+  save.onclick = async ()=>{
+    const chosen = [...boxes.values()].filter(b=> b.input.checked).map(b=> fieldRef(b.field));
+    const dropped = [...boxes.values()].filter(b=> b.initial && !b.input.checked).map(b=> fieldRef(b.field));
+    try {
+      await saveQuestionEdit(q.question_id, { label: label.value, key: q.key, fields: chosen, excluded: [...(confirmed?.excluded || q.excluded || []), ...dropped] });
+      hideModal();
+    } catch (e) { err.textContent = e.message; }
+  };
+  content.appendChild(label); content.appendChild(list); content.appendChild(search); content.appendChild(save); content.appendChild(err);
+  showModal();
+}
+document.getElementById('loadQuestions').addEventListener('click', loadQuestions);
+
 // Chiffres overview
 async function loadChiffres(){
-  const data = await api('/api/chiffres?limit=500');
-  chiffresDiv.innerHTML = '';
-  const list = document.createElement('ul');
-  data.items.forEach(c=>{
+  await pagedList(chiffresDiv, '/api/chiffres?limit=500', c=>{
     const li = document.createElement('li');
     const a = document.createElement('a'); a.href='#';
     a.textContent = `${c.chiffre}`;
-    a.onclick = async (e)=>{
+    a.onclick = (e)=>{
       e.preventDefault();
       // Search by chiffre and render results in the Responses column
-      const res = await api(`/api/chiffre/${encodeURIComponent(c.chiffre)}`);
-      respDiv.innerHTML = '';
-      const ul = document.createElement('ul');
-      res.items.forEach(r=>{
-        const li2 = document.createElement('li');
-        const a2 = document.createElement('a'); a2.href='#';
-        const title = formTitleById[r.form_id] || r.form_id;
-        a2.textContent = `${title} — ${c.chiffre}`;
-        a2.onclick = (ev)=>{ ev.preventDefault(); loadResponse(r.response_id); };
-        const meta = document.createElement('span'); meta.className='muted'; meta.textContent = ` • ${r.datum||''} • ${r.email||''}`;
-        li2.appendChild(a2); li2.appendChild(meta);
-        ul.appendChild(li2);
-      });
-      respDiv.appendChild(ul);
+      loadChiffreResponses(c.chiffre);
     };
     const meta = document.createElement('span'); meta.className='muted'; meta.textContent = ` • ${c.responsesCount} Responses, ${c.formsCount} Formulare, zuletzt: ${c.latest || ''}`;
+    const prof = document.createElement('button'); prof.textContent = 'Profil'; prof.className = 'small';
+    prof.onclick = ()=> loadChiffreProfile(c.chiffre);
+    li.appendChild(a); li.appendChild(meta); li.appendChild(prof);
+    return li;
+  });
+}
+
+async function loadChiffreResponses(chiffre){
+  reloadResponses = ()=> loadChiffreResponses(chiffre);
+  await pagedList(respDiv, `/api/chiffre/${encodeURIComponent(chiffre)}?limit=100${dateRangeParams()}`, r=>{
+    const li2 = document.createElement('li');
+    const a2 = document.createElement('a'); a2.href='#';
+    const title = formTitleById[r.form_id] || r.form_id;
+    a2.textContent = `${title} — ${chiffre}`;
+    a2.onclick = (ev)=>{ ev.preventDefault(); loadResponse(r.response_id); };
+    const meta = document.createElement('span'); meta.className='muted'; meta.textContent = ` • ${r.datum||''} • ${r.email||''}`;
+    li2.appendChild(a2); li2.appendChild(meta);
+    return li2;
+  });
+}
+document.getElementById('loadChiffres').addEventListener('click', loadChiffres);
+
+// Chiffre profile: timeline of all responses, answer changes between submissions, inconsistencies
+const profileDiv = document.getElementById('profile');
+const INCONSISTENCY_LABELS = {
+  multiple_emails: 'Verschiedene Emails mit derselben Chiffre',
+  missing_email: 'Responses ohne Email',
+  same_day_resubmission: 'Formular am selben Tag mehrfach ausgefüllt',
+};
+
+async function loadChiffreProfile(chiffre){
+  profileDiv.innerHTML = '<p class="muted">Lade…</p>';
+  const p = await api(`/api/chiffre/${encodeURIComponent(chiffre)}/profile`);
+  profileDiv.innerHTML = '';
+  const head = document.createElement('div');
+  head.innerHTML = `<strong>${escapeHtml(p.chiffre)}</strong> <span class="muted">• ${p.responses} Responses in ${p.forms} Formularen • ${escapeHtml(p.first || '?')} – ${escapeHtml(p.last || '?')}${p.truncated ? ' • gekürzt' : ''}</span>`;
+  profileDiv.appendChild(head);
+
+  p.inconsistencies.forEach(i=>{
+    const warn = document.createElement('div'); warn.className = 'card warning';
+    const title = document.createElement('strong'); title.textContent = INCONSISTENCY_LABELS[i.type] || i.type;
+    const detail = document.createElement('div'); detail.className = 'muted';
+    if (i.type === 'multiple_emails') detail.textContent = i.values.map(v=> `${v.email} (${v.response_ids.length}×)`).join(', ');
+    else if (i.type === 'same_day_resubmission') detail.textContent = `${formTitleById[i.form_id] || i.form_id} am ${i.datum}: ${i.response_ids.length} Responses`;
+    else detail.textContent = `${i.response_ids.length} Responses`;
+    warn.appendChild(title); warn.appendChild(detail);
+    profileDiv.appendChild(warn);
+  });
+
+  const h3t = document.createElement('h3'); h3t.textContent = 'Zeitachse';
+  const list = document.createElement('ul'); list.className = 'profile-timeline';
+  p.timeline.forEach(r=>{
+    const li = document.createElement('li');
+    const a = document.createElement('a'); a.href = '#';
+    a.textContent = `${r.datum || '—'} • ${formTitleById[r.form_id] || r.form_id}`;
+    a.onclick = (e)=>{ e.preventDefault(); loadResponse(r.response_id); };
+    const meta = document.createElement('span'); meta.className = 'muted'; meta.textContent = ` • ${r.email || ''} • ${r.answers_count} Antworten`;
     li.appendChild(a); li.appendChild(meta);
     list.appendChild(li);
   });
-  chiffresDiv.appendChild(list);
+  profileDiv.appendChild(h3t); profileDiv.appendChild(list);
+
+  const h3c = document.createElement('h3'); h3c.textContent = 'Mehrfach beantwortete Fragen';
+  profileDiv.appendChild(h3c);
+  if (!p.fields.length) {
+    const none = document.createElement('p'); none.className = 'muted'; none.textContent = 'Keine Frage wurde mehrfach beantwortet.';
+    profileDiv.appendChild(none);
+  }
+  p.fields.forEach(f=>{
+    const card = document.createElement('div'); card.className = 'card';
+    const title = document.createElement('div');
+    title.innerHTML = `<strong>${escapeHtml(f.frage || f.field_id)}</strong> <span class="muted">• ${escapeHtml(formTitleById[f.form_id] || f.form_id)} • ${f.changes.length ? `${f.changes.length} Änderung(en)` : 'unverändert'}</span>`;
+    card.appendChild(title);
+    const hist = document.createElement('div'); hist.className = 'muted';
+    hist.textContent = f.history.map(h=> `${h.datum || '—'}: ${h.antwort ?? '—'}`).join(' → ');
+    card.appendChild(hist);
+    f.changes.forEach(c=>{
+      const row = document.createElement('div');
+      const delta = typeof c.delta === 'number' ? ` (${c.delta > 0 ? '+' : ''}${c.delta})` : '';
+      row.textContent = `${c.from_datum || '—'} → ${c.to_datum || '—'}: ${c.from ?? '—'} → ${c.to ?? '—'}${delta}`;
+      card.appendChild(row);
+    });
+    profileDiv.appendChild(card);
+  });
 }
-document.getElementById('loadChiffres').addEventListener('click', loadChiffres);
+
+// Sync status: last runs from sync_runs; admins can start a run. Polls while a run is in progress.
+const syncDiv = document.getElementById('syncStatus');
+const SYNC_STATUS_LABELS = { running: 'läuft', succeeded: 'erfolgreich', partial: 'teilweise fehlgeschlagen', failed: 'fehlgeschlagen', abandoned: 'abgebrochen', cancelled: 'beendet (Shutdown)' };
+let syncPoll = null;
+
+function formatDuration(ms){
+  if (ms == null) return '';
+  const s = Math.round(ms / 1000);
+  return s < 60 ? `${s} s` : `${Math.floor(s / 60)} min ${s % 60} s`;
+}
+
+async function loadSyncRuns(){
+  const data = await api('/api/sync/runs?limit=10');
+  syncDiv.innerHTML = '';
+  if (!data.items.length) { syncDiv.innerHTML = '<p class="muted">Noch keine Sync-Läufe.</p>'; return; }
+  data.items.forEach(r=>{
+    const card = document.createElement('div'); card.className = `card sync-${r.status}`;
+    const head = document.createElement('div');
+    const started = new Date(r.started_at).toLocaleString('de-DE');
+    head.innerHTML = `<strong>${escapeHtml(SYNC_STATUS_LABELS[r.status] || r.status)}</strong> <span class="muted">• ${escapeHtml(started)} • ${escapeHtml(r.trigger || '')}${r.duration_ms != null ? ` • ${formatDuration(r.duration_ms)}` : ''}</span>`;
+    card.appendChild(head);
+    const t = r.totals;
+    const counts = document.createElement('div'); counts.className = 'muted';
+    counts.textContent = t
+      ? `${t.forms} Formulare, ${t.fetched} neue Responses, ${t.built} Dokumente, ${t.upserted} neu, ${t.modified} geändert${t.failed ? `, ${t.failed} Formulare fehlgeschlagen` : ''}`
+      : `${(r.forms || []).length} Formulare bearbeitet…`;
+    card.appendChild(counts);
+    const errors = (r.forms || []).filter(f=> f.status === 'failed');
+    if (r.error) errors.unshift({ form_id: 'Lauf', error: r.error });
+    errors.forEach(f=>{
+      const e = document.createElement('div'); e.className = 'error';
+      e.textContent = `${formTitleById[f.form_id] || f.form_id}: ${f.error}`;
+      card.appendChild(e);
+    });
+    syncDiv.appendChild(card);
+  });
+  const running = data.items.some(r=> r.status === 'running');
+  if (running && !syncPoll) syncPoll = setInterval(loadSyncRuns, 5000);
+  if (!running && syncPoll) { clearInterval(syncPoll); syncPoll = null; }
+}
+
+document.getElementById('refreshSync').addEventListener('click', loadSyncRuns);
+document.getElementById('startSync').addEventListener('click', async ()=>{
+  const res = await fetch('/api/sync', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+  const data = await res.json().catch(()=> ({}));
+  await loadSyncRuns();
+  if (!res.ok) {
+    const err = document.createElement('p'); err.className = 'error';
+    err.textContent = data.error || `Sync konnte nicht gestartet werden (${res.status})`;
+    syncDiv.prepend(err);
+  }
+});
+loadSyncRuns();
+
+// Data quality: counts per check and form (GET /api/quality); a count opens the affected responses, fields or chiffres
+const qualityDiv = document.getElementById('quality');
+const qualityItemsDiv = document.getElementById('qualityItems');
+const QUALITY_LABELS = {
+  missing_identity: 'Responses ohne Email und Chiffre',
+  missing_question: 'Antworten ohne Frage (Feld fehlt in der Formulardefinition)',
+  conflicting_emails: 'Chiffres mit verschiedenen Emails',
+  answer_count: 'Responses mit auffälliger Antwortanzahl',
+};
+
+function qualityLink(text, check, formId){
+  const a = document.createElement('a'); a.href = '#';
+  a.textContent = text;
+  a.onclick = (e)=>{ e.preventDefault(); loadQualityItems(check, formId); };
+  return a;
+}
+
+function qualityLine(count, text, check, formId){
+  const row = document.createElement('div');
+  if (count) row.appendChild(qualityLink(text, check, formId));
+  else { row.className = 'muted'; row.textContent = text; }
+  return row;
+}
+
+async function loadQuality(){
+  qualityDiv.innerHTML = '<p class="muted">Prüfe…</p>';
+  qualityItemsDiv.innerHTML = '';
+  const tolerance = document.getElementById('qualityTolerance').value;
+  const r = await api(`/api/quality?tolerance=${encodeURIComponent(tolerance)}`);
+  qualityDiv.innerHTML = '';
+  const head = document.createElement('div'); head.className = 'muted';
+  head.textContent = `${r.totals.forms} Formulare, ${r.totals.responses} Responses, ${r.totals.answers} Antworten geprüft`;
+  qualityDiv.appendChild(head);
+  const overview = document.createElement('div'); overview.className = 'card';
+  Object.entries(QUALITY_LABELS).forEach(([check, label])=>{
+    const row = document.createElement('div');
+    row.textContent = `${label}: `;
+    const count = r.checks[check];
+    // answer_count compares with each form's own field count, so its list is only offered per form
+    if (count && check !== 'answer_count') row.appendChild(qualityLink(String(count), check, null));
+    else row.appendChild(document.createTextNode(String(count)));
+    overview.appendChild(row);
+  });
+  qualityDiv.appendChild(overview);
+
+  const flagged = r.forms.filter(f=> f.issues);
+  if (!flagged.length) {
+    const none = document.createElement('p'); none.className = 'muted'; none.textContent = 'Keine Auffälligkeiten.';
+    qualityDiv.appendChild(none);
+  }
+  flagged.forEach(f=>{
+    const card = document.createElement('div'); card.className = 'card warning';
+    const title = document.createElement('div');
+    title.innerHTML = `<strong>${escapeHtml(f.title || formTitleById[f.form_id] || f.form_id)}</strong> <span class="muted">• ${f.responses} Responses</span>`;
+    card.appendChild(title);
+    const legacy = f.legacy_ids ? ` (${f.legacy_ids} mit „undefined“ in der id)` : '';
+    card.appendChild(qualityLine(f.missing_identity, `${f.missing_identity} Responses ohne Email und Chiffre${legacy}`, 'missing_identity', f.form_id));
+    card.appendChild(qualityLine(f.missing_question.answers, `${f.missing_question.answers} Antworten ohne Frage in ${f.missing_question.responses} Responses`, 'missing_question', f.form_id));
+    card.appendChild(qualityLine(f.conflicting_emails, `${f.conflicting_emails} Chiffres mit verschiedenen Emails`, 'conflicting_emails', f.form_id));
+    const ac = f.answer_count;
+    const expected = ac.source === 'definition' ? `${ac.expected} Felder laut Definition` : `meist ${ac.expected} Antworten`;
+    card.appendChild(qualityLine(ac.too_few + ac.too_many, `${ac.too_few} Responses mit zu wenigen, ${ac.too_many} mit zu vielen Antworten (${expected})`, 'answer_count', f.form_id));
+    qualityDiv.appendChild(card);
+  });
+}
+
+function renderQualityItem(check, item){
+  const li = document.createElement('li');
+  const a = document.createElement('a'); a.href = '#';
+  const meta = document.createElement('span'); meta.className = 'muted';
+  const title = formTitleById[item.form_id] || item.form_id;
+  if (check === 'conflicting_emails') {
+    a.textContent = item.chiffre;
+    a.onclick = (e)=>{ e.preventDefault(); loadChiffreProfile(item.chiffre); };
+    meta.textContent = ` • ${item.emails.join(', ')} • ${item.responses} Responses in ${item.forms.length} Formularen`;
+  } else if (check === 'missing_question') {
+    a.textContent = `${title}: Feld ${item.field_id || '—'}`;
+    a.onclick = (e)=>{ e.preventDefault(); loadResponse(item.response_id); };
+    meta.textContent = ` • ${item.answer_type || ''} • ${item.answers} Antworten in ${item.responses} Responses, zuletzt: ${item.latest || ''}`;
+  } else {
+    a.textContent = `${title} — ${item.datum || '—'}`;
+    a.onclick = (e)=>{ e.preventDefault(); loadResponse(item.response_id); };
+    const who = check === 'answer_count' ? ` • ${item.chiffre || item.email || ''}` : '';
+    meta.textContent = ` • ${item.count} Antworten${who}${item.legacy_id ? ' • id mit „undefined“' : ''}`;
+  }
+  li.appendChild(a); li.appendChild(meta);
+  return li;
+}
+
+async function loadQualityItems(check, formId){
+  const params = new URLSearchParams({ tolerance: document.getElementById('qualityTolerance').value, limit: '100' });
+  if (formId) params.set('form', formId);
+  qualityItemsDiv.innerHTML = '';
+  const h3 = document.createElement('h3');
+  h3.textContent = `${QUALITY_LABELS[check]}${formId ? ` — ${formTitleById[formId] || formId}` : ''}`;
+  const list = document.createElement('div');
+  qualityItemsDiv.appendChild(h3); qualityItemsDiv.appendChild(list);
+  await pagedList(list, `/api/quality/${check}?${params}`, item=> renderQualityItem(check, item));
+}
+document.getElementById('loadQuality').addEventListener('click', loadQuality);